@@ -0,0 +1,393 @@
+#!/usr/bin/env node
+// Copyright (c) 2023 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+//
+// OpenSig command line tool.  Hashes, signs and verifies files and exports and checks proof
+// bundles.  Run `opensig help` for usage.
+//
+// Results are printed as tables for people or, with --json, as a JSON document for scripts.  The
+// exit code is 0 if the document is signed (or the command succeeded), 1 if the document has no
+// signatures and 2 on any error.
+//
+
+import { readFile, writeFile, realpath } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { ethers } from 'ethers';
+import { Document, File, verifyProof } from '../src/opensig.js';
+import { EthersProvider } from '../src/providers.js';
+import { DEFAULT_HASH_SUITE, hashFile } from '../src/crypto.js';
+import { buf2hex } from '../src/utils.js';
+
+export const EXIT_SIGNED = 0;
+export const EXIT_UNSIGNED = 1;
+export const EXIT_ERROR = 2;
+
+const USAGE = `Usage: opensig <command> [options]
+
+Commands:
+  hash <file>...                 print the document hash of each file
+  verify <file|hash>             list the signatures on a file or document hash
+  sign <file|hash>               sign a file or document hash
+  proof export <file|hash>       export the signatures as an offline proof bundle
+  proof verify <proof> <file|hash>
+                                 check a proof bundle against a file or document hash offline
+  help                           print this message
+
+Network options (verify, sign, proof export):
+  --rpc <url>                    JSON-RPC endpoint (default $OPENSIG_RPC_URL)
+  --contract <address>           registry contract address (default $OPENSIG_REGISTRY)
+  --chain <id>                   expected chain id (default the endpoint's chain)
+  --from-block <n>               registry creation block, the first block searched
+
+Signing options:
+  --key-env <name>               environment variable holding the signer's private key
+  --data <text>                  annotate the signature with the given text
+  --encrypt                      encrypt the annotation with the document's key
+  --confirmations <n>            confirmations to wait for (default 1)
+  --block-time <ms>              average block time (default 12000)
+  --no-wait                      exit once the transaction is published
+
+Other options:
+  --hash-suite <suite>           sha256 (default), keccak256 or sha512-256
+  --out <file>                   write the proof bundle to a file instead of stdout
+  --json                         print results as JSON
+
+Exit codes: 0 signed, 1 unsigned, 2 error
+`;
+
+const OPTIONS = {
+  rpc: { type: 'string' },
+  contract: { type: 'string' },
+  chain: { type: 'string' },
+  'from-block': { type: 'string' },
+  'key-env': { type: 'string' },
+  data: { type: 'string' },
+  encrypt: { type: 'boolean' },
+  confirmations: { type: 'string' },
+  'block-time': { type: 'string' },
+  'no-wait': { type: 'boolean' },
+  'hash-suite': { type: 'string' },
+  out: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+
+/**
+ * Runs the command line tool with the given arguments.
+ *
+ * @param {Array} args the command line arguments, excluding the node executable and script
+ * @param {Object} io (optional) containing
+ *    stdout: writable stream for results (default process.stdout)
+ *    stderr: writable stream for errors (default process.stderr)
+ *    env: environment variables (default process.env)
+ * @returns Promise to resolve the exit code
+ */
+export async function run(args, io = {}) {
+  const context = {
+    stdout: io.stdout || process.stdout,
+    stderr: io.stderr || process.stderr,
+    env: io.env || process.env
+  };
+  try {
+    const { values, positionals } = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+    const [command, ...operands] = positionals;
+    if (values.help || command === undefined || command === 'help') {
+      context.stdout.write(USAGE);
+      return EXIT_SIGNED;
+    }
+    const options = { ...values, ...context };
+    switch (command) {
+      case 'hash': return await _hash(operands, options);
+      case 'verify': return await _verify(operands, options);
+      case 'sign': return await _sign(operands, options);
+      case 'proof':
+        if (operands[0] === 'export') return await _exportProof(operands.slice(1), options);
+        if (operands[0] === 'verify') return await _verifyProof(operands.slice(1), options);
+        throw new UsageError("unknown proof command '" + (operands[0] || '') + "'");
+      default:
+        throw new UsageError("unknown command '" + command + "'");
+    }
+  }
+  catch (error) {
+    context.stderr.write("opensig: " + error.message + "\n");
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+      context.stderr.write("Run 'opensig help' for usage.\n");
+    }
+    return EXIT_ERROR;
+  }
+}
+
+
+class UsageError extends Error {}
+
+
+//
+// Commands
+//
+
+async function _hash(operands, options) {
+  if (operands.length === 0) throw new UsageError("no file given");
+  const hashSuite = options['hash-suite'] || DEFAULT_HASH_SUITE;
+  const results = [];
+  for (const file of operands) {
+    results.push({ file, hashSuite, documentHash: buf2hex(await hashFile(file, { hashSuite })) });
+  }
+  _print(options, results, () => results.map(r => r.documentHash + '  ' + r.file).join('\n'));
+  return EXIT_SIGNED;
+}
+
+async function _verify(operands, options) {
+  const target = _singleOperand(operands, "no file or document hash given");
+  const network = await _createNetwork(options);
+  try {
+    const doc = _createDocument(network, target, options);
+    const signatures = await doc.verify();
+    const result = _documentResult(doc, network, signatures);
+    _print(options, result, () => _formatSignatures(result));
+    return result.signed ? EXIT_SIGNED : EXIT_UNSIGNED;
+  }
+  finally {
+    network.logProvider.destroy();
+  }
+}
+
+async function _sign(operands, options) {
+  const target = _singleOperand(operands, "no file or document hash given");
+  const data = _signatureData(options);
+  const signer = _loadSigner(options);
+  const network = await _createNetwork(options, signer);
+  try {
+    const doc = _createDocument(network, target, options);
+    await doc.verify();
+    const result = await doc.sign(data);
+    if (options['no-wait']) result.events.stop();
+    else await result.confirmationInformer;
+    const output = {
+      documentHash: buf2hex(doc.documentHash),
+      hashSuite: doc.hashSuite,
+      chainId: network.chainId,
+      signature: result.signature,
+      signatory: result.signatory,
+      txHash: result.txHash,
+      confirmed: !options['no-wait']
+    };
+    _print(options, output, () => _formatTable([
+      ['Document', output.documentHash],
+      ['Signature', output.signature],
+      ['Signatory', output.signatory],
+      ['Transaction', output.txHash + (output.confirmed ? '' : ' (unconfirmed)')]
+    ]));
+    return EXIT_SIGNED;
+  }
+  finally {
+    network.logProvider.destroy();
+  }
+}
+
+async function _exportProof(operands, options) {
+  const target = _singleOperand(operands, "no file or document hash given");
+  const network = await _createNetwork(options);
+  try {
+    const doc = _createDocument(network, target, options);
+    const signatures = await doc.verify();
+    const bundle = JSON.stringify(doc.exportProof(), null, 2) + '\n';
+    if (options.out) {
+      await writeFile(options.out, bundle);
+      const summary = { file: options.out, documentHash: buf2hex(doc.documentHash), signatures: signatures.length };
+      _print(options, summary, () => "Exported " + _plural(signatures.length, 'signature') + " to " + options.out);
+    }
+    else options.stdout.write(bundle);
+    return signatures.length > 0 ? EXIT_SIGNED : EXIT_UNSIGNED;
+  }
+  finally {
+    network.logProvider.destroy();
+  }
+}
+
+async function _verifyProof(operands, options) {
+  if (operands.length !== 2) throw new UsageError("expected a proof bundle and a file or document hash");
+  const [bundleFile, target] = operands;
+  const bundle = await readFile(bundleFile, 'utf8')
+    .then(JSON.parse)
+    .catch(error => { throw new Error("cannot read proof bundle " + bundleFile + ": " + error.message) });
+  const { valid, errors, signatures } = await verifyProof(bundle, target);
+  const result = {
+    valid,
+    errors,
+    documentHash: bundle.documentHash,
+    hashSuite: bundle.hashSuite || DEFAULT_HASH_SUITE,
+    chainId: bundle.chainId,
+    signed: valid && _isSigned(signatures),
+    signatures: signatures.map(_signatureResult)
+  };
+  _print(options, result, () => {
+    if (!valid) return "Proof is INVALID\n" + errors.map(e => '  ' + e).join('\n');
+    return "Proof is valid\n" + _formatSignatures(result);
+  });
+  return !valid ? EXIT_ERROR : result.signed ? EXIT_SIGNED : EXIT_UNSIGNED;
+}
+
+
+//
+// Helpers
+//
+
+async function _createNetwork(options, signer) {
+  const rpc = options.rpc || options.env.OPENSIG_RPC_URL;
+  const contract = options.contract || options.env.OPENSIG_REGISTRY;
+  if (!rpc) throw new UsageError("--rpc or OPENSIG_RPC_URL is required");
+  if (!contract || !ethers.isAddress(contract)) throw new UsageError("a valid --contract or OPENSIG_REGISTRY is required");
+  const provider = new ethers.JsonRpcProvider(rpc, undefined, { staticNetwork: true });
+  try {
+    const chainId = Number((await provider.getNetwork()).chainId);
+    if (options.chain !== undefined && _parseInteger(options.chain, '--chain') !== chainId) {
+      throw new Error("the rpc endpoint is on chain " + chainId + ", not chain " + options.chain);
+    }
+    return new EthersProvider({
+      chainId,
+      contract,
+      provider,
+      signer: signer ? signer.connect(provider) : undefined,
+      creationBlock: options['from-block'] !== undefined ? _parseInteger(options['from-block'], '--from-block') : undefined,
+      confirmations: options.confirmations !== undefined ? _parseInteger(options.confirmations, '--confirmations') : undefined,
+      blockTime: options['block-time'] !== undefined ? _parseInteger(options['block-time'], '--block-time') : undefined
+    });
+  }
+  catch (error) {
+    provider.destroy();
+    throw error;
+  }
+}
+
+function _createDocument(network, target, options) {
+  const docOptions = { hashSuite: options['hash-suite'] };
+  return _isDocumentHash(target)
+    ? new Document(network, ethers.getBytes(target), docOptions)
+    : new File(network, target, docOptions);
+}
+
+function _loadSigner(options) {
+  const name = options['key-env'];
+  if (!name) throw new UsageError("--key-env is required to sign");
+  const key = options.env[name];
+  if (!key) throw new Error("environment variable " + name + " is not set");
+  try {
+    return new ethers.Wallet(key);
+  }
+  catch (error) {
+    throw new Error("environment variable " + name + " does not hold a valid private key");
+  }
+}
+
+function _signatureData(options) {
+  if (options.data === undefined) {
+    if (options.encrypt) throw new UsageError("--encrypt requires --data");
+    return {};
+  }
+  return { type: 'string', content: options.data, encrypted: options.encrypt || false };
+}
+
+function _documentResult(doc, network, signatures) {
+  return {
+    documentHash: buf2hex(doc.documentHash),
+    hashSuite: doc.hashSuite,
+    chainId: network.chainId,
+    signed: _isSigned(signatures),
+    signatures: signatures.map(_signatureResult)
+  };
+}
+
+function _signatureResult(sig) {
+  const result = {
+    signature: sig.signature,
+    signatory: sig.signatory,
+    time: sig.time,
+    data: sig.data
+  };
+  if (sig.event) {
+    result.txHash = sig.event.transactionHash;
+    result.blockNumber = Number(sig.event.blockNumber);
+  }
+  if (sig.revoked) result.revocation = sig.revocation;
+  return result;
+}
+
+// a document is signed if it has at least one signature that is neither revoked nor a revocation
+function _isSigned(signatures) {
+  return signatures.some(sig => !sig.revoked && !(sig.data && sig.data.type === 'revocation'));
+}
+
+function _isDocumentHash(target) {
+  return ethers.isHexString(target, 32);
+}
+
+function _singleOperand(operands, message) {
+  if (operands.length === 0) throw new UsageError(message);
+  if (operands.length > 1) throw new UsageError("unexpected argument '" + operands[1] + "'");
+  return operands[0];
+}
+
+function _parseInteger(value, name) {
+  if (!/^\d+$/.test(value)) throw new UsageError("invalid " + name + " '" + value + "'");
+  return Number(value);
+}
+
+
+//
+// Output
+//
+
+function _print(options, result, formatter) {
+  const text = options.json ? JSON.stringify(result, _jsonReplacer, 2) : formatter();
+  options.stdout.write(text + '\n');
+}
+
+function _jsonReplacer(key, value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (value instanceof Uint8Array) return ethers.hexlify(value);
+  return value;
+}
+
+function _formatSignatures(result) {
+  const heading = "Document " + result.documentHash + " (" + result.hashSuite + ") on chain " + result.chainId;
+  if (result.signatures.length === 0) return heading + "\nNo signatures";
+  const rows = result.signatures.map((sig, i) => [
+    String(i + 1),
+    new Date(sig.time * 1000).toISOString().replace('.000Z', 'Z'),
+    sig.signatory,
+    sig.revocation ? 'revoked' : sig.data && sig.data.type === 'revocation' ? 'revocation' : 'valid',
+    _formatData(sig.data)
+  ]);
+  return heading + "\n" + _plural(rows.length, 'signature') + "\n\n"
+    + _formatTable([['#', 'TIME', 'SIGNATORY', 'STATUS', 'DATA'], ...rows]);
+}
+
+function _formatData(data) {
+  if (!data || data.type === undefined) return '';
+  if (data.type === 'revocation') return 'revokes ' + data.content.signature + (data.content.reason ? ': ' + data.content.reason : '');
+  if (data.type === 'string' || data.type === 'hex' || data.type === 'invalid') return String(data.content);
+  if (data.content === undefined) return '(' + data.type + ')';
+  return JSON.stringify(data.content, _jsonReplacer);
+}
+
+function _formatTable(rows) {
+  const widths = rows[0].map((_, col) => Math.max(...rows.map(row => row[col].length)));
+  return rows.map(row => row.map((cell, col) => col === row.length - 1 ? cell : cell.padEnd(widths[col])).join('  ')).join('\n');
+}
+
+function _plural(n, noun) {
+  return n + ' ' + noun + (n === 1 ? '' : 's');
+}
+
+
+//
+// Command line entry point
+//
+
+if (process.argv[1] && await realpath(process.argv[1]).catch(() => process.argv[1]) === fileURLToPath(import.meta.url)) {
+  process.exitCode = await run(process.argv.slice(2));
+}
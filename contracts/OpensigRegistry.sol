@@ -16,6 +16,12 @@ contract OpensigRegistry {
      */
     event Signature(uint256 time, address indexed signer, bytes32 indexed signature, bytes data);
 
+    /**
+     * @dev EIP-712 type hashes used to authorise registrations submitted by a relayer.
+     */
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 public constant REGISTER_TYPEHASH = keccak256("RegisterSignature(address signer,bytes32 signature,bytes data,uint256 deadline)");
+
     /**
      * @dev registry of published signatures.
      */
@@ -25,9 +31,32 @@ contract OpensigRegistry {
      * @dev Registers the given signature and emits it along with the block timestamp and given data.
      */
     function registerSignature(bytes32 sig_, bytes memory data_) public {
-        require(!signatures[sig_], "signature already published");
-        signatures[sig_] = true;
-        emit Signature(block.timestamp, msg.sender, sig_, data_);
+        _registerSignature(msg.sender, sig_, data_);
+    }
+
+    /**
+     * @dev Registers a signature on behalf of a signer who has authorised it with an EIP-712
+     * typed-data signature, allowing a relayer to pay the gas.  The signer, not the relayer, is
+     * recorded in the Signature event.  Replay is not possible since each signature can only be
+     * registered once.
+     */
+    function registerSignatureFor(address signer_, bytes32 sig_, bytes memory data_, uint256 deadline_, bytes memory authorisation_) public {
+        require(block.timestamp <= deadline_, "authorisation expired");
+        bytes32 structHash = keccak256(abi.encode(REGISTER_TYPEHASH, signer_, sig_, keccak256(data_), deadline_));
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+        require(_recover(digest, authorisation_) == signer_, "invalid authorisation");
+        _registerSignature(signer_, sig_, data_);
+    }
+
+    /**
+     * @dev Registers each of the given signatures with its corresponding data in a single
+     * transaction.  Reverts the whole batch if any signature has already been registered.
+     */
+    function registerSignatures(bytes32[] memory sigs_, bytes[] memory data_) public {
+        require(sigs_.length == data_.length, "array length mismatch");
+        for (uint i = 0; i < sigs_.length; i++) {
+            registerSignature(sigs_[i], data_[i]);
+        }
     }
 
     /**
@@ -36,5 +65,39 @@ contract OpensigRegistry {
     function isRegistered(bytes32 sig_) public view returns (bool) {
         return signatures[sig_];
     }
+
+    /**
+     * @dev Returns the EIP-712 domain separator for this registry on this chain
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, keccak256("OpensigRegistry"), keccak256("1"), block.chainid, address(this)));
+    }
+
+    function _registerSignature(address signer_, bytes32 sig_, bytes memory data_) private {
+        require(!signatures[sig_], "signature already published");
+        signatures[sig_] = true;
+        emit Signature(block.timestamp, signer_, sig_, data_);
+    }
+
+    /**
+     * @dev Recovers the signer of the given digest from a 65-byte ECDSA signature.  Rejects
+     * malleable (high s) signatures.
+     */
+    function _recover(bytes32 digest_, bytes memory signature_) private pure returns (address) {
+        require(signature_.length == 65, "invalid authorisation");
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(signature_, 0x20))
+            s := mload(add(signature_, 0x40))
+            v := byte(0, mload(add(signature_, 0x60)))
+        }
+        require(uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0, "invalid authorisation");
+        require(v == 27 || v == 28, "invalid authorisation");
+        address signer = ecrecover(digest_, v, r, s);
+        require(signer != address(0), "invalid authorisation");
+        return signer;
+    }
     
 }
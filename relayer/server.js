@@ -0,0 +1,155 @@
+// Copyright (c) 2023 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+//
+// Reference OpenSig relayer.  Accepts relay requests from a `RelayerProvider` and submits them to
+// the registry contract's `registerSignatureFor` function, paying the gas from its own wallet.
+//
+// Run with:
+//
+//   OPENSIG_RELAYER_KEY=<private key> OPENSIG_RPC_URL=<rpc url> OPENSIG_REGISTRY=<address> \
+//     [PORT=8080] node relayer/server.js
+//
+// POST a relay request (see src/relay.js) as JSON to the server's root.  Responds with
+// {txHash} on success or {error} with a 4xx or 5xx status otherwise.
+//
+
+import http from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { ethers } from 'ethers';
+import { recoverRelaySigner } from '../src/relay.js';
+
+const MAX_BODY_LENGTH = 64 * 1024;
+
+const registryABI = [
+  "function registerSignatureFor(address signer_, bytes32 sig_, bytes data_, uint256 deadline_, bytes authorisation_)"
+];
+
+
+/**
+ * Returns an http request handler that relays requests for the given registry.
+ *
+ * @param {Object} params containing
+ *    signer: ethers.Signer that pays for and submits each transaction.  Must be connected to a
+ *      provider on the registry's chain.  Wrap it in an ethers NonceManager if requests may arrive
+ *      concurrently.
+ *    chainId: chain id of the registry
+ *    contract: address of the registry contract
+ *    maxDataLength: (optional) maximum annotation data length in bytes (default 1024)
+ */
+export function createRelayer(params) {
+  const registry = new ethers.Contract(params.contract, registryABI, params.signer);
+  const maxDataLength = params.maxDataLength || 1024;
+
+  async function relay(request) {
+    _validateRequest(request, maxDataLength);
+    if (request.chainId !== Number(params.chainId)) throw new RelayError(400, "unsupported chain");
+    if (request.contract.toLowerCase() !== params.contract.toLowerCase()) throw new RelayError(400, "unsupported contract");
+    if (request.deadline < Date.now() / 1000) throw new RelayError(403, "authorisation expired");
+    if (recoverRelaySigner(request).toLowerCase() !== request.signer.toLowerCase()) {
+      throw new RelayError(403, "invalid authorisation");
+    }
+    const args = [request.signer, request.signature, request.data, request.deadline, request.authorisation];
+    // simulate first so that requests that would revert are rejected without paying gas
+    await registry.registerSignatureFor.staticCall(...args).catch(error => {
+      throw new RelayError(error.reason === "signature already published" ? 409 : 400, error.reason || "transaction would fail");
+    });
+    const tx = await registry.registerSignatureFor(...args);
+    return { txHash: tx.hash };
+  }
+
+  return function handleRequest(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    if (req.method === 'OPTIONS') return _respond(res, 204);
+    if (req.method !== 'POST') return _respond(res, 405, { error: "method not allowed" });
+    _readBody(req)
+      .then(body => {
+        let request;
+        try { request = JSON.parse(body) }
+        catch (error) { throw new RelayError(400, "invalid request") }
+        return relay(request);
+      })
+      .then(result => _respond(res, 200, result))
+      .catch(error => {
+        if (error instanceof RelayError) _respond(res, error.status, { error: error.message });
+        else _respond(res, 500, { error: "failed to submit transaction" });
+      });
+  }
+}
+
+
+/**
+ * Starts a relayer http server on the given port.  Resolves with the server once it is listening.
+ */
+export function startRelayer(params, port = 8080) {
+  const server = http.createServer(createRelayer(params));
+  return new Promise(resolve => server.listen(port, () => resolve(server)));
+}
+
+
+class RelayError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+
+function _validateRequest(request, maxDataLength) {
+  const valid = request && typeof request === 'object'
+    && Number.isInteger(request.chainId)
+    && typeof request.contract === 'string' && ethers.isAddress(request.contract)
+    && typeof request.signer === 'string' && ethers.isAddress(request.signer)
+    && ethers.isHexString(request.signature, 32)
+    && ethers.isHexString(request.data)
+    && Number.isInteger(request.deadline)
+    && ethers.isHexString(request.authorisation, 65);
+  if (!valid) throw new RelayError(400, "invalid request");
+  if (ethers.dataLength(request.data) > maxDataLength) throw new RelayError(400, "data too long");
+}
+
+
+function _readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_LENGTH) {
+        reject(new RelayError(413, "request too large"));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+
+function _respond(res, status, body) {
+  if (body === undefined) return res.writeHead(status).end();
+  res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+}
+
+
+//
+// Command line entry point
+//
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { OPENSIG_RELAYER_KEY, OPENSIG_RPC_URL, OPENSIG_REGISTRY, PORT } = process.env;
+  if (!OPENSIG_RELAYER_KEY || !OPENSIG_RPC_URL || !OPENSIG_REGISTRY) {
+    console.error("OPENSIG_RELAYER_KEY, OPENSIG_RPC_URL and OPENSIG_REGISTRY must be set");
+    process.exit(1);
+  }
+  // a cached simulation would let a repeated request through to a transaction that reverts
+  const provider = new ethers.JsonRpcProvider(OPENSIG_RPC_URL, undefined, { cacheTimeout: -1 });
+  const { chainId } = await provider.getNetwork();
+  const signer = new ethers.NonceManager(new ethers.Wallet(OPENSIG_RELAYER_KEY, provider));
+  const port = Number(PORT || 8080);
+  await startRelayer({ signer, chainId, contract: OPENSIG_REGISTRY }, port);
+  console.log(`OpenSig relayer for registry ${OPENSIG_REGISTRY} on chain ${chainId} listening on port ${port}`);
+}
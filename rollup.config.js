@@ -1,8 +1,13 @@
+import { nodeResolve } from '@rollup/plugin-node-resolve';
+
 export default {
   input: 'src/index.js',
+  external: ['ethers'],
+  plugins: [nodeResolve({ browser: true })],
   output: {
     file: 'dist/opensig-js.js',
     format: 'iife',
-    name: 'opensig'
+    name: 'opensig',
+    globals: { ethers: 'ethers' }
   }
 };
\ No newline at end of file
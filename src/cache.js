@@ -0,0 +1,184 @@
+// Copyright (c) 2023 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+import { DEFAULT_HASH_SUITE } from './crypto.js';
+
+//
+// Verification caches.  A cache stores the results of verifying a document so that subsequent
+// verifications only need to query the blockchain for new signatures.
+//
+// All caches implement the same async interface:
+//
+//   get(key)         - resolves with the stored entry or undefined
+//   set(key, entry)  - stores the entry
+//   delete(key)      - removes the entry
+//   clear()          - removes all entries
+//
+// Keys are strings formed from the chain id, document hash and hash suite (see `cacheKey`).
+// Entries are plain JSON-serialisable objects of the form:
+//
+//   {
+//     signatures: array of decoded signatures found so far
+//     lastIndex: index in the document's hash chain of the last signature found (-1 if none)
+//     lastBlock: last block number scanned (undefined if not known)
+//   }
+//
+// Note, encrypted annotations are stored decrypted.  Use a secure store if annotations are
+// sensitive.
+//
+
+
+/**
+ * Returns the cache key for the given chain, document hash and hash suite.  Keys for the default
+ * hash suite omit the suite so that existing cache entries remain valid.
+ */
+export function cacheKey(chainId, documentHashHex, hashSuite = DEFAULT_HASH_SUITE) {
+  const key = chainId + ':' + documentHashHex.toLowerCase();
+  return hashSuite === DEFAULT_HASH_SUITE ? key : key + ':' + hashSuite;
+}
+
+
+/**
+ * In-memory cache.  Entries are lost when the process or page ends.
+ */
+export class MemoryCache {
+
+  entries = new Map();
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    return entry === undefined ? undefined : structuredClone(entry);
+  }
+
+  async set(key, entry) {
+    this.entries.set(key, structuredClone(entry));
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+}
+
+
+/**
+ * Browser cache backed by IndexedDB.
+ */
+export class IndexedDBCache {
+
+  /**
+   * @param {string} dbName (optional) name of the IndexedDB database
+   * @param {string} storeName (optional) name of the object store within the database
+   */
+  constructor(dbName = 'opensig', storeName = 'verification') {
+    this.dbName = dbName;
+    this.storeName = storeName;
+  }
+
+  async get(key) {
+    return this._request('readonly', store => store.get(key));
+  }
+
+  async set(key, entry) {
+    return this._request('readwrite', store => store.put(entry, key));
+  }
+
+  async delete(key) {
+    return this._request('readwrite', store => store.delete(key));
+  }
+
+  async clear() {
+    return this._request('readwrite', store => store.clear());
+  }
+
+  _open() {
+    if (!this.db) {
+      const opening = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') throw new Error("IndexedDB is not supported on this platform");
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      opening.catch(() => { if (this.db === opening) this.db = undefined }); // retry on the next request
+      this.db = opening;
+    }
+    return this.db;
+  }
+
+  async _request(mode, fn) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const request = fn(db.transaction(this.storeName, mode).objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+}
+
+
+/**
+ * Node.js cache backed by a JSON file.  The whole file is loaded on first use and rewritten on
+ * each change.
+ */
+export class FileCache {
+
+  /**
+   * @param {string} path path of the JSON file.  Created if it does not exist.
+   */
+  constructor(path) {
+    this.path = path;
+    this.writes = Promise.resolve();
+  }
+
+  async get(key) {
+    const entries = await this._load();
+    return entries[key] === undefined ? undefined : structuredClone(entries[key]);
+  }
+
+  async set(key, entry) {
+    const entries = await this._load();
+    entries[key] = structuredClone(entry);
+    return this._save();
+  }
+
+  async delete(key) {
+    const entries = await this._load();
+    delete entries[key];
+    return this._save();
+  }
+
+  async clear() {
+    this.entries = Promise.resolve({});
+    return this._save();
+  }
+
+  _load() {
+    if (!this.entries) {
+      this.entries = import('node:fs')
+        .then(fs => fs.promises.readFile(this.path, 'utf8'))
+        .then(JSON.parse)
+        .catch(error => {
+          if (error.code === 'ENOENT') return {};
+          throw error;
+        });
+    }
+    return this.entries;
+  }
+
+  _save() {
+    // writes are serialised so that the file always holds the latest entries
+    this.writes = this.writes
+      .catch(() => {})
+      .then(() => Promise.all([import('node:fs'), this._load()]))
+      .then(([fs, entries]) => fs.promises.writeFile(this.path, JSON.stringify(entries)));
+    return this.writes;
+  }
+
+}
@@ -0,0 +1,77 @@
+// Copyright (c) 2023 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+//
+// Canonical forms of structured data and text, so that equivalent content always produces the
+// same document hash.
+//
+
+const LONE_SURROGATE = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+
+
+/**
+ * Serialises the given value as canonical JSON in accordance with RFC 8785 (JSON Canonicalization
+ * Scheme).  Object properties are sorted by their UTF-16 code units and numbers and strings are
+ * serialised as ECMAScript `JSON.stringify` does.  As with `JSON.stringify`, `toJSON` methods are
+ * honoured and object properties whose value is undefined are omitted.
+ *
+ * @param {*} value the JSON value
+ * @returns {String} the canonical JSON text
+ * @throws if the value cannot be represented in I-JSON (e.g. non-finite numbers, bigints, lone
+ * surrogates, functions or undefined)
+ */
+export function canonicalJson(value) {
+  return _serialise(value, new Set());
+}
+
+
+/**
+ * Normalises text so that equivalent text always has the same representation: Unicode NFC
+ * normalisation and LF line endings (CRLF and CR are converted to LF).
+ *
+ * @param {String} text
+ * @returns {String} the normalised text
+ */
+export function normaliseText(text) {
+  if (typeof text !== 'string') throw new Error("invalid text");
+  return text.normalize('NFC').replace(/\r\n?/g, '\n');
+}
+
+
+function _serialise(value, ancestors) {
+  if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') value = value.toJSON();
+  if (value === null) return 'null';
+  switch (typeof value) {
+    case 'boolean':
+      return value ? 'true' : 'false';
+
+    case 'number':
+      if (!Number.isFinite(value)) throw new Error("invalid JSON: non-finite number");
+      return JSON.stringify(value);
+
+    case 'string':
+      if (LONE_SURROGATE.test(value)) throw new Error("invalid JSON: lone surrogate in string");
+      return JSON.stringify(value);
+
+    case 'object': {
+      if (ancestors.has(value)) throw new Error("invalid JSON: circular reference");
+      ancestors.add(value);
+      let json;
+      if (Array.isArray(value)) {
+        json = '[' + value.map(v => _serialise(v, ancestors)).join(',') + ']';
+      }
+      else {
+        const members = Object.keys(value).sort()
+          .filter(key => value[key] !== undefined)
+          .map(key => _serialise(key, ancestors) + ':' + _serialise(value[key], ancestors));
+        json = '{' + members.join(',') + '}';
+      }
+      ancestors.delete(value);
+      return json;
+    }
+
+    default:
+      throw new Error("invalid JSON: cannot serialise "+typeof value);
+  }
+}
@@ -0,0 +1,211 @@
+// Copyright (c) 2023 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+//
+// Minimal CBOR (RFC 8949) encoder and decoder for JSON-like values, used for structured signature
+// annotations.  Supports null, undefined, booleans, numbers, bigints, strings, Uint8Arrays, arrays
+// and plain objects.  Definite lengths only.  Tags are decoded as their tagged value.
+//
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder('utf-8', { fatal: true });
+
+
+/**
+ * Encodes the given value as CBOR
+ *
+ * @returns Uint8Array
+ */
+export function encodeCbor(value) {
+  const bytes = [];
+  _encode(value, bytes);
+  return Uint8Array.from(bytes);
+}
+
+
+/**
+ * Decodes a single CBOR data item occupying the whole of the given bytes
+ *
+ * @throws if the bytes are not valid CBOR or use an unsupported encoding
+ */
+export function decodeCbor(bytes) {
+  const reader = { bytes, view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength), pos: 0 };
+  const value = _decode(reader);
+  if (reader.pos !== bytes.length) throw new Error("invalid CBOR: unexpected trailing bytes");
+  return value;
+}
+
+
+//
+// Encoder
+//
+
+function _encode(value, bytes) {
+  if (value === null) bytes.push(0xf6);
+  else if (value === undefined) bytes.push(0xf7);
+  else if (value === false) bytes.push(0xf4);
+  else if (value === true) bytes.push(0xf5);
+  else if (typeof value === 'number') _encodeNumber(value, bytes);
+  else if (typeof value === 'bigint') {
+    if (value >= 0n) _encodeHead(0, value, bytes);
+    else _encodeHead(1, -1n - value, bytes);
+  }
+  else if (typeof value === 'string') {
+    const utf8 = textEncoder.encode(value);
+    _encodeHead(3, utf8.length, bytes);
+    utf8.forEach(b => bytes.push(b));
+  }
+  else if (value instanceof Uint8Array) {
+    _encodeHead(2, value.length, bytes);
+    value.forEach(b => bytes.push(b));
+  }
+  else if (Array.isArray(value)) {
+    _encodeHead(4, value.length, bytes);
+    value.forEach(v => _encode(v, bytes));
+  }
+  else if (typeof value === 'object') {
+    const entries = Object.entries(value);
+    _encodeHead(5, entries.length, bytes);
+    entries.forEach(([k, v]) => { _encode(k, bytes); _encode(v, bytes) });
+  }
+  else throw new Error("cannot encode "+typeof value+" as CBOR");
+}
+
+function _encodeNumber(value, bytes) {
+  if (Number.isSafeInteger(value)) {
+    if (value >= 0) _encodeHead(0, value, bytes);
+    else _encodeHead(1, -1 - value, bytes);
+  }
+  else {
+    const buf = new DataView(new ArrayBuffer(8));
+    buf.setFloat64(0, value);
+    bytes.push(0xfb);
+    for (let i = 0; i < 8; i++) bytes.push(buf.getUint8(i));
+  }
+}
+
+function _encodeHead(major, length, bytes) {
+  const n = BigInt(length);
+  if (n >= 2n ** 64n) throw new Error("cannot encode integer as CBOR: too large");
+  const m = major << 5;
+  if (n < 24n) bytes.push(m | Number(n));
+  else if (n < 0x100n) bytes.push(m | 24, Number(n));
+  else if (n < 0x10000n) bytes.push(m | 25, ..._beBytes(n, 2));
+  else if (n < 0x100000000n) bytes.push(m | 26, ..._beBytes(n, 4));
+  else bytes.push(m | 27, ..._beBytes(n, 8));
+}
+
+function _beBytes(n, length) {
+  const result = [];
+  for (let i = length - 1; i >= 0; i--) result.push(Number((n >> BigInt(8 * i)) & 0xffn));
+  return result;
+}
+
+
+//
+// Decoder
+//
+
+function _decode(reader) {
+  const initial = _readUint(reader, 1);
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+
+  if (major === 7) return _decodeSimple(reader, info);
+
+  const arg = _readArgument(reader, info);
+  switch (major) {
+    case 0: return _toNumber(arg);
+    case 1: return _toNumber(-1n - arg);
+    case 2: return _readBytes(reader, arg).slice();
+    case 3: return textDecoder.decode(_readBytes(reader, arg));
+    case 4: {
+      const array = [];
+      for (let i = 0n; i < arg; i++) array.push(_decode(reader));
+      return array;
+    }
+    case 5: {
+      const object = {};
+      for (let i = 0n; i < arg; i++) {
+        const key = _decode(reader);
+        // defined rather than assigned so that a '__proto__' key cannot replace the prototype
+        Object.defineProperty(object, typeof key === 'string' ? key : JSON.stringify(key), {
+          value: _decode(reader), enumerable: true, writable: true, configurable: true
+        });
+      }
+      return object;
+    }
+    case 6: return _decode(reader); // tag: decode the tagged value
+  }
+}
+
+function _decodeSimple(reader, info) {
+  switch (info) {
+    case 20: return false;
+    case 21: return true;
+    case 22: return null;
+    case 23: return undefined;
+    case 25: return _readHalfFloat(reader);
+    case 26: return _readFloat(reader, 4);
+    case 27: return _readFloat(reader, 8);
+    default: throw new Error("unsupported CBOR encoding");
+  }
+}
+
+function _readArgument(reader, info) {
+  if (info < 24) return BigInt(info);
+  if (info === 24) return BigInt(_readUint(reader, 1));
+  if (info === 25) return BigInt(_readUint(reader, 2));
+  if (info === 26) return BigInt(_readUint(reader, 4));
+  if (info === 27) return _readUint64(reader);
+  throw new Error("unsupported CBOR encoding");
+}
+
+function _readUint(reader, length) {
+  _checkLength(reader, length);
+  const value = length === 1 ? reader.view.getUint8(reader.pos)
+    : length === 2 ? reader.view.getUint16(reader.pos)
+    : reader.view.getUint32(reader.pos);
+  reader.pos += length;
+  return value;
+}
+
+function _readUint64(reader) {
+  _checkLength(reader, 8);
+  const value = reader.view.getBigUint64(reader.pos);
+  reader.pos += 8;
+  return value;
+}
+
+function _readFloat(reader, length) {
+  _checkLength(reader, length);
+  const value = length === 4 ? reader.view.getFloat32(reader.pos) : reader.view.getFloat64(reader.pos);
+  reader.pos += length;
+  return value;
+}
+
+function _readHalfFloat(reader) {
+  const half = _readUint(reader, 2);
+  const exponent = (half >> 10) & 0x1f;
+  const mantissa = half & 0x3ff;
+  const sign = half & 0x8000 ? -1 : 1;
+  if (exponent === 0) return sign * mantissa * 2 ** -24;
+  if (exponent === 31) return mantissa ? NaN : sign * Infinity;
+  return sign * (1 + mantissa / 1024) * 2 ** (exponent - 15);
+}
+
+function _readBytes(reader, length) {
+  _checkLength(reader, length);
+  const bytes = reader.bytes.subarray(reader.pos, reader.pos + Number(length));
+  reader.pos += Number(length);
+  return bytes;
+}
+
+function _checkLength(reader, length) {
+  if (reader.pos + Number(length) > reader.bytes.length) throw new Error("invalid CBOR: unexpected end of data");
+}
+
+function _toNumber(n) {
+  return n >= BigInt(Number.MIN_SAFE_INTEGER) && n <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(n) : n;
+}
@@ -2,7 +2,12 @@
 // Distributed under the MIT software license, see the accompanying
 // file LICENSE or http://www.opensource.org/licenses/mit-license.php.
 
-import { buf2hex, concatBuffers, hexToBuf, readFile } from "./utils";
+import { sha256, sha512_256 } from "@noble/hashes/sha2";
+import { keccak_256 } from "@noble/hashes/sha3";
+import { hkdf } from "@noble/hashes/hkdf";
+import { ethers } from "ethers";
+import { readChunks } from "./inputs.js";
+import { buf2hex, concatBuffers, hexToBuf } from "./utils.js";
 
 
 //
@@ -10,28 +15,85 @@ import { buf2hex, concatBuffers, hexToBuf, readFile } from "./utils";
 //
 
 
+//
+// Hash suites.  A hash suite selects the 32-byte hash function used both for the document hash
+// and for deriving the document's signature chain.  SHA-256 is the OpenSig v0.1 default.
+//
+
+export const DEFAULT_HASH_SUITE = 'sha256';
+
+const HASH_SUITES = {
+  'sha256': sha256,
+  'keccak256': keccak_256,
+  'sha512-256': sha512_256
+};
+
+/**
+ * Names of the supported hash suites
+ */
+export const hashSuites = Object.keys(HASH_SUITES);
+
+
+/**
+ * Throws if the given hash suite is not supported
+ */
+export function checkHashSuite(hashSuite) {
+  if (!Object.prototype.hasOwnProperty.call(HASH_SUITES, hashSuite)) {
+    throw new Error("unsupported hash suite '"+hashSuite+"'");
+  }
+}
+
+
 /**
  * Hashes the given data buffer
  * 
  * @param {Buffer} data 
+ * @param {String} hashSuite (optional) the hash suite to use.  Defaults to sha256.
  * @returns 32-byte hash as ArrayBuffer
  */
-export function hash(data) {
-  return _getSubtleCrypto().digest('SHA-256', data);
+export async function hash(data, hashSuite = DEFAULT_HASH_SUITE) {
+  checkHashSuite(hashSuite);
+  if (hashSuite === DEFAULT_HASH_SUITE) return _getSubtleCrypto().digest('SHA-256', data);
+  const bytes = ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength) : new Uint8Array(data);
+  return HASH_SUITES[hashSuite](bytes).buffer;
 }
 
 
 /**
- * Hashes the given File
+ * Hashes the given File.  The file is streamed through an incremental hash so that memory use
+ * is constant regardless of file size.  The result is identical to `hash` of the whole file.
  * 
- * @param {File} file the file to hash
+ * @param {*} file the file to hash.  Any input supported by inputs.js (File, Blob, Buffer, 
+ * stream or Node.js file path).
+ * @param {Object} options (optional) containing
+ *    onProgress: function(bytesProcessed, totalBytes) called after each chunk is hashed. 
+ *      totalBytes is undefined for streams of unknown length.
+ *    signal: AbortSignal to cancel hashing
+ *    hashSuite: the hash suite to use.  Defaults to sha256.
  * @returns 32-byte hash as ArrayBuffer
  */
-export async function hashFile(file) {
-  return readFile(file)
-    .then(data => {
-      return _getSubtleCrypto().digest('SHA-256', data);
-    })
+export async function hashFile(file, options = {}) {
+  const [result] = await hashFileWithSuites(file, [options.hashSuite || DEFAULT_HASH_SUITE], options);
+  return result;
+}
+
+
+/**
+ * Hashes the given File with several hash suites in a single pass.  See `hashFile`.
+ * 
+ * @returns array of 32-byte hashes as ArrayBuffers, one for each hash suite
+ */
+export async function hashFileWithSuites(file, suites, options = {}) {
+  const { onProgress, signal } = options;
+  suites.forEach(checkHashSuite);
+  const hashers = suites.map(suite => HASH_SUITES[suite].create());
+  let bytesProcessed = 0;
+  await readChunks(file, (chunk, totalBytes) => {
+    hashers.forEach(hasher => hasher.update(chunk));
+    bytesProcessed += chunk.byteLength;
+    if (onProgress) onProgress(bytesProcessed, totalBytes);
+  }, signal);
+  return hashers.map(hasher => hasher.digest().buffer);
 }
 
 
@@ -101,6 +163,141 @@ export class EncryptionKey {
 }
 
 
+//
+// Recipient encryption.  Encrypts data so that only the holders of specific secp256k1 private keys
+// can read it.  A random content key encrypts the data with AES-GCM and is wrapped to each
+// recipient's public key (ECIES): an ECDH shared secret between a single ephemeral key and the
+// recipient's key is passed through HKDF-SHA256 to give a key-encryption key for that recipient.
+//
+// Encrypted data format:
+//
+//   ephemeral public key (33 bytes, compressed)
+//   recipient count (1 byte)
+//   wrapped content key for each recipient (60 bytes: 12-byte iv, encrypted key and tag)
+//   content iv (12 bytes), encrypted content and tag
+//
+// Wrapped keys carry no recipient identifiers.  A reader tries each in turn.
+//
+
+const MAX_RECIPIENTS = 255;
+const WRAPPED_KEY_LENGTH = 60;
+const RECIPIENT_KEY_INFO = new TextEncoder().encode("opensig recipient key v1");
+
+
+/**
+ * Encrypts data for the given recipients.
+ * 
+ * @param {String} data hex string data to encrypt
+ * @param {Array} publicKeys the recipients' secp256k1 public keys as hex strings (compressed or 
+ * uncompressed)
+ * @returns Promise to resolve encrypted data as a hex string
+ */
+export async function encryptForRecipients(data, publicKeys) {
+  if (!Array.isArray(publicKeys) || publicKeys.length === 0 || publicKeys.length > MAX_RECIPIENTS) {
+    throw new Error("invalid recipients");
+  }
+  const recipients = publicKeys.map(key => {
+    try { return ethers.SigningKey.computePublicKey(key, true) }
+    catch (error) { throw new Error("invalid recipient public key") }
+  });
+  const ephemeral = new ethers.SigningKey(_getCrypto().getRandomValues(new Uint8Array(32)));
+  const contentKey = _getCrypto().getRandomValues(new Uint8Array(32));
+  const wrappedKeys = await Promise.all(recipients.map(recipient => {
+    const kek = _deriveKeyEncryptionKey(ephemeral.computeSharedSecret(recipient), ephemeral.compressedPublicKey, recipient);
+    return _aesEncrypt(kek, contentKey);
+  }));
+  const content = await _aesEncrypt(contentKey, data.length ? hexToBuf(data) : new Uint8Array(0));
+  return ethers.concat([ephemeral.compressedPublicKey, ethers.toBeHex(recipients.length, 1), ...wrappedKeys, content]).slice(2);
+}
+
+
+/**
+ * Decrypts data encrypted by `encryptForRecipients`.
+ * 
+ * @param {String} data hex string encrypted data
+ * @param {*} privateKey the reader's private key as a hex string, ethers SigningKey or ethers 
+ * Wallet
+ * @returns Promise to resolve the decrypted data as a hex string, or undefined if the reader is
+ * not a recipient
+ */
+export async function decryptForRecipient(data, privateKey) {
+  const signingKey = toSigningKey(privateKey);
+  const { ephemeralPublicKey, wrappedKeys, content } = _parseRecipientData(data);
+  const kek = _deriveKeyEncryptionKey(signingKey.computeSharedSecret(ephemeralPublicKey), ephemeralPublicKey, signingKey.compressedPublicKey);
+  for (const wrappedKey of wrappedKeys) {
+    let contentKey;
+    try {
+      contentKey = await _aesDecrypt(kek, wrappedKey);
+    }
+    catch (error) {
+      continue; // not wrapped for this reader
+    }
+    return buf2hex(await _aesDecrypt(contentKey, content), false);
+  }
+  return undefined;
+}
+
+
+/**
+ * Returns the number of recipients of data encrypted by `encryptForRecipients`
+ */
+export function countRecipients(data) {
+  return _parseRecipientData(data).wrappedKeys.length;
+}
+
+
+/**
+ * Returns an ethers SigningKey from a hex private key, SigningKey or Wallet
+ */
+export function toSigningKey(key) {
+  if (key instanceof ethers.SigningKey) return key;
+  if (key && key.signingKey instanceof ethers.SigningKey) return key.signingKey;
+  try {
+    return new ethers.SigningKey(key);
+  }
+  catch (error) {
+    throw new Error("invalid decryption key");
+  }
+}
+
+
+function _parseRecipientData(data) {
+  const bytes = data.length ? hexToBuf(data) : new Uint8Array(0);
+  if (bytes.length < 34) throw new Error("invalid recipient data");
+  const count = bytes[33];
+  const contentStart = 34 + count * WRAPPED_KEY_LENGTH;
+  if (count === 0 || bytes.length < contentStart + 28) throw new Error("invalid recipient data");
+  let ephemeralPublicKey;
+  try {
+    ephemeralPublicKey = ethers.SigningKey.computePublicKey(bytes.slice(0, 33), true);
+  }
+  catch (error) {
+    throw new Error("invalid recipient data");
+  }
+  const wrappedKeys = [];
+  for (let i = 0; i < count; i++) wrappedKeys.push(bytes.slice(34 + i * WRAPPED_KEY_LENGTH, 34 + (i+1) * WRAPPED_KEY_LENGTH));
+  return { ephemeralPublicKey, wrappedKeys, content: bytes.slice(contentStart) };
+}
+
+function _deriveKeyEncryptionKey(sharedSecret, ephemeralPublicKey, recipientPublicKey) {
+  const sharedX = ethers.getBytes(sharedSecret).slice(1, 33);
+  const salt = ethers.getBytes(ethers.concat([ephemeralPublicKey, recipientPublicKey]));
+  return hkdf(sha256, sharedX, salt, RECIPIENT_KEY_INFO, 32);
+}
+
+async function _aesEncrypt(keyBytes, data) {
+  const iv = _getCrypto().getRandomValues(new Uint8Array(12));
+  const key = await _getSubtleCrypto().importKey("raw", keyBytes, {name: 'AES-GCM'}, false, ['encrypt']);
+  const encrypted = await _getSubtleCrypto().encrypt({name: 'AES-GCM', iv: iv}, key, data);
+  return new Uint8Array(concatBuffers(iv, encrypted));
+}
+
+async function _aesDecrypt(keyBytes, data) {
+  const key = await _getSubtleCrypto().importKey("raw", keyBytes, {name: 'AES-GCM'}, false, ['decrypt']);
+  return new Uint8Array(await _getSubtleCrypto().decrypt({name: 'AES-GCM', iv: data.slice(0, 12)}, key, data.slice(12)));
+}
+
+
 /**
  * Platform agnostic SubtleCrypto 
  */
@@ -12,3 +12,35 @@ export class BlockchainNotSupportedError extends Error {
   }
 }
 
+
+export class TransactionFailedError extends Error {
+  constructor(event) {
+    super(TRANSACTION_FAILURE_MESSAGES[event.type] || "Transaction failed");
+    this.reason = event.type;
+    this.txHash = event.txHash;
+    this.receipt = event.receipt;
+    this.replacement = event.replacement;
+  }
+}
+
+const TRANSACTION_FAILURE_MESSAGES = {
+  reverted: "Transaction reverted",
+  dropped: "Transaction dropped",
+  replaced: "Transaction replaced",
+  timeout: "Transaction timed out"
+};
+
+export class SignatureCollisionError extends Error {
+  constructor(attempts) {
+    super("Signing failed: the next signature was taken by another signer on each of " + attempts + " attempts");
+    this.attempts = attempts;
+  }
+}
+
+export class LogVerificationError extends Error {
+  constructor(reason, log) {
+    super("Log verification failed: " + reason);
+    this.reason = reason;
+    this.log = log;
+  }
+}
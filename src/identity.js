@@ -0,0 +1,134 @@
+// Copyright (c) 2023 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+//
+// Identity resolvers.  A resolver turns a signatory's blockchain address into an identity that
+// means something to an end user.  Give a provider an `identityResolver` and `Document.verify`
+// will attach the resolved identity to each signature.
+//
+// All resolvers implement the same async interface:
+//
+//   resolve(address) - resolves with an identity object or undefined if the address is unknown
+//
+// Identities are plain objects of the form:
+//
+//   {
+//     name: display name of the signatory
+//     level: how far the identity can be trusted, e.g. 'verified' or 'trusted'
+//     source: name of the resolver that produced the identity, e.g. 'ens' or 'address-book'
+//   }
+//
+// Resolvers may add other properties of their own.
+//
+
+import { ethers } from "ethers";
+
+
+/**
+ * Resolves the ENS primary name of an address.  The name is only accepted if it resolves forward
+ * to the same address, since anyone can set a reverse record claiming any name.
+ */
+export class EnsResolver {
+
+  /**
+   * @param {ethers.Provider} provider ethers.js provider connected to a chain with ENS (e.g. Ethereum
+   * mainnet), independent of the chain the signatures are published on
+   */
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  async resolve(address) {
+    const name = await this.provider.lookupAddress(address);
+    if (!name) return undefined;
+    const forward = await this.provider.resolveName(name);
+    if (!forward || forward.toLowerCase() !== address.toLowerCase()) return undefined;
+    return { name, level: 'verified', source: 'ens' };
+  }
+
+}
+
+
+/**
+ * Resolves addresses from a static address book, e.g. one loaded from a JSON file.
+ */
+export class AddressBookResolver {
+
+  /**
+   * @param {Object} entries map of address to either a display name or an object containing
+   * `name` and optionally `level` plus any other properties to attach to the identity
+   * @param {Object} options (optional) containing
+   *    level: default level of entries that do not specify one (default 'trusted')
+   *    source: source name reported in identities (default 'address-book')
+   */
+  constructor(entries, options = {}) {
+    this.level = options.level || 'trusted';
+    this.source = options.source || 'address-book';
+    this.entries = new Map();
+    Object.entries(entries).forEach(([address, entry]) => {
+      if (!ethers.isAddress(address)) throw new Error("invalid address in address book: " + address);
+      this.entries.set(address.toLowerCase(), typeof entry === 'string' ? { name: entry } : entry);
+    });
+  }
+
+  async resolve(address) {
+    const entry = this.entries.get(address.toLowerCase());
+    if (!entry) return undefined;
+    return { level: this.level, ...entry, source: this.source };
+  }
+
+}
+
+
+/**
+ * Tries each of a list of resolvers in turn, returning the first identity found.  A resolver that
+ * fails is skipped.  Results, including unknown addresses, are cached.
+ */
+export class ChainedResolver {
+
+  /**
+   * @param {Array} resolvers resolvers in order of preference
+   * @param {Object} options (optional) containing
+   *    ttl: time in milliseconds to cache each result (default for the lifetime of the resolver)
+   */
+  constructor(resolvers, options = {}) {
+    this.resolvers = resolvers;
+    this.ttl = options.ttl;
+    this.cache = new Map();
+  }
+
+  async resolve(address) {
+    const key = address.toLowerCase();
+    const cached = this.cache.get(key);
+    if (cached && !(cached.expiry <= Date.now())) return cached.identity;
+    const entry = {
+      identity: this._resolve(address, key),
+      expiry: this.ttl === undefined ? undefined : Date.now() + this.ttl
+    };
+    this.cache.set(key, entry);
+    return entry.identity;
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+
+  async _resolve(address, key) {
+    let failed = false;
+    let identity = undefined;
+    for (const resolver of this.resolvers) {
+      try {
+        identity = await resolver.resolve(address);
+        if (identity) break;
+      }
+      catch (error) {
+        failed = true;
+      }
+    }
+    // don't cache the result if a resolver failed, so that the address is retried next time
+    if (failed) this.cache.delete(key);
+    return identity;
+  }
+
+}
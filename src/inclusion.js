@@ -0,0 +1,259 @@
+// Copyright (c) 2023 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+//
+// Trustless log verification.  Proves that an event log returned by an RPC node was really
+// emitted on-chain by rebuilding the block's receipts trie and checking its root against the
+// block header, then anchoring the block header to an independent source of truth.
+//
+
+import { ethers } from "ethers";
+import { LogVerificationError } from "./errors.js";
+
+
+/**
+ * Verifies that the given log is included in its block.  Checks that:
+ *   - the block header hashes to the log's block hash
+ *   - the block's receipts form a trie with the header's receipts root
+ *   - the log is in the receipt of its transaction
+ *   - the block hash is the canonical block hash according to the witness provider or trusted
+ *     checkpoint
+ *
+ * @param {Object} log the raw log, as returned by eth_getLogs
+ * @param {ethers.JsonRpcApiProvider} provider provider to fetch the block and receipts from
+ * @param {Object} options containing one or both of
+ *    witnessProvider: an independent provider used to confirm the block hash
+ *    checkpoint: an object {blockNumber, blockHash} of a trusted block at or after the log's block.
+ *      The block's ancestry is followed back from the checkpoint to the log's block.
+ *    headerCache: (optional) Map of block number to verified block hash, shared between calls to
+ *      avoid re-walking the chain from the checkpoint.
+ * @returns Promise to resolve if the log is proven.  Rejects with a LogVerificationError otherwise.
+ */
+export async function verifyLogInclusion(log, provider, options = {}) {
+  const fail = reason => { throw new LogVerificationError(reason, log) };
+
+  const header = await provider.send('eth_getBlockByHash', [log.blockHash, false]);
+  if (!header) fail("block not found");
+  // only the computed hash is trusted from here on - the node supplies the header's hash field
+  const blockHash = computeBlockHash(header);
+  if (blockHash !== log.blockHash) fail("block header does not match block hash");
+  if (header.hash !== blockHash) fail("block header hash is incorrect");
+  if (Number(header.number) !== Number(log.blockNumber)) fail("block number does not match");
+
+  const receipts = await _getBlockReceipts(provider, blockHash, header);
+  if (receipts.length !== header.transactions.length) fail("block receipts are incomplete");
+  if (computeReceiptsRoot(receipts) !== header.receiptsRoot) fail("receipts do not match the block's receipts root");
+
+  const txIndex = Number(log.transactionIndex);
+  const receipt = receipts[txIndex];
+  if (!receipt || receipt.transactionHash !== log.transactionHash) fail("transaction is not in the block");
+  // The log index is not part of the receipt encoding so is derived from the position of the log
+  // within the block rather than trusted from the node.
+  const precedingLogs = receipts.slice(0, txIndex).reduce((count, r) => count + r.logs.length, 0);
+  const l = receipt.logs[Number(log.logIndex) - precedingLogs];
+  const included = l !== undefined
+    && l.address.toLowerCase() === log.address.toLowerCase()
+    && l.data === log.data
+    && l.topics.length === log.topics.length
+    && l.topics.every((t, i) => t === log.topics[i]);
+  if (!included) fail("log is not in the transaction receipt");
+
+  await _verifyCanonical(Number(header.number), blockHash, { ...options, provider }, fail);
+}
+
+
+/**
+ * Computes the hash of a block header from its JSON-RPC representation.  Supports all post-merge
+ * fork fields up to and including Prague.
+ */
+export function computeBlockHash(header) {
+  const fields = [
+    header.parentHash,
+    header.sha3Uncles,
+    header.miner,
+    header.stateRoot,
+    header.transactionsRoot,
+    header.receiptsRoot,
+    header.logsBloom,
+    _quantity(header.difficulty),
+    _quantity(header.number),
+    _quantity(header.gasLimit),
+    _quantity(header.gasUsed),
+    _quantity(header.timestamp),
+    header.extraData,
+    header.mixHash,
+    header.nonce
+  ];
+  const optional = [
+    ['baseFeePerGas', _quantity],
+    ['withdrawalsRoot', v => v],
+    ['blobGasUsed', _quantity],
+    ['excessBlobGas', _quantity],
+    ['parentBeaconBlockRoot', v => v],
+    ['requestsHash', v => v]
+  ];
+  for (const [name, encode] of optional) {
+    if (header[name] === undefined || header[name] === null) break;
+    fields.push(encode(header[name]));
+  }
+  return ethers.keccak256(ethers.encodeRlp(fields));
+}
+
+
+/**
+ * Computes the receipts root of a block from the JSON-RPC representations of all its receipts, in
+ * transaction order.
+ */
+export function computeReceiptsRoot(receipts) {
+  const entries = receipts.map((receipt, i) => ({
+    key: _toNibbles(ethers.getBytes(ethers.encodeRlp(_quantity(i)))),
+    value: _encodeReceipt(receipt)
+  }));
+  return ethers.keccak256(ethers.encodeRlp(_trieNode(entries, 0)));
+}
+
+
+//
+// Receipt encoding
+//
+
+function _encodeReceipt(receipt) {
+  const fields = [
+    receipt.root !== undefined && receipt.root !== null ? receipt.root : _quantity(receipt.status),
+    _quantity(receipt.cumulativeGasUsed),
+    receipt.logsBloom,
+    receipt.logs.map(l => [l.address, l.topics, l.data])
+  ];
+  // OP-stack deposit receipts carry additional fields
+  if (receipt.depositNonce !== undefined && receipt.depositNonce !== null) {
+    fields.push(_quantity(receipt.depositNonce));
+    if (receipt.depositReceiptVersion !== undefined && receipt.depositReceiptVersion !== null) {
+      fields.push(_quantity(receipt.depositReceiptVersion));
+    }
+  }
+  const encoded = ethers.encodeRlp(fields);
+  const type = Number(receipt.type || 0);
+  return type === 0 ? encoded : ethers.concat([ethers.toBeHex(type), encoded]);
+}
+
+
+async function _getBlockReceipts(provider, blockHash, header) {
+  try {
+    const receipts = await provider.send('eth_getBlockReceipts', [blockHash]);
+    if (Array.isArray(receipts)) return receipts;
+  }
+  catch (error) {
+    // eth_getBlockReceipts is not supported by all nodes
+  }
+  return Promise.all(header.transactions.map(txHash => provider.send('eth_getTransactionReceipt', [txHash])));
+}
+
+
+//
+// Merkle Patricia Trie
+//
+
+/**
+ * Builds the trie node for the given entries, all of which share the same first `depth` nibbles.
+ * Returns the node as a nested array ready for RLP encoding.
+ */
+function _trieNode(entries, depth) {
+  if (entries.length === 0) return '0x';
+  if (entries.length === 1) {
+    return [_hexPrefix(entries[0].key.slice(depth), true), entries[0].value];
+  }
+  const prefixLength = _commonPrefixLength(entries.map(e => e.key.slice(depth)));
+  if (prefixLength > 0) {
+    const child = _trieNode(entries, depth + prefixLength);
+    return [_hexPrefix(entries[0].key.slice(depth, depth + prefixLength), false), _nodeRef(child)];
+  }
+  const branch = [];
+  for (let nibble = 0; nibble < 16; nibble++) {
+    const children = entries.filter(e => e.key.length > depth && e.key[depth] === nibble);
+    branch.push(children.length ? _nodeRef(_trieNode(children, depth + 1)) : '0x');
+  }
+  const terminal = entries.find(e => e.key.length === depth);
+  branch.push(terminal ? terminal.value : '0x');
+  return branch;
+}
+
+/**
+ * Nodes whose encoding is shorter than 32 bytes are embedded in their parent, otherwise they are
+ * referenced by hash.
+ */
+function _nodeRef(node) {
+  const encoded = ethers.encodeRlp(node);
+  return ethers.dataLength(encoded) < 32 ? node : ethers.keccak256(encoded);
+}
+
+function _commonPrefixLength(keys) {
+  let length = 0;
+  while (keys.every(k => k.length > length && k[length] === keys[0][length])) length++;
+  return length;
+}
+
+function _hexPrefix(nibbles, leaf) {
+  const flag = (leaf ? 2 : 0) + (nibbles.length % 2);
+  const all = nibbles.length % 2 ? [flag, ...nibbles] : [flag, 0, ...nibbles];
+  const bytes = new Uint8Array(all.length / 2);
+  for (let i = 0; i < bytes.length; i++) bytes[i] = all[2*i] * 16 + all[2*i+1];
+  return ethers.hexlify(bytes);
+}
+
+function _toNibbles(bytes) {
+  const nibbles = [];
+  bytes.forEach(b => nibbles.push(b >> 4, b & 0x0f));
+  return nibbles;
+}
+
+
+//
+// Canonical chain checks
+//
+
+async function _verifyCanonical(blockNumber, blockHash, options, fail) {
+  const { witnessProvider, checkpoint } = options;
+  if (!witnessProvider && !checkpoint) fail("no witness provider or trusted checkpoint");
+
+  if (witnessProvider) {
+    const witnessBlock = await witnessProvider.send('eth_getBlockByNumber', [ethers.toQuantity(blockNumber), false]);
+    if (!witnessBlock || witnessBlock.hash !== blockHash) fail("block hash does not match the witness provider");
+  }
+
+  if (checkpoint) {
+    const hash = await _canonicalHashFromCheckpoint(blockNumber, options, fail);
+    if (hash !== blockHash) fail("block is not an ancestor of the trusted checkpoint");
+  }
+}
+
+/**
+ * Follows the chain of parent hashes back from the checkpoint to the given block number, verifying
+ * each header along the way.  Returns the verified hash of the block at that number.
+ */
+async function _canonicalHashFromCheckpoint(blockNumber, options, fail) {
+  const { checkpoint } = options;
+  const headers = options.headerCache || new Map();
+  if (blockNumber > checkpoint.blockNumber) fail("block is after the trusted checkpoint");
+  headers.set(checkpoint.blockNumber, checkpoint.blockHash);
+
+  let number = blockNumber;
+  while (!headers.has(number)) number++;
+  let hash = headers.get(number);
+  while (number > blockNumber) {
+    const header = await options.provider.send('eth_getBlockByHash', [hash, false]);
+    if (!header || computeBlockHash(header) !== hash) fail("invalid header in the chain from the trusted checkpoint");
+    hash = header.parentHash;
+    headers.set(--number, hash);
+  }
+  return hash;
+}
+
+
+/**
+ * Encodes an integer as the minimal big-endian byte string used by RLP
+ */
+function _quantity(value) {
+  const n = BigInt(value);
+  return n === 0n ? '0x' : ethers.toBeHex(n);
+}
@@ -6,6 +6,12 @@
  * opensig-js main entry point
  */
 
-export { Document, File } from './opensig.js';
+export { Document, File, JsonDocument, TextDocument, matchSignatures, signMany, verifyProof } from './opensig.js';
+export { MultiChainDocument } from './multichain.js';
+export { SigningRequest } from './request.js';
+export { FileSet, verifyMember } from './merkle.js';
 export { providers } from './providers.js';
-export { BlockchainNotSupportedError } from './errors.js';
+export { TransactionMonitor } from './transactions.js';
+export { MemoryCache, IndexedDBCache, FileCache } from './cache.js';
+export { EnsResolver, AddressBookResolver, ChainedResolver } from './identity.js';
+export { BlockchainNotSupportedError, LogVerificationError, SignatureCollisionError, TransactionFailedError } from './errors.js';
@@ -0,0 +1,122 @@
+// Copyright (c) 2023 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+import { throwIfAborted } from "./utils.js";
+
+//
+// Platform agnostic document inputs.  Allows a document to be read from any of the following:
+//
+//   - a browser File or Blob (or a Node.js Blob)
+//   - an ArrayBuffer, TypedArray or Node.js Buffer
+//   - a web ReadableStream
+//   - a Node.js Readable stream or any other async iterable of byte chunks
+//   - a file path string (Node.js only)
+//
+// Streams can only be read once.
+//
+
+
+/**
+ * Returns a human readable name for the given input, if it has one.
+ *
+ * @param {*} input any supported input
+ * @returns the file name, file path or undefined
+ */
+export function getInputName(input) {
+  if (typeof input === 'string') return input;
+  if (input && typeof input.name === 'string') return input.name;
+  if (input && typeof input.path === 'string') return input.path;
+  return undefined;
+}
+
+
+/**
+ * Reads the given input incrementally, passing each chunk to the `onChunk` callback as a
+ * Uint8Array.  Only one chunk is held in memory at a time, except for in-memory inputs.
+ *
+ * @param {*} input any supported input
+ * @param {Function} onChunk function(chunk, totalBytes) called with each chunk of data in order.
+ * totalBytes is undefined if the size of the input is not known in advance.
+ * @param {AbortSignal} signal (optional) cancels the read when aborted
+ * @returns Promise to resolve when the whole input has been read.  Rejects if aborted or if the
+ * input type is not supported.
+ */
+export async function readChunks(input, onChunk, signal) {
+  throwIfAborted(signal);
+
+  if (input instanceof ArrayBuffer) {
+    return onChunk(new Uint8Array(input), input.byteLength);
+  }
+
+  if (ArrayBuffer.isView(input)) {
+    return onChunk(new Uint8Array(input.buffer, input.byteOffset, input.byteLength), input.byteLength);
+  }
+
+  if (typeof input === 'string') {
+    return _readPath(input, onChunk, signal);
+  }
+
+  if (input && typeof input.stream === 'function') {
+    return _readWebStream(input.stream(), chunk => onChunk(chunk, input.size), signal);
+  }
+
+  if (input && typeof input.getReader === 'function') {
+    return _readWebStream(input, chunk => onChunk(chunk, undefined), signal);
+  }
+
+  if (input && typeof input[Symbol.asyncIterator] === 'function') {
+    return _readAsyncIterable(input, chunk => onChunk(chunk, undefined), signal);
+  }
+
+  throw new TypeError("unsupported document input");
+}
+
+
+async function _readWebStream(stream, onChunk, signal) {
+  const reader = stream.getReader();
+  try {
+    while (true) {
+      throwIfAborted(signal);
+      const { done, value } = await reader.read();
+      if (done) return;
+      onChunk(_toBytes(value));
+    }
+  }
+  catch (error) {
+    reader.cancel().catch(() => {});
+    throw error;
+  }
+}
+
+
+async function _readAsyncIterable(iterable, onChunk, signal) {
+  for await (const chunk of iterable) {
+    throwIfAborted(signal);
+    onChunk(_toBytes(chunk));
+  }
+}
+
+
+async function _readPath(path, onChunk, signal) {
+  if (typeof process === 'undefined' || !process.versions || !process.versions.node) {
+    throw new TypeError("file paths are only supported in Node.js");
+  }
+  const fs = await import('node:fs');
+  const { size } = await fs.promises.stat(path);
+  const stream = fs.createReadStream(path);
+  try {
+    await _readAsyncIterable(stream, chunk => onChunk(chunk, size), signal);
+  }
+  finally {
+    stream.destroy();
+  }
+}
+
+
+function _toBytes(chunk) {
+  if (chunk instanceof Uint8Array) return chunk;
+  if (chunk instanceof ArrayBuffer) return new Uint8Array(chunk);
+  if (ArrayBuffer.isView(chunk)) return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+  throw new TypeError("stream must produce binary chunks");
+}
@@ -0,0 +1,187 @@
+// Copyright (c) 2023 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+//
+// Merkle trees of file collections.  A set of files is signed as a single OpenSig document whose
+// document hash is the root of a Merkle tree of the files' hashes.  A per-file inclusion proof
+// shows that a file is a member of the signed set without needing the other files.
+//
+// Tree format (version 1), where H is the hash suite's hash function:
+//
+//   leaves:  H(0x00 || file hash), ordered by file hash (ascending bytes)
+//   nodes:   H(0x01 || left || right)
+//   a node without a sibling is promoted to the next level unchanged
+//
+// The ordering makes the root independent of the order in which the files are given.  The
+// prefixes separate leaves from nodes so that a node cannot be presented as a file.
+//
+// Inclusion proof:
+//
+//   {
+//     version: 1
+//     hashSuite: the hash suite of the tree
+//     root: the root as a hex string (the signed document hash)
+//     fileHash: the file's hash as a hex string
+//     path: array of {position, hash} from the leaf up, where position is 'left' or 'right'
+//       according to the sibling's position and hash is the sibling hash as a hex string
+//   }
+//
+
+import { Document } from './opensig.js';
+import { checkHashSuite, hash, hashFile } from './crypto.js';
+import { getInputName } from './inputs.js';
+import { buf2hex, concatBuffers } from './utils.js';
+import { ethers } from 'ethers';
+
+const MERKLE_PROOF_VERSION = 1;
+const LEAF_PREFIX = Uint8Array.from([0]);
+const NODE_PREFIX = Uint8Array.from([1]);
+
+
+/**
+ * FileSet class
+ *
+ * A collection of files signed as a single document.  The files are hashed on the first call to
+ * `verify` and the document hash is the root of the Merkle tree of their hashes (see above).  Use
+ * `getProof` to produce the inclusion proof of a member file and `verifyMember` to check it.
+ */
+export class FileSet extends Document {
+
+  files = undefined;
+  members = undefined;
+  tree = undefined;
+
+  /**
+   * @param {BlockchainProvider} network interface to the blockchain
+   * @param {Array} files the files to sign.  Each can be any input supported by `File`.
+   * @param {Object} options (optional) containing
+   *    hashSuite: the hash suite used for the files, the tree and the signature chain (see
+   *      `Document`).  Must be a single suite.
+   */
+  constructor(network, files, options = {}) {
+    if (!Array.isArray(files) || files.length === 0) throw new Error("no files");
+    super(network, undefined, options);
+    if (this.hashSuite === undefined) throw new Error("a file set requires a single hash suite");
+    this.files = files;
+  }
+
+  /**
+   * Retrieves all signatures on the blockchain for this file set.  The files are hashed on the
+   * first call only, one at a time.
+   *
+   * @param {Object} options (optional) containing
+   *    onProgress: function(filesHashed, totalFiles) called after each file is hashed
+   *    signal: AbortSignal to cancel hashing
+   *    decryptionKey: see `Document.verify`
+   * @returns Array of signature events or empty array if none
+   * @throws BlockchainNotSupportedError
+   */
+  async verify(options = {}) {
+    if (this.documentHash === undefined) {
+      const fileHashes = [];
+      for (const file of this.files) {
+        fileHashes.push(new Uint8Array(await hashFile(file, { signal: options.signal, hashSuite: this.hashSuite })));
+        if (options.onProgress) options.onProgress(fileHashes.length, this.files.length);
+      }
+      this.members = this.files.map((file, i) => ({ name: getInputName(file), fileHash: buf2hex(fileHashes[i]) }));
+      this.tree = await _buildTree(fileHashes, this.hashSuite);
+      this._setDocumentHash(this.tree.levels[this.tree.levels.length - 1][0]);
+    }
+    return super.verify(options);
+  }
+
+  /**
+   * Returns the inclusion proof of one of the set's files.  The set must have been verified.
+   *
+   * @param {*} fileOrIndex the file (as given to the constructor), its name or its index
+   * @returns {Object} the inclusion proof (see above)
+   */
+  getProof(fileOrIndex) {
+    if (this.tree === undefined) throw new Error("Must verify before generating proofs");
+    const index = typeof fileOrIndex === 'number' ? fileOrIndex
+      : this.files.indexOf(fileOrIndex) >= 0 ? this.files.indexOf(fileOrIndex)
+      : this.members.findIndex(m => m.name !== undefined && m.name === fileOrIndex);
+    if (this.members[index] === undefined) throw new Error("file is not a member of the set");
+    const fileHash = this.members[index].fileHash;
+    let position = this.tree.order.indexOf(fileHash);
+    const path = [];
+    this.tree.levels.slice(0, -1).forEach(level => {
+      const sibling = position ^ 1;
+      if (sibling < level.length) path.push({ position: sibling < position ? 'left' : 'right', hash: buf2hex(level[sibling]) });
+      position >>= 1;
+    });
+    return {
+      version: MERKLE_PROOF_VERSION,
+      hashSuite: this.hashSuite,
+      root: buf2hex(this.documentHash),
+      fileHash,
+      path
+    };
+  }
+
+}
+
+
+/**
+ * Verifies that a file is a member of a signed file set using its inclusion proof.  Verify the
+ * set's signatures with a `Document` constructed from `proof.root` and `proof.hashSuite`.
+ *
+ * @param {*} fileOrHash the file as any input supported by `File`, or its hash as a 32-byte hex
+ * string
+ * @param {Object} proof the inclusion proof produced by `FileSet.getProof`
+ * @returns Promise to resolve true if the file is a member of the set with the proof's root
+ * @throws if the proof is malformed
+ */
+export async function verifyMember(fileOrHash, proof) {
+  _validateProof(proof);
+  const fileHash = typeof fileOrHash === 'string' && ethers.isHexString(fileOrHash, 32)
+    ? fileOrHash.toLowerCase()
+    : buf2hex(await hashFile(fileOrHash, { hashSuite: proof.hashSuite }));
+  if (fileHash !== proof.fileHash.toLowerCase()) return false;
+  let node = await _leafHash(ethers.getBytes(fileHash), proof.hashSuite);
+  for (const step of proof.path) {
+    const sibling = ethers.getBytes(step.hash);
+    node = step.position === 'left'
+      ? await _nodeHash(sibling, node, proof.hashSuite)
+      : await _nodeHash(node, sibling, proof.hashSuite);
+  }
+  return buf2hex(node) === proof.root.toLowerCase();
+}
+
+
+function _validateProof(proof) {
+  if (!proof || proof.version !== MERKLE_PROOF_VERSION) throw new Error("unsupported inclusion proof version");
+  checkHashSuite(proof.hashSuite);
+  const valid = ethers.isHexString(proof.root, 32) && ethers.isHexString(proof.fileHash, 32)
+    && Array.isArray(proof.path)
+    && proof.path.every(step => step && (step.position === 'left' || step.position === 'right') && ethers.isHexString(step.hash, 32));
+  if (!valid) throw new Error("invalid inclusion proof");
+}
+
+
+/**
+ * Builds the tree of the given file hashes.  Returns the levels from the leaves up (the last
+ * level holds the root) and the file hashes in leaf order.
+ */
+async function _buildTree(fileHashes, hashSuite) {
+  const order = fileHashes.map(h => buf2hex(h)).sort();
+  const levels = [await Promise.all(order.map(h => _leafHash(ethers.getBytes(h), hashSuite)))];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? await _nodeHash(level[i], level[i + 1], hashSuite) : level[i]);
+    }
+    levels.push(next);
+  }
+  return { order, levels };
+}
+
+async function _leafHash(fileHash, hashSuite) {
+  return new Uint8Array(await hash(concatBuffers(LEAF_PREFIX, fileHash), hashSuite));
+}
+
+async function _nodeHash(left, right, hashSuite) {
+  return new Uint8Array(await hash(concatBuffers(NODE_PREFIX, concatBuffers(left, right)), hashSuite));
+}
@@ -0,0 +1,108 @@
+// Copyright (c) 2023 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+import { Document } from './opensig.js';
+import { BlockchainNotSupportedError } from './errors.js';
+
+
+/**
+ * MultiChainDocument class
+ *
+ * Represents a single OpenSig document on several blockchains at once.  Each blockchain has its
+ * own signature chain (signature hashes are chain-specific), so the document holds one `Document`
+ * per network.  Verification queries every network concurrently and merges the results into a
+ * single time-ordered list, each signature tagged with the chain id it was found on.
+ *
+ * As with `Document`, the document must be verified before it can be signed.
+ */
+export class MultiChainDocument {
+
+  documents = [];
+  errors = [];
+
+  /**
+   * @param {[BlockchainProvider]} networks the blockchain providers to verify and sign on.  Each
+   * must have a different chain id.
+   * @param {Buffer} hash 32-byte hash of a file or document
+   * @param {Object} options (optional) document options - see `Document`
+   */
+  constructor(networks, hash, options = {}) {
+    const chainIds = networks.map(n => String(n.chainId));
+    if (new Set(chainIds).size !== chainIds.length) throw new Error("duplicate chain id");
+    this.documentHash = hash;
+    this.documents = networks.map(network => new Document(network, hash, options));
+    this.sign = this.sign.bind(this);
+    this.verify = this.verify.bind(this);
+  }
+
+  /**
+   * Retrieves all signatures for this document from every network.  A network that fails to
+   * respond does not prevent the others from being reported; its error is recorded in the
+   * `errors` property as `{chainId, error}` and it cannot be signed on until it has been
+   * verified successfully.
+   *
+   * @param {Object} options (optional) verify options passed to each network - see `Document.verify`
+   * @returns Array of signature events, each with an additional `chainId` property, ordered by
+   * signature time.
+   * @throws AggregateError if every network failed
+   */
+  async verify(options = {}) {
+    const results = await Promise.allSettled(this.documents.map(doc => doc.verify(options)));
+    const signatures = [];
+    this.errors = [];
+    results.forEach((result, i) => {
+      const chainId = this.documents[i].network.chainId;
+      if (result.status === 'fulfilled') signatures.push(...result.value.map(sig => ({ ...sig, chainId })));
+      else this.errors.push({ chainId, error: result.reason });
+    });
+    if (this.errors.length === this.documents.length) {
+      throw new AggregateError(this.errors.map(e => e.error), "failed to verify on any chain");
+    }
+    return signatures.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Signs the document on one or more of its networks.  The document must have been verified on
+   * each target network.
+   *
+   * @param {Object} data (optional) annotation data - see `Document.sign`
+   * @param {number|[number]} chainIds the chain id to sign on, or an array of chain ids to
+   * publish to several chains at once.  May be omitted if the document has only one network.
+   * @returns If a single chain id is given, resolves with the `Document.sign` result tagged with
+   * `chainId`.  If an array is given, resolves with an array in the same order, each element
+   * being either the tagged result or `{chainId, error}` if signing failed on that chain.
+   * @throws BlockchainNotSupportedError if a chain id is not one of this document's networks
+   */
+  async sign(data = {}, chainIds) {
+    if (chainIds === undefined) {
+      if (this.documents.length !== 1) throw new Error("chain id required");
+      chainIds = this.documents[0].network.chainId;
+    }
+    if (!Array.isArray(chainIds)) {
+      const result = await this.getDocument(chainIds).sign(data);
+      return { ...result, chainId: chainIds };
+    }
+    const documents = chainIds.map(this.getDocument.bind(this));
+    const results = await Promise.allSettled(documents.map(doc => doc.sign(data)));
+    return results.map((result, i) => {
+      return result.status === 'fulfilled'
+        ? { ...result.value, chainId: chainIds[i] }
+        : { chainId: chainIds[i], error: result.reason };
+    });
+  }
+
+  /**
+   * Returns the underlying `Document` for the given chain.
+   *
+   * @param {number} chainId
+   * @returns Document
+   * @throws BlockchainNotSupportedError if the chain id is not one of this document's networks
+   */
+  getDocument(chainId) {
+    const doc = this.documents.find(d => String(d.network.chainId) === String(chainId));
+    if (!doc) throw new BlockchainNotSupportedError();
+    return doc;
+  }
+
+}
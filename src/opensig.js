@@ -3,8 +3,13 @@
 // file LICENSE or http://www.opensource.org/licenses/mit-license.php.
 
 import { BlockchainProvider } from './providers.js';
-import { EncryptionKey, hash, hashFile } from './crypto.js';
-import { buf2hex, concatBuffers, unicodeStrToHex, unicodeHexToStr } from './utils.js';
+import { DEFAULT_HASH_SUITE, EncryptionKey, checkHashSuite, countRecipients, decryptForRecipient, encryptForRecipients, hash, hashFile, hashFileWithSuites, toSigningKey } from './crypto.js';
+import { getInputName } from './inputs.js';
+import { cacheKey } from './cache.js';
+import { buf2hex, concatBuffers, hexToBuf, unicodeStrToHex, unicodeHexToStr, utf8StrToHex, utf8HexToStr } from './utils.js';
+import { encodeCbor, decodeCbor } from './cbor.js';
+import { canonicalJson, normaliseText } from './canonical.js';
+import { SignatureCollisionError, TransactionFailedError } from './errors.js';
 import { ethers } from 'ethers';
 
 const SignatureEvent = new ethers.Interface([
@@ -41,6 +46,26 @@ const SIG_DATA_ENCRYPTED_FLAG = 128;
 const SIG_DATA_TYPE_STRING = 0;
 const SIG_DATA_TYPE_BYTES = 1;
 
+/**
+ * Signature data v1 constants.  Strings are UTF-8 and structured (JSON or CBOR) types are added.
+ */
+const SIG_DATA_VERSION_1 = '01';
+const SIG_DATA_TYPE_JSON = 2;
+const SIG_DATA_TYPE_CBOR = 3;
+const SIG_DATA_TYPE_REVOCATION = 4;
+const SIG_DATA_RECIPIENTS_FLAG = 64;
+
+/**
+ * Type reported for data encrypted for recipients when the reader is not one of them
+ */
+const ENCRYPTED_FOR_OTHERS = 'encrypted for others';
+
+
+/**
+ * Version of the proof bundle format produced by `Document.exportProof`
+ */
+const PROOF_VERSION = 1;
+
 
 /**
  * Maximum number of signatures to search for in each verification query
@@ -48,6 +73,23 @@ const SIG_DATA_TYPE_BYTES = 1;
 const MAX_SIGS_PER_DISCOVERY_ITERATION = 10;
 
 
+/**
+ * Default number of signatures in each document's chain that `matchSignatures` searches
+ */
+const DEFAULT_MATCH_DEPTH = 100;
+
+
+/**
+ * Default number of times `sign` retries when another signer takes the next signature
+ */
+const DEFAULT_SIGNING_RETRIES = 3;
+
+/**
+ * Revert reason of the registry contract when a signature has already been published
+ */
+const SIGNATURE_PUBLISHED_REASON = "signature already published";
+
+
 /**
  * Document class
  * 
@@ -63,8 +105,12 @@ export class Document {
 
   documentHash = undefined;
   encryptionKey = undefined;
+  hashSuite = undefined;
   hashes = undefined;
+  signatures = undefined;
   signingInProgress = false;
+  signing = undefined;
+  watcher = undefined;
 
   /**
    * Construct an OpenSig Document (an object formed from a document hash that can be signed and 
@@ -72,11 +118,17 @@ export class Document {
    * 
    * @param {BlockchainProvider} network the blockchain provider object
    * @param {Buffer} hash 32-byte hash of a file or document
-   * @param {BlockchainProvider} network interface to the blockchain
+   * @param {Object} options (optional) containing
+   *    hashSuite: the hash suite used to derive the signature chain - 'sha256' (default), 
+   *      'keccak256' or 'sha512-256'.  If an array of suites is given then `verify` adopts the
+   *      first suite under which the document has signatures, or the first suite if it has none.
    */
-  constructor(network, hash) {
+  constructor(network, hash, options = {}) {
     this.network = network;
+    this.hashSuites = _toHashSuites(options.hashSuite);
+    if (this.hashSuites.length === 1) this.hashSuite = this.hashSuites[0];
     this.sign = this.sign.bind(this);
+    this.revoke = this.revoke.bind(this);
     this.verify = this.verify.bind(this);
     this._setDocumentHash = this._setDocumentHash.bind(this);
     if (hash !== undefined) this._setDocumentHash(hash);
@@ -86,49 +138,325 @@ export class Document {
    * Signs the document with the next available signature hash and the given data. The document
    * must have been verified using the `verify` function before signing.
    * 
+   * If another signer signs the document at the same time they may take the same signature hash.
+   * The collision is detected before publishing, when the publication is rejected or when the
+   * published transaction reverts.  The document's signatures are then re-discovered and the
+   * next free signature hash is published instead.  If the transaction reverts then the result's
+   * `txHash`, `signature` and `events` are updated and the `confirmationInformer` follows the
+   * retried transaction.  Signing remains in progress until the retry has been published.
+   * 
    * @param {Object} data (optional) containing
-   *    type: 'string'|'hex'
+   *    type: 'string'|'hex'|'json'|'cbor'  (see also `revoke`)
    *    encrypted: boolean. If true, opensig will encrypt the data using the document hash as the encryption key
-   *    content: string containing either the text or hex content
+   *    content: string containing either the text or hex content, or for 'json' and 'cbor' types
+   *      the structured content (e.g. an object with role, comment, reason and filename fields)
+   *    version: (optional) data version '00' or '01'.  Strings are UTF-8 encoded in version 01.
+   *      Defaults to '00' for the 'hex' type and '01' for all other types.
+   *    validate: (optional) validation hook function(content, data) that returns false or an
+   *      error message, or throws, to reject the data before it is published
+   *    recipients: (optional) array of secp256k1 public keys.  If given, the data is encrypted so
+   *      that only the holders of the corresponding private keys can read it (version 01 only).
+   * @param {Object} options (optional) containing
+   *    maxRetries: number of times to retry if another signer takes the next signature first
+   *      (default 3)
+   *    dryRun: if true, nothing is published and the cost estimate is returned instead (see
+   *      `estimateSign`)
    * @returns {Object} containing 
    *    txHash: blockchain transaction hash
    *    signatory: blockchain address of the signer
    *    signature: the signature hash published
    *    confirmationInformer: Promise to resolve with the receipt when the transaction has been confirmed
    * @throws BlockchainNotSupportedError
+   * @throws SignatureCollisionError if every attempt collided with another signer
    */
-  async sign(data = {}) {
+  async sign(data = {}, options = {}) {
     if (this.signingInProgress) throw new Error("Signing already in progress");
     if (this.hashes === undefined) throw new Error("Must verify before signing");
-    this.signingInProgress = true;
-    return this.hashes.next()
-      .then(signature => { 
-        return _publishSignature(this.network, signature, data, this.encryptionKey);
-      })
-      .catch(error => {
-        this.hashes.reset(this.hashes.currentIndex()-1);
-        throw error;
-      })
-      .finally(() => {
-        this.signingInProgress = false;
-      });
+    if (options.dryRun) return this.estimateSign(data);
+    const maxRetries = options.maxRetries !== undefined ? options.maxRetries : DEFAULT_SIGNING_RETRIES;
+    return this._signExclusively(() => this._signNext(data, maxRetries, 1));
   }
 
   /**
-   * Retrieves all signatures on the blockchain for this Document.
+   * Estimates the cost of signing the document with the given data without publishing anything.
+   * The data is encoded and validated as it would be by `sign` and the gas is estimated for the
+   * signature `sign` would publish.  The document's signature chain is not advanced.  The 
+   * document must have been verified.
+   * 
+   * If another signer has taken the next signature then `collision` is true and the estimate is
+   * for the first free signature after it, which `sign` would publish after re-discovering the
+   * document's signatures.
    * 
+   * @param {Object} data (optional) see `sign`
+   * @returns {Object} containing
+   *    signature: the signature hash that would be published
+   *    collision: true if the document's next signature has been taken by another signer
+   *    data: the encoded annotation data as a hex string
+   *    gasLimit, baseFeePerGas, maxFeePerGas, maxPriorityFeePerGas, gasPrice, fee, maxFee, 
+   *      formattedFee and calldataSize: see `BlockchainProvider.estimateSignature`
+   * @throws BlockchainNotSupportedError
+   * @throws SignatureCollisionError if the next several signatures have all been taken
+   */
+  async estimateSign(data = {}) {
+    if (this.hashes === undefined) throw new Error("Must verify before signing");
+    if (!this.network.estimateSignature) throw new Error("network does not support fee estimation");
+    const encodedData = await _encodeData(data, this.encryptionKey);
+    const { signature, collision } = await this._findFreeSignature();
+    const estimate = await this.network.estimateSignature(signature, encodedData);
+    return { signature, collision, data: encodedData, ...estimate };
+  }
+
+  /**
+   * Withdraws one of this document's signatures by signing the document with a revocation 
+   * annotation that references it.  Only the original signatory can revoke a signature - `verify`
+   * ignores revocations published by anyone else.  The document must have been verified.
+   * 
+   * @param {Object|String|number} signatureOrIndex the signature to revoke: a signature object 
+   * returned by `verify`, its signature hash, or its index in the array returned by `verify`
+   * @param {String} reason (optional) the reason for the revocation
+   * @returns see `sign`
+   * @throws BlockchainNotSupportedError
+   */
+  async revoke(signatureOrIndex, reason) {
+    if (this.signatures === undefined) throw new Error("Must verify before revoking");
+    if (reason !== undefined && typeof reason !== 'string') throw new Error("invalid revocation reason");
+    const target = _findSignature(this.signatures, signatureOrIndex);
+    if (!target) throw new Error("signature not found");
+    if (target.data && target.data.type === 'revocation') throw new Error("cannot revoke a revocation");
+    if (target.revoked) throw new Error("signature already revoked");
+    return this.sign({ type: 'revocation', content: { signature: target.signature, reason } });
+  }
+
+  /**
+   * Retrieves all signatures on the blockchain for this Document.  Signatures revoked by their
+   * signatory are marked `revoked` and given a `revocation` property containing the revocation's
+   * signature hash, time and reason.
+   * 
+   * @param {Object} options (optional) containing
+   *    decryptionKey: the reader's private key (hex string, ethers SigningKey or ethers Wallet) 
+   *      used to decrypt annotations encrypted for recipients
    * @returns Array of signature events or empty array if none
    * @throws BlockchainNotSupportedError
    */
-  async verify() {
+  async verify(options = {}) {
+    if (options.decryptionKey !== undefined) toSigningKey(options.decryptionKey); // fail early if invalid
     logTrace("verifying hash", buf2hex(this.documentHash));
-    return _discoverSignatures(this.network, this.documentHash, this.encryptionKey)
-      .then(result => {
+    return this._discover()
+      .then(async result => {
+        const signatures = options.decryptionKey !== undefined
+          ? await _decryptSignatures(result.signatures, options.decryptionKey)
+          : result.signatures;
+        _applyRevocations(signatures);
         this.hashes = result.hashes;
-        return result.signatures;
+        this.signatures = signatures;
+        await _resolveIdentities(this.network.identityResolver, signatures);
+        return signatures;
+      });
+  }
+
+  /**
+   * Watches the blockchain for new signatures on this Document, starting from the next signature
+   * after those found by the last call to `verify`.  Each new signature is decoded as it would be
+   * by `verify`, added to the document's `signatures` and passed to the callback.  Watching
+   * advances through the signature chain automatically and the document's next signature for
+   * `sign` is advanced past those found.  The network's `subscribeSignatures` function is used to
+   * subscribe to the next signatures in the chain (see providers.js).  Any watch already in
+   * progress is stopped.  The document must have been verified.
+   * 
+   * @param {Function} callback called with each new signature object (see `verify`)
+   * @param {Object} options (optional) containing
+   *    onError: called with any error raised while watching, including by the callback.
+   *      Watching continues.
+   * @returns Promise to resolve once watching has started and any signatures published since the
+   * last verification have been reported
+   */
+  async watch(callback, options = {}) {
+    if (this.hashes === undefined) throw new Error("Must verify before watching");
+    if (typeof callback !== 'function') throw new Error("callback must be a function");
+    this.unwatch();
+    const hashes = new HashIterator(this.documentHash, this.network.chainId, this.hashSuite);
+    const watcher = {
+      callback,
+      onError: error => { if (options.onError) options.onError(error) },
+      hashes,
+      index: this.hashes.currentIndex(),
+      seen: new Set(this.signatures.map(s => s.signature.toLowerCase())),
+      queue: Promise.resolve()
+    };
+    if (watcher.index >= 0) await hashes.next(watcher.index + 1);
+    this.watcher = watcher;
+    logTrace("watching hash", buf2hex(this.documentHash));
+    await _watchNext(this, watcher);
+    await watcher.queue;
+  }
+
+  /**
+   * Stops watching for new signatures (see `watch`)
+   */
+  unwatch() {
+    if (!this.watcher) return;
+    this.watcher.stopped = true;
+    if (this.watcher.unsubscribe) this.watcher.unsubscribe();
+    this.watcher = undefined;
+  }
+
+  /**
+   * Exports the signatures found by the last call to `verify` as a self-contained proof bundle
+   * that can be verified offline with `verifyProof`.
+   * 
+   * @returns {Object} JSON-serialisable proof bundle containing
+   *    version: proof format version
+   *    documentHash: the document hash as a hex string
+   *    chainId: chain id of the network
+   *    registry: address of the registry contract
+   *    hashSuite: the document's hash suite, omitted if it is the default (sha256)
+   *    signatures: array of {index, signature, signatory, time, txHash, blockNumber, log} where
+   *      index is the signature's position in the document's signature chain and log is the
+   *      raw Signature event log
+   */
+  exportProof() {
+    if (this.signatures === undefined) throw new Error("Must verify before exporting proof");
+    const bundle = {
+      version: PROOF_VERSION,
+      documentHash: buf2hex(this.documentHash),
+      chainId: Number(this.network.chainId),
+      registry: this.network.contract
+    };
+    if (this.hashSuite !== DEFAULT_HASH_SUITE) bundle.hashSuite = this.hashSuite;
+    return {
+      ...bundle,
+      signatures: this.signatures.map(sig => ({
+        index: this.hashes.indexOf(sig.signature),
+        signature: sig.signature,
+        signatory: sig.signatory,
+        time: sig.time,
+        txHash: sig.event.transactionHash,
+        blockNumber: Number(sig.event.blockNumber),
+        log: _exportLog(sig.event)
+      }))
+    };
+  }
+
+
+  /**
+   * Removes this document's verification results from the network's verification cache, if it
+   * has one.  The next call to `verify` will perform a full discovery.
+   */
+  async clearCache() {
+    if (!this.network.cache || (this.documentHash === undefined && this.documentHashes === undefined)) return;
+    const suites = this.hashSuite !== undefined ? [this.hashSuite] : this.hashSuites;
+    await Promise.all(suites.map(hashSuite => {
+      return this.network.cache.delete(cacheKey(this.network.chainId, buf2hex(this._getDocumentHash(hashSuite)), hashSuite));
+    }));
+  }
+
+  /**
+   * Discovers the document's signatures under its hash suite.  If the suite has not yet been
+   * established then each candidate suite is tried in turn and the first with signatures (or the
+   * first suite if none have signatures) is adopted.
+   */
+  async _discover() {
+    if (this.hashSuite !== undefined) {
+      return _discoverSignatures(this.network, this.documentHash, this.encryptionKey, this.hashSuite);
+    }
+    let adopted;
+    for (const hashSuite of this.hashSuites) {
+      const documentHash = this._getDocumentHash(hashSuite);
+      const result = await _discoverSignatures(this.network, documentHash, new EncryptionKey(documentHash), hashSuite);
+      if (!adopted || result.signatures.length > 0) adopted = { hashSuite, result };
+      if (result.signatures.length > 0) break;
+    }
+    logTrace("adopting hash suite", adopted.hashSuite);
+    this.hashSuite = adopted.hashSuite;
+    if (this.documentHash === undefined) this._setDocumentHash(this._getDocumentHash(adopted.hashSuite));
+    return adopted.result;
+  }
+
+  /**
+   * Publishes the next signature in the chain, recovering from collisions with other signers (see
+   * `sign`).  The signature chain is rolled back if publishing fails for any other reason.
+   */
+  async _signNext(data, maxRetries, attempt) {
+    const signature = await this.hashes.next();
+    let result;
+    try {
+      if (!await _isRegistered(this.network, buf2hex(signature[0]))) {
+        result = await _publishSignature(this.network, signature, data, this.encryptionKey);
+      }
+    }
+    catch (error) {
+      if (!_isCollisionError(error)) {
+        this.hashes.reset(this.hashes.currentIndex()-1);
+        throw error;
+      }
+    }
+    if (!result) return this._retrySign(data, maxRetries, attempt);
+    if (result.confirmationInformer) {
+      result.confirmationInformer = result.confirmationInformer.catch(async error => {
+        const reverted = error instanceof TransactionFailedError && error.reason === 'reverted';
+        if (!reverted || !await _isRegistered(this.network, result.signature)) throw error;
+        const retry = await this._signExclusively(() => this._retrySign(data, maxRetries, attempt));
+        const follow = () => Object.assign(result, { txHash: retry.txHash, signature: retry.signature, events: retry.events });
+        follow();
+        // the retry may itself be retried
+        return retry.confirmationInformer && retry.confirmationInformer.then(receipt => { follow(); return receipt });
       });
+      result.confirmationInformer.catch(() => {}); // prevent unhandled rejections if the caller only uses events
+    }
+    return result;
+  }
+
+  /**
+   * Runs the given signing function with signing marked as in progress, once any signing already
+   * in progress has settled.  Keeps a retry after a revert from running alongside another sign.
+   */
+  async _signExclusively(fn) {
+    while (this.signingInProgress) await this.signing.catch(() => {});
+    this.signingInProgress = true;
+    this.signing = fn().finally(() => {
+      this.signingInProgress = false;
+    });
+    return this.signing;
   }
 
+  /**
+   * Re-discovers the document's signatures after another signer took the signature of the given
+   * attempt, then signs with the next free signature.
+   */
+  async _retrySign(data, maxRetries, attempt) {
+    if (attempt > maxRetries) {
+      this.hashes.reset(this.hashes.currentIndex()-1);
+      throw new SignatureCollisionError(attempt);
+    }
+    logTrace("signature taken by another signer, retrying");
+    await this.verify().catch(error => {
+      this.hashes.reset(this.hashes.currentIndex()-1);
+      throw error;
+    });
+    return this._signNext(data, maxRetries, attempt + 1);
+  }
+
+  /**
+   * Returns the first signature in the chain after the current one that has not been published,
+   * without advancing the chain.  `collision` is true if it is not the next signature.  Searches
+   * a copy of the chain so that a concurrent `sign` is unaffected.
+   */
+  async _findFreeSignature() {
+    const hashes = _copyHashIterator(this.hashes);
+    for (let attempt = 1; attempt <= DEFAULT_SIGNING_RETRIES + 1; attempt++) {
+      const signature = buf2hex((await hashes.next())[0]);
+      if (!await _isRegistered(this.network, signature)) return { signature, collision: attempt > 1 };
+    }
+    throw new SignatureCollisionError(DEFAULT_SIGNING_RETRIES + 1);
+  }
+
+  /**
+   * Returns the document hash under the given hash suite.  Only a File hashed with several
+   * candidate suites has more than one.
+   */
+  _getDocumentHash(hashSuite) {
+    return this.documentHashes !== undefined ? this.documentHashes[hashSuite] : this.documentHash;
+  }
 
   _setDocumentHash(hash) {
     if (this.documentHash) throw new Error("document hash already initialised");
@@ -140,7 +468,8 @@ export class Document {
 
 
 /**
- * Creates a Document from a file, allowing it to be signed and verified.
+ * Creates a Document from a file, allowing it to be signed and verified.  Works the same way in
+ * the browser and in Node.js.
  */
 export class File extends Document {
 
@@ -149,37 +478,199 @@ export class File extends Document {
 
   /**
    * Construct an OpenSig Document (an object formed from a document hash that can be signed and
-   * verified) from a File object.
+   * verified) from a file.
    * 
-   * @param {File} file the file to hash
+   * @param {BlockchainProvider} network interface to the blockchain
+   * @param {*} file the file to hash.  Can be a browser File or Blob, an ArrayBuffer, TypedArray
+   * or Node.js Buffer, a web ReadableStream or Node.js Readable stream, or (in Node.js) a file 
+   * path.  Streams are read once, on the first call to `verify`.
+   * @param {Object} options (optional) containing
+   *    hashSuite: the hash suite, or array of candidate suites - see `Document`.  The file is 
+   *      hashed with every candidate suite in a single pass.
    */
-  constructor(network, file) {
-    super(network, undefined);
+  constructor(network, file, options = {}) {
+    super(network, undefined, options);
     this.file = file;
+    this.name = getInputName(file);
   }
 
   /**
-   * Retrieves all signatures on the current blockchain for this file.
+   * Retrieves all signatures on the current blockchain for this file.  The file is hashed on the
+   * first call only.
    * 
+   * @param {Object} options (optional) containing
+   *    onProgress: function(bytesProcessed, totalBytes) called as the file is hashed
+   *    signal: AbortSignal to cancel hashing
+   *    decryptionKey: see `Document.verify`
    * @returns Array of signature events or empty array if none
    * @throws BlockchainNotSupportedError
    */
-  async verify() {
-    if (this.documentHash !== undefined) return super.verify();
-    logTrace("verifying file", this.file.name);
-    return hashFile(this.file)
-      .then(this._setDocumentHash)
-      .then(super.verify.bind(this));
+  async verify(options = {}) {
+    if (this.documentHash !== undefined || this.documentHashes !== undefined) return super.verify(options);
+    logTrace("verifying file", this.name);
+    return hashFileWithSuites(this.file, this.hashSuites, options)
+      .then(hashes => {
+        if (hashes.length === 1) this._setDocumentHash(hashes[0]);
+        else this.documentHashes = Object.fromEntries(this.hashSuites.map((suite, i) => [suite, hashes[i]]));
+      })
+      .then(() => super.verify(options));
   }
 
 }
 
 
+/**
+ * Creates a Document from a JSON value, such as an invoice or API payload.  The document hash is
+ * the hash of the value's canonical JSON (RFC 8785), so equivalent data always has the same hash
+ * regardless of property order or formatting.
+ */
+export class JsonDocument extends File {
+
+  /**
+   * @param {BlockchainProvider} network interface to the blockchain
+   * @param {*} value the JSON value.  JSON text must be parsed with `JSON.parse` first.
+   * @param {Object} options (optional) document options - see `File`
+   * @throws if the value cannot be represented as JSON
+   */
+  constructor(network, value, options = {}) {
+    const content = canonicalJson(value);
+    super(network, new TextEncoder().encode(content), options);
+    this.content = content;
+  }
+
+  /**
+   * Returns true if the given value is equivalent to this document's value, i.e. a received copy
+   * of the data is covered by this document's signatures.
+   */
+  matches(value) {
+    try { return canonicalJson(value) === this.content }
+    catch (error) { return false }
+  }
+
+}
+
+
+/**
+ * Creates a Document from text.  The document hash is the hash of the UTF-8 encoding of the text
+ * after Unicode NFC normalisation and line-ending normalisation (see `normaliseText`), so 
+ * equivalent text always has the same hash regardless of platform.
+ */
+export class TextDocument extends File {
+
+  /**
+   * @param {BlockchainProvider} network interface to the blockchain
+   * @param {String} text the text
+   * @param {Object} options (optional) document options - see `File`
+   */
+  constructor(network, text, options = {}) {
+    const content = normaliseText(text);
+    super(network, new TextEncoder().encode(content), options);
+    this.content = content;
+  }
+
+  /**
+   * Returns true if the given text is equivalent to this document's text, i.e. a received copy of
+   * the text is covered by this document's signatures.
+   */
+  matches(text) {
+    return typeof text === 'string' && normaliseText(text) === this.content;
+  }
+
+}
+
+
+
+/**
+ * Signs many documents in a single blockchain transaction.  Each document is signed with its 
+ * next available signature hash.  All documents must have been verified and must share the same
+ * network.  If publishing fails, or the published transaction reverts, then every document's 
+ * signature chain is rolled back so that the batch (or any of its documents) can be signed again.
+ * A document that has been signed again since the batch was published is not rolled back.
+ * 
+ * @param {[Document]} documents the documents to sign
+ * @param {Object|[Object]} data (optional) annotation data - see `Document.sign`.  Either a single
+ * object applied to every document or an array with one element per document.  Encrypted data is
+ * encrypted with each document's own encryption key.
+ * @returns {Object} containing 
+ *    txHash: blockchain transaction hash
+ *    signatory: blockchain address of the signer
+ *    signatures: the signature hashes published, in the same order as the documents
+ *    confirmationInformer: Promise to resolve with the receipt when the transaction has been confirmed
+ * @throws BlockchainNotSupportedError
+ */
+export async function signMany(documents, data = {}) {
+  if (documents.length === 0) throw new Error("no documents to sign");
+  if (Array.isArray(data) && data.length !== documents.length) throw new Error("data length mismatch");
+  if (new Set(documents).size !== documents.length) throw new Error("duplicate document");
+  const network = documents[0].network;
+  documents.forEach(doc => {
+    if (doc.network !== network) throw new Error("documents must share the same network");
+    if (doc.signingInProgress) throw new Error("Signing already in progress");
+    if (doc.hashes === undefined) throw new Error("Must verify before signing");
+  });
+
+  let settled;
+  const signing = new Promise(resolve => { settled = resolve });
+  documents.forEach(doc => { doc.signingInProgress = true; doc.signing = signing });
+  const reserved = [];
+  try {
+    const signatures = [];
+    const encodedData = [];
+    for (let i = 0; i < documents.length; i++) {
+      const doc = documents[i];
+      signatures.push(buf2hex((await doc.hashes.next())[0]));
+      reserved.push(doc);
+      encodedData.push(await _encodeData(Array.isArray(data) ? data[i] : data, doc.encryptionKey));
+    }
+    logTrace("publishing", signatures.length, "signatures:", signatures, "with data", encodedData);
+    const result = await network.publishSignatures(signatures, encodedData);
+    if (result.confirmationInformer) {
+      const indices = documents.map(doc => doc.hashes.currentIndex());
+      result.confirmationInformer = result.confirmationInformer.catch(error => {
+        if (error instanceof TransactionFailedError && error.reason === 'reverted') {
+          documents.forEach((doc, i) => {
+            if (!doc.signingInProgress && doc.hashes.currentIndex() === indices[i]) doc.hashes.reset(indices[i]-1);
+          });
+        }
+        throw error;
+      });
+      result.confirmationInformer.catch(() => {}); // prevent unhandled rejections if the caller only uses events
+    }
+    return result;
+  }
+  catch (error) {
+    reserved.forEach(doc => doc.hashes.reset(doc.hashes.currentIndex()-1));
+    throw error;
+  }
+  finally {
+    documents.forEach(doc => { doc.signingInProgress = false });
+    settled();
+  }
+}
+
 
 //
 // Signing functions
 //
 
+/**
+ * Returns true if the network reports that the given signature has been published.  Networks
+ * without an `isRegistered` function are assumed not to know.
+ */
+function _isRegistered(network, signature) {
+  return network.isRegistered ? network.isRegistered(signature) : Promise.resolve(false);
+}
+
+/**
+ * Returns true if the given publishing error is the registry contract rejecting a signature that
+ * has already been published
+ */
+function _isCollisionError(error) {
+  const errors = [error, error.error, error.info && error.info.error].filter(e => e);
+  return errors.some(e => e.reason === SIGNATURE_PUBLISHED_REASON || (e.message || '').includes(SIGNATURE_PUBLISHED_REASON));
+}
+
+
 /**
  * Constructs a transaction to publish the given signature transaction to the blockchain's registry contract.
  * Returns an object containing the transaction hash, signatory, signature, and a Promise to resolve when confirmed.
@@ -205,18 +696,38 @@ function _publishSignature(network, signatureAsArr, data, encryptionKey) {
  * chain id.  This function queries the blockchain for signatures in the order of those in the chain of hashes,
  * stopping when a signature in the sequence is not not found.  To minimise latency while handling signature 
  * chains of any length, this function queries for signatures a batch at a time.
+ * 
+ * If the network has a verification cache then discovery resumes from the last known signature and only 
+ * scans blocks after the last scanned block.  The cache is updated with the result.
  */
-async function _discoverSignatures(network, documentHash, encryptionKey) {
-  const signatureEvents = [];
-  const hashes = new HashIterator(documentHash, network.chainId);
-  let lastSignatureIndex = -1;
+async function _discoverSignatures(network, documentHash, encryptionKey, hashSuite) {
+  const hashes = new HashIterator(documentHash, network.chainId, hashSuite);
+  const cache = network.cache;
+  const key = cache ? cacheKey(network.chainId, buf2hex(documentHash), hashSuite) : undefined;
+  const cached = cache ? await cache.get(key) : undefined;
+  const signatureEvents = cached ? cached.signatures : [];
+  let lastSignatureIndex = cached ? cached.lastIndex : -1;
+  const queryOptions = {};
+
+  if (cache) {
+    queryOptions.toBlock = await network.getBlockNumber();
+    if (cached && cached.lastBlock !== undefined) queryOptions.fromBlock = cached.lastBlock + 1;
+  }
+  if (cached) logTrace("resuming from cached signature", lastSignatureIndex, "and block", queryOptions.fromBlock);
+  if (lastSignatureIndex >= 0) await hashes.next(lastSignatureIndex + 1);
+
+  async function _finish() {
+    hashes.reset(lastSignatureIndex); // leave the iterator at the last published signature
+    if (cache) await cache.set(key, { signatures: signatureEvents, lastIndex: lastSignatureIndex, lastBlock: queryOptions.toBlock });
+    return { hashes: hashes, signatures: signatureEvents };
+  }
 
   async function _discoverNext(n) {
     const eSigs = await hashes.next(n);
     const strEsigs = eSigs.map(s => {return buf2hex(s)});
     logTrace("querying the blockchain for signatures: ", strEsigs);
 
-    return network.querySignatures(strEsigs)
+    return network.querySignatures(strEsigs, queryOptions)
       .then(events => {
         logTrace("found events:", events);
         return Promise.all(events.map(e => _decodeSignatureEvent(e, encryptionKey)));
@@ -231,15 +742,15 @@ async function _discoverSignatures(network, documentHash, encryptionKey) {
         });
         
         // discover more signatures if necessary
-        if (parsedEvents.length !== MAX_SIGS_PER_DISCOVERY_ITERATION) {
-          hashes.reset(lastSignatureIndex); // leave the iterator at the last published signature
-          return { hashes: hashes, signatures: signatureEvents };
-        }
+        if (parsedEvents.length !== MAX_SIGS_PER_DISCOVERY_ITERATION) return _finish();
         return _discoverNext(MAX_SIGS_PER_DISCOVERY_ITERATION);
       });
 
   }
 
+  // nothing to query if no blocks have been produced since the last verification
+  if (queryOptions.fromBlock > queryOptions.toBlock) return _finish();
+
   return _discoverNext(MAX_SIGS_PER_DISCOVERY_ITERATION);
 
 }
@@ -262,21 +773,343 @@ async function _decodeSignatureEvent(event, encryptionKey) {
 }
 
 
+/**
+ * Returns an independent copy of the given HashIterator at the same position, reusing the hashes
+ * it has already computed
+ */
+function _copyHashIterator(iterator) {
+  const copy = new HashIterator(iterator.documentHash, iterator.chainId, iterator.hashSuite);
+  copy.chainSpecificHash = iterator.chainSpecificHash;
+  copy.hashes = iterator.hashes.slice();
+  copy.reset(iterator.currentIndex());
+  return copy;
+}
+
+
+/**
+ * Returns the given hash suite option as a validated array of hash suites
+ */
+function _toHashSuites(hashSuite = DEFAULT_HASH_SUITE) {
+  const suites = Array.isArray(hashSuite) ? hashSuite : [hashSuite];
+  if (suites.length === 0) throw new Error("invalid hash suite");
+  suites.forEach(checkHashSuite);
+  return suites;
+}
+
+
+/**
+ * Returns the signature identified by a signature object, signature hash or index into the given
+ * signatures
+ */
+function _findSignature(signatures, signatureOrIndex) {
+  if (typeof signatureOrIndex === 'number') return signatures[signatureOrIndex];
+  const signature = typeof signatureOrIndex === 'string' ? signatureOrIndex : (signatureOrIndex || {}).signature;
+  if (typeof signature !== 'string') return undefined;
+  return signatures.find(s => s.signature.toLowerCase() === signature.toLowerCase());
+}
+
+
+/**
+ * Marks each signature that has been revoked by its own signatory as `revoked` and adds a 
+ * `revocation` property of {signature, time, reason}.  The earliest revocation wins.  Revocations
+ * published by anyone other than the original signatory are ignored.
+ */
+function _applyRevocations(signatures) {
+  const bySignature = new Map(signatures.map(s => [s.signature.toLowerCase(), s]));
+  signatures
+    .filter(s => s.data && s.data.type === 'revocation')
+    .sort((a, b) => a.time - b.time)
+    .forEach(revocation => {
+      const target = bySignature.get(revocation.data.content.signature.toLowerCase());
+      if (!target || target.revoked || (target.data && target.data.type === 'revocation')) return;
+      if (target.signatory.toLowerCase() !== revocation.signatory.toLowerCase()) return;
+      target.revoked = true;
+      target.revocation = { signature: revocation.signature, time: revocation.time, reason: revocation.data.content.reason };
+    });
+}
+
+
+/**
+ * Attaches the identity of each signature's signatory, if the network has an identity resolver
+ * and the signatory's identity is known.  Each signatory is resolved only once.  Resolver errors
+ * leave the identity unset rather than failing the verification.
+ */
+async function _resolveIdentities(resolver, signatures) {
+  if (!resolver) return;
+  const signatories = [...new Set(signatures.map(s => s.signatory).filter(s => s))];
+  const identities = {};
+  await Promise.all(signatories.map(signatory => {
+    return resolver.resolve(signatory)
+      .then(identity => { identities[signatory] = identity })
+      .catch(error => logTrace("failed to resolve identity of", signatory, error));
+  }));
+  signatures.forEach(s => { if (identities[s.signatory]) s.identity = identities[s.signatory] });
+}
+
+
+//
+// Signatory functions
+//
+
+/**
+ * Identifies the documents signed by signatures found with a provider's `querySignaturesBySigner`
+ * function, by matching them against a local library of documents or document hashes.  A 
+ * signature matches a document if it is one of the first `depth` signatures in the document's
+ * signature chain on the network.  Annotation data is decoded as it would be by `verify`,
+ * including data encrypted with the document hash.  Encrypted data of unmatched signatures cannot
+ * be decrypted.
+ * 
+ * @param {BlockchainProvider} network the network the signatures were found on
+ * @param {Array} events the decoded signature events returned by `querySignaturesBySigner`
+ * @param {Array} library the known documents.  Each is a hashed Document (e.g. a verified File), 
+ * a document hash as a hex string or Uint8Array, or an object containing `documentHash`, and 
+ * optionally `name` and `hashSuite`.
+ * @param {Object} options (optional) containing
+ *    depth: number of signatures in each document's chain to search (default 100)
+ *    decryptionKey: see `Document.verify`
+ * @returns Array of signature objects in the same order as the events, each as returned by 
+ * `verify` plus the following if the signed document was found:
+ *    document: the matching library entry
+ *    name: the document's name, if it has one
+ *    documentHash: the document hash as a hex string
+ *    hashSuite: the document's hash suite
+ *    index: the signature's position in the document's signature chain
+ */
+export async function matchSignatures(network, events, library, options = {}) {
+  if (options.decryptionKey !== undefined) toSigningKey(options.decryptionKey); // fail early if invalid
+  const depth = options.depth || DEFAULT_MATCH_DEPTH;
+  const unmatched = new Set(events.map(e => e.signature.toLowerCase()));
+  const matches = new Map();
+  for (const entry of library) {
+    for (const { documentHash, hashSuite } of _libraryHashes(entry)) {
+      if (unmatched.size === 0) break;
+      const chain = await new HashIterator(documentHash, network.chainId, hashSuite).next(depth);
+      chain.forEach((hash, index) => {
+        const signature = buf2hex(hash);
+        if (!unmatched.delete(signature)) return;
+        matches.set(signature, { entry, documentHash, hashSuite, index });
+      });
+    }
+  }
+  const signatures = await Promise.all(events.map(async ({ rawData, ...e }) => {
+    const match = matches.get(e.signature.toLowerCase());
+    if (!match) return { ...e, data: await _decodeData(rawData) };
+    const { entry, documentHash, hashSuite, index } = match;
+    return {
+      ...e,
+      data: await _decodeData(rawData, new EncryptionKey(documentHash)),
+      document: entry,
+      name: entry.name,
+      documentHash: buf2hex(documentHash),
+      hashSuite,
+      index
+    };
+  }));
+  return options.decryptionKey !== undefined ? _decryptSignatures(signatures, options.decryptionKey) : signatures;
+}
+
+/**
+ * Returns the document hashes of a `matchSignatures` library entry, with their hash suites
+ */
+function _libraryHashes(entry) {
+  if (typeof entry === 'string' || entry instanceof Uint8Array) {
+    return [{ documentHash: _toDocumentHash(entry), hashSuite: DEFAULT_HASH_SUITE }];
+  }
+  if (entry instanceof Document) {
+    if (entry.documentHash !== undefined && entry.hashSuite !== undefined) return [{ documentHash: entry.documentHash, hashSuite: entry.hashSuite }];
+    if (entry.documentHashes !== undefined) return entry.hashSuites.map(hashSuite => ({ documentHash: entry.documentHashes[hashSuite], hashSuite }));
+    if (entry.documentHash !== undefined) return entry.hashSuites.map(hashSuite => ({ documentHash: entry.documentHash, hashSuite }));
+    throw new Error("library document has not been hashed");
+  }
+  if (entry && entry.documentHash !== undefined) {
+    const hashSuite = entry.hashSuite || DEFAULT_HASH_SUITE;
+    checkHashSuite(hashSuite);
+    return [{ documentHash: _toDocumentHash(entry.documentHash), hashSuite }];
+  }
+  throw new Error("invalid library entry");
+}
+
+/**
+ * Returns the given 32-byte document hash (hex string or bytes) as a Uint8Array
+ */
+function _toDocumentHash(hash) {
+  const bytes = typeof hash === 'string' && ethers.isHexString(hash, 32) ? hexToBuf(hash) : hash;
+  if (!(bytes instanceof Uint8Array) || bytes.length !== 32) throw new Error("invalid document hash");
+  return bytes;
+}
+
+
+//
+// Watching functions
+//
+
+/**
+ * Subscribes to the next window of signatures in the document's chain after the last signature
+ * found, then queries for any in the window that were published before subscribing.
+ */
+async function _watchNext(doc, watcher) {
+  if (watcher.stopped) return;
+  watcher.hashes.reset(watcher.index);
+  const ids = (await watcher.hashes.next(MAX_SIGS_PER_DISCOVERY_ITERATION)).map(s => buf2hex(s));
+  if (watcher.stopped) return; // unwatched while hashing
+  if (watcher.unsubscribe) watcher.unsubscribe();
+  logTrace("subscribing to signatures:", ids);
+  const receive = events => _receiveSignatures(doc, watcher, events);
+  watcher.unsubscribe = doc.network.subscribeSignatures(ids, receive, { onError: watcher.onError });
+  await doc.network.querySignatures(ids).then(receive, watcher.onError);
+}
+
+/**
+ * Decodes newly found signature events and reports them in chain order.  Events are processed
+ * one batch at a time since they may arrive from both the subscription and the catch up query.
+ * Resubscribes if the signature chain has moved on.
+ */
+function _receiveSignatures(doc, watcher, events) {
+  watcher.queue = watcher.queue.then(async () => {
+    if (watcher.stopped) return;
+    const fresh = events.filter(e => {
+      const signature = e.topics[2].toLowerCase();
+      return !watcher.seen.has(signature) && watcher.hashes.indexOf(signature) >= 0;
+    });
+    if (fresh.length === 0) return;
+    const signatures = await Promise.all(fresh.map(e => _decodeSignatureEvent(e, doc.encryptionKey)));
+    signatures.sort((a, b) => watcher.hashes.indexOf(a.signature.toLowerCase()) - watcher.hashes.indexOf(b.signature.toLowerCase()));
+    await _resolveIdentities(doc.network.identityResolver, signatures);
+    if (watcher.stopped) return;
+    signatures.forEach(s => {
+      watcher.seen.add(s.signature.toLowerCase());
+      watcher.index = Math.max(watcher.index, watcher.hashes.indexOf(s.signature.toLowerCase()));
+    });
+    doc.signatures.push(...signatures);
+    _applyRevocations(doc.signatures);
+    if (!doc.signingInProgress && watcher.index > doc.hashes.currentIndex()) doc.hashes.reset(watcher.index);
+    signatures.forEach(s => {
+      try {
+        watcher.callback(s);
+      }
+      catch (error) {
+        watcher.onError(error);
+      }
+    });
+    await _watchNext(doc, watcher);
+  })
+  .catch(watcher.onError);
+}
+
+
+//
+// Proof functions
+//
+
+/**
+ * Verifies a proof bundle produced by `Document.exportProof` offline, without access to the
+ * blockchain.  Recomputes the document hash (if given a file), the document's signature chain and
+ * the decoded signature events, and checks each against the records in the bundle.
+ * 
+ * Note, this proves that the bundle is internally consistent with the document.  It cannot prove
+ * that the recorded events exist on the blockchain.
+ * 
+ * @param {Object} bundle the proof bundle
+ * @param {*} fileOrHash the document hash as a 32-byte hex string, or the file as any input
+ * supported by `File`
+ * @returns {Object} containing
+ *    valid: true if no mismatches were found
+ *    errors: array of strings describing each mismatch
+ *    signatures: the decoded signatures (as returned by `Document.verify`) with their chain index
+ */
+export async function verifyProof(bundle, fileOrHash) {
+  const errors = [];
+  if (!bundle || bundle.version !== PROOF_VERSION) throw new Error("unsupported proof version");
+  const hashSuite = bundle.hashSuite !== undefined ? bundle.hashSuite : DEFAULT_HASH_SUITE;
+  checkHashSuite(hashSuite);
+
+  const documentHash = typeof fileOrHash === 'string' && ethers.isHexString(fileOrHash, 32)
+    ? ethers.getBytes(fileOrHash)
+    : new Uint8Array(await hashFile(fileOrHash, { hashSuite }));
+  if (buf2hex(documentHash) !== bundle.documentHash.toLowerCase()) {
+    errors.push("document hash does not match the proof");
+    return { valid: false, errors, signatures: [] };
+  }
+
+  const encryptionKey = new EncryptionKey(documentHash);
+  // the chain is contiguous so no genuine index can lie beyond the discovery window after the
+  // bundle's signatures.  Indices are untrusted so are checked before generating the chain.
+  const indexLimit = bundle.signatures.length + MAX_SIGS_PER_DISCOVERY_ITERATION;
+  const validIndex = index => Number.isSafeInteger(index) && index >= 0 && index < indexLimit;
+  const hashes = new HashIterator(documentHash, bundle.chainId, hashSuite);
+  const maxIndex = Math.max(-1, ...bundle.signatures.map(sig => sig.index).filter(validIndex));
+  const chain = (await hashes.next(maxIndex + 1)).map(h => buf2hex(h));
+
+  const signatures = [];
+  for (const record of bundle.signatures) {
+    const label = "signature " + record.index + ": ";
+    if (!validIndex(record.index)) {
+      errors.push(label + "invalid signature index");
+      continue;
+    }
+    if (chain[record.index] !== record.signature) {
+      errors.push(label + "signature is not in the document's signature chain at this index");
+    }
+    if (!record.log || !record.log.address || record.log.address.toLowerCase() !== bundle.registry.toLowerCase()) {
+      errors.push(label + "log was not emitted by the registry contract");
+    }
+    const decoded = await _decodeSignatureEvent(record.log, encryptionKey).catch(() => undefined);
+    if (!decoded || !decoded.signature) {
+      errors.push(label + "log is not a valid Signature event");
+      continue;
+    }
+    if (decoded.signature !== record.signature) errors.push(label + "log signature does not match");
+    if (decoded.signatory !== record.signatory) errors.push(label + "log signatory does not match");
+    if (decoded.time !== record.time) errors.push(label + "log time does not match");
+    if (record.log.transactionHash !== record.txHash) errors.push(label + "log transaction hash does not match");
+    if (Number(record.log.blockNumber) !== record.blockNumber) errors.push(label + "log block number does not match");
+    signatures.push({ ...decoded, index: record.index });
+  }
+  _applyRevocations(signatures);
+
+  return { valid: errors.length === 0, errors, signatures };
+}
+
+
+/**
+ * Returns the JSON-RPC fields of a raw log, discarding any provider-specific properties
+ */
+function _exportLog(log) {
+  const { address, topics, data, blockNumber, blockHash, transactionHash, transactionIndex, logIndex } = log;
+  return { address, topics, data, blockNumber, blockHash, transactionHash, transactionIndex, logIndex };
+}
+
+
 //
 // Signature Data encoders - encode and decode signature data in accordance with OpenSig standard v0.1
 //
+// Data is encoded as <version byte><type byte><content>.  The top bit of the type byte flags
+// encrypted content and, in version 01, the next bit flags content encrypted for recipients.
+// Version 00 supports UTF-16 strings and bytes.  Version 01 supports UTF-8 strings, bytes, JSON,
+// CBOR and revocations.  New string annotations are encoded as version 01 unless version 00 is
+// requested, since UTF-8 halves the cost of ASCII text.  Bytes are encoded identically in both
+// versions so default to version 00, which older clients can read.
+//
 
 async function _encodeData(data, encryptionKey) {
   if (data.content === undefined || data.content === '') return '0x';
   if (data.encrypted && typeof data.encrypted !== 'boolean') throw new Error("invalid data encrypted flag");
-  let type = data.encrypted ? SIG_DATA_ENCRYPTED_FLAG : 0;
+  if (data.validate) await _validateData(data);
+  const structured = data.type === 'json' || data.type === 'cbor' || data.type === 'revocation';
+  const forRecipients = data.recipients !== undefined;
+  const version = data.version !== undefined ? data.version : (structured || forRecipients || data.type === 'string' ? SIG_DATA_VERSION_1 : SIG_DATA_VERSION);
+  if (version !== SIG_DATA_VERSION && version !== SIG_DATA_VERSION_1) throw new Error("unsupported data version '"+version+"'");
+  if (structured && version === SIG_DATA_VERSION) throw new Error("data type '"+data.type+"' requires data version 01");
+  if (forRecipients && version === SIG_DATA_VERSION) throw new Error("recipient encryption requires data version 01");
+  // recipient encryption replaces encryption with the document key
+  let type = forRecipients ? SIG_DATA_RECIPIENTS_FLAG : data.encrypted ? SIG_DATA_ENCRYPTED_FLAG : 0;
   let encData = '';
 
   switch (data.type) {
     case 'string':
       if (typeof data.content !== 'string') throw new Error("invalid data content");
       type += SIG_DATA_TYPE_STRING;
-      encData = unicodeStrToHex(data.content);
+      encData = version === SIG_DATA_VERSION ? unicodeStrToHex(data.content) : utf8StrToHex(data.content);
       break;
 
     case 'hex':
@@ -287,25 +1120,91 @@ async function _encodeData(data, encryptionKey) {
       encData = data.content.slice(0,2) === '0x' ? data.content.slice(2) : data.content;
       break;
 
+    case 'json':
+      type += SIG_DATA_TYPE_JSON;
+      encData = utf8StrToHex(_toJson(data.content));
+      break;
+
+    case 'cbor':
+      type += SIG_DATA_TYPE_CBOR;
+      try {
+        encData = buf2hex(encodeCbor(data.content), false);
+      }
+      catch (error) {
+        throw new Error("invalid data content");
+      }
+      break;
+
+    case 'revocation':
+      if (data.encrypted || forRecipients) throw new Error("revocations cannot be encrypted");
+      type += SIG_DATA_TYPE_REVOCATION;
+      encData = _encodeRevocation(data.content);
+      break;
+
     default:
       throw new Error("invalid data type '"+data.type+"'");
   }
 
   const typeStr = ('00' + type.toString(16)).slice(-2);
-  const prefix = '0x'+SIG_DATA_VERSION + typeStr;
+  const prefix = '0x'+version + typeStr;
 
+  if (forRecipients) {
+    return encryptForRecipients(encData, data.recipients)
+      .then(encryptedData => { return prefix + encryptedData });
+  }
   if (data.encrypted) {
     return encryptionKey.encrypt(encData)
-      .then(encryptedData => { return '0x'+SIG_DATA_VERSION + typeStr + encryptedData });
+      .then(encryptedData => { return prefix + encryptedData });
   }
   else return prefix + encData;
 }
 
+/**
+ * Runs the data's validation hook.  The hook is passed the content and the data object and may
+ * return (or resolve) false or an error message string to reject the data, or throw its own
+ * error.
+ */
+async function _validateData(data) {
+  if (typeof data.validate !== 'function') throw new Error("invalid data validate hook");
+  const result = await data.validate(data.content, data);
+  if (result === false) throw new Error("data failed validation");
+  if (typeof result === 'string') throw new Error("data failed validation: "+result);
+}
+
+/**
+ * Revocations are encoded as the 32-byte signature hash of the revoked signature followed by the 
+ * UTF-8 reason, if any.
+ */
+function _encodeRevocation(content) {
+  if (!content || !ethers.isHexString(content.signature, 32)) throw new Error("invalid data content");
+  if (content.reason !== undefined && typeof content.reason !== 'string') throw new Error("invalid data content");
+  return content.signature.slice(2) + utf8StrToHex(content.reason || '');
+}
+
+function _decodeRevocation(hex) {
+  if (hex.length < 64) throw new Error("invalid revocation");
+  const reason = hex.length > 64 ? utf8HexToStr(hex.slice(64)) : undefined;
+  return { signature: '0x'+hex.slice(0, 64), reason };
+}
+
+function _toJson(content) {
+  let json;
+  try {
+    json = JSON.stringify(content);
+  }
+  catch (error) {
+    throw new Error("invalid data content");
+  }
+  if (json === undefined) throw new Error("invalid data content");
+  return json;
+}
+
 async function _decodeData(encData, encryptionKey) {
   if (!encData || encData === '' || encData === '0x') return {type: 'none'};
   if (encData.length < 6) return {type: "invalid", content: "data is < 6 bytes"}
   const version = encData.slice(2,4);
   const typeField = parseInt(encData.slice(4,6), 16);
+  if (version === SIG_DATA_VERSION_1 && typeField & SIG_DATA_RECIPIENTS_FLAG) return _decodeRecipientData(encData);
   const encrypted = typeField & SIG_DATA_ENCRYPTED_FLAG ? true : false;
   const type = typeField & ~SIG_DATA_ENCRYPTED_FLAG;
   const data = {
@@ -324,6 +1223,67 @@ async function _decodeData(encData, encryptionKey) {
     }
   }
 
+  switch (version) {
+    case SIG_DATA_VERSION:
+      _decodeDataV0(data, type, sigData);
+      break;
+
+    case SIG_DATA_VERSION_1:
+      _decodeDataV1(data, type, sigData);
+      break;
+
+    default:
+      data.type = 'invalid';
+      data.content = "unrecognised version: "+version;
+  }
+
+  return data;
+}
+
+/**
+ * Data encrypted for recipients is left encrypted until a reader's key is available (see 
+ * `_decryptSignatures`).  The encoded data is retained as `ciphertext`.
+ */
+function _decodeRecipientData(encData) {
+  const data = { version: SIG_DATA_VERSION_1, encrypted: true };
+  try {
+    data.recipients = countRecipients(encData.slice(6));
+    data.type = ENCRYPTED_FOR_OTHERS;
+    data.ciphertext = encData;
+  }
+  catch (error) {
+    data.type = 'invalid';
+    data.content = error.message;
+  }
+  return data;
+}
+
+/**
+ * Decrypts the data of any signatures that were encrypted for the reader.  Returns copies of the
+ * signatures so that decrypted content is never written back to the signature cache.  Data
+ * encrypted for others is left unchanged.
+ */
+function _decryptSignatures(signatures, decryptionKey) {
+  return Promise.all(signatures.map(async s => {
+    if (!s.data || !s.data.ciphertext) return s;
+    const { version, recipients, ciphertext } = s.data;
+    const type = parseInt(ciphertext.slice(4,6), 16) & ~SIG_DATA_RECIPIENTS_FLAG;
+    const data = { version, encrypted: true, recipients };
+    try {
+      const sigData = await decryptForRecipient(ciphertext.slice(6), decryptionKey);
+      if (sigData === undefined) return s;
+      _decodeDataV1(data, type, sigData);
+    }
+    catch (error) {
+      logTrace("failed to decrypt signature data:", error.message);
+      data.type = 'invalid';
+      data.content = "failed to decrypt";
+    }
+    return { ...s, data };
+  }));
+}
+
+function _decodeDataV0(data, type, sigData) {
   switch (type) {
     case SIG_DATA_TYPE_STRING:
       data.type = 'string';
@@ -337,10 +1297,32 @@ async function _decodeData(encData, encryptionKey) {
 
     default:
       data.type = 'invalid';
-      data.content = "unrecognised type: "+type+" (version="+version+")";
+      data.content = "unrecognised type: "+type+" (version="+data.version+")";
   }
+}
 
-  return data;
+function _decodeDataV1(data, type, sigData) {
+  const types = {
+    [SIG_DATA_TYPE_STRING]: ['string', hex => utf8HexToStr(hex)],
+    [SIG_DATA_TYPE_BYTES]: ['hex', hex => '0x'+hex],
+    [SIG_DATA_TYPE_JSON]: ['json', hex => JSON.parse(utf8HexToStr(hex))],
+    [SIG_DATA_TYPE_CBOR]: ['cbor', hex => decodeCbor(hex.length ? hexToBuf(hex) : new Uint8Array(0))],
+    [SIG_DATA_TYPE_REVOCATION]: ['revocation', _decodeRevocation]
+  };
+  if (!types[type]) {
+    data.type = 'invalid';
+    data.content = "unrecognised type: "+type+" (version="+data.version+")";
+    return;
+  }
+  const [name, decode] = types[type];
+  try {
+    data.content = decode(sigData);
+    data.type = name;
+  }
+  catch (error) {
+    data.type = 'invalid';
+    data.content = "invalid "+name+" content";
+  }
 }
 
 
@@ -351,22 +1333,25 @@ async function _decodeData(encData, encryptionKey) {
  * The core of OpenSig.  Generates the deterministic sequence of chain-specific signature hashes
  * from a document hash in accordance with OpenSig standard v0.1.  Use `next` to retrieve the next 
  * `n` hashes.  The iterator will only generate hashes when the `next` function is called.
+ * The hash suite (default sha256) selects the hash function used to derive the sequence.
  */
 export class HashIterator {
 
   hashes = [];
   hashPtr = -1;
 
-  constructor(documentHash, chainId) {
+  constructor(documentHash, chainId, hashSuite = DEFAULT_HASH_SUITE) {
+    checkHashSuite(hashSuite);
     this.documentHash = documentHash;
     this.chainId = chainId;
+    this.hashSuite = hashSuite;
   }
 
   async next(n=1) {
-    if (!this.chainSpecificHash) this.chainSpecificHash = await hash(concatBuffers(Uint8Array.from(''+this.chainId), this.documentHash));
-    if (this.hashes.length === 0) this.hashes.push(await hash(this.chainSpecificHash));
+    if (!this.chainSpecificHash) this.chainSpecificHash = await hash(concatBuffers(Uint8Array.from(''+this.chainId), this.documentHash), this.hashSuite);
+    if (this.hashes.length === 0) this.hashes.push(await hash(this.chainSpecificHash, this.hashSuite));
     for (let i=this.hashes.length; i<=this.hashPtr+n; i++) {
-      this.hashes.push(await hash(concatBuffers(this.chainSpecificHash, this.hashes[i-1])));
+      this.hashes.push(await hash(concatBuffers(this.chainSpecificHash, this.hashes[i-1]), this.hashSuite));
     }
     return this.hashes.slice(this.hashPtr+1, (this.hashPtr+=n)+1);
   }
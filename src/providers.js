@@ -7,8 +7,19 @@
 //
 
 import { ethers } from "ethers";
+import { TransactionMonitor } from "./transactions.js";
+import { mapConcurrent } from "./utils.js";
+import { verifyLogInclusion } from "./inclusion.js";
+import { createRelayRequest } from "./relay.js";
 
-const defaultABI = [ { anonymous: false, inputs: [ { indexed: false, internalType: "uint256", name: "time", type: "uint256" }, { indexed: true, internalType: "address", name: "signer", type: "address" }, { indexed: true, internalType: "bytes32", name: "signature", type: "bytes32" }, { indexed: false, internalType: "bytes", name: "data", type: "bytes" } ], name: "Signature", type: "event" }, { inputs: [ { internalType: "bytes32", name: "sig_", type: "bytes32" } ], name: "isRegistered", outputs: [ { internalType: "bool", name: "", type: "bool" } ], stateMutability: "view", type: "function" }, { inputs: [ { internalType: "bytes32", name: "sig_", type: "bytes32" }, { internalType: "bytes", name: "data_", type: "bytes" } ], name: "registerSignature", outputs: [], stateMutability: "nonpayable", type: "function" } ];
+const MEMORY_SIGNATORY = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const MEMORY_REGISTRY_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const FAILURE_TYPES = ['rejected', 'reverted', 'dropped'];
+const MAX_VERIFIED_HEADERS = 10000;
+
+const defaultABI = [ { anonymous: false, inputs: [ { indexed: false, internalType: "uint256", name: "time", type: "uint256" }, { indexed: true, internalType: "address", name: "signer", type: "address" }, { indexed: true, internalType: "bytes32", name: "signature", type: "bytes32" }, { indexed: false, internalType: "bytes", name: "data", type: "bytes" } ], name: "Signature", type: "event" }, { inputs: [ { internalType: "bytes32", name: "sig_", type: "bytes32" } ], name: "isRegistered", outputs: [ { internalType: "bool", name: "", type: "bool" } ], stateMutability: "view", type: "function" }, { inputs: [ { internalType: "bytes32", name: "sig_", type: "bytes32" }, { internalType: "bytes", name: "data_", type: "bytes" } ], name: "registerSignature", outputs: [], stateMutability: "nonpayable", type: "function" }, { inputs: [ { internalType: "bytes32[]", name: "sigs_", type: "bytes32[]" }, { internalType: "bytes[]", name: "data_", type: "bytes[]" } ], name: "registerSignatures", outputs: [], stateMutability: "nonpayable", type: "function" } ];
+const registryInterface = new ethers.Interface(defaultABI);
+const SIGNATURE_TOPIC = registryInterface.getEvent('Signature').topicHash;
 
 
 /**
@@ -23,6 +34,10 @@ export class BlockchainProvider {
    * @param {number} params.blockTime - Average block time for this chain in milliseconds
    * @param {number} params.creationBlock? - Block number of the registry contract creation
    * @param {number} params.networkLatency? - Average latency for this network to distribute a published transaction
+   * @param {number} params.confirmations? - Number of confirmations before a published transaction is final (default 1)
+   * @param {number} params.timeout? - Time in milliseconds to wait for a published transaction to become final (default no timeout)
+   * @param {Object} params.cache? - Verification cache used to make re-verification incremental (see cache.js)
+   * @param {Object} params.identityResolver? - Resolver used to attach signatory identities to verified signatures (see identity.js)
    */
   constructor(params) {
     this.params = params;
@@ -33,6 +48,10 @@ export class BlockchainProvider {
     this.fromBlock = params.creationBlock;
     this.abi = defaultABI;
     this.networkLatency = params.networkLatency;
+    this.confirmations = params.confirmations || 1;
+    this.timeout = params.timeout || 0;
+    this.cache = params.cache;
+    this.identityResolver = params.identityResolver;
   }
 
   /**
@@ -47,35 +66,183 @@ export class BlockchainProvider {
    *     signatory: signer's address
    *     signature: the signature passed to this function
    *     data: the data passed to this function
-   *     confirmationInformer: promise to resolve the txn receipt when the txn is confirmed
+   *     confirmationInformer: promise to resolve the txn receipt when the txn is final
+   *     events: TransactionMonitor emitting the txn's lifecycle events (see transactions.js)
    *   } 
    */
   publishSignature(signature, data) {
     throw new Error('This is an abstract function and must be overridden')
   }
 
+  /**
+   * Publishes several signatures, each with optional annotation data, to the blockchain in a
+   * single transaction.  The transaction reverts if any of the signatures has already been 
+   * published.
+   * 
+   * @param {[string]} signatures array of 32-byte signature hashes as hex strings with '0x' prefix.
+   * @param {[string]} data array of annotation data, one element per signature
+   * @returns Promise to resolve when published (not confirmed).  Rejects if the user cancels
+   * or there is a problem publishing the signatures.  Resolves with:
+   *   {
+   *     txHash: hash of the published transaction
+   *     signatory: signer's address
+   *     signatures: the signatures passed to this function
+   *     data: the data passed to this function
+   *     confirmationInformer: promise to resolve the txn receipt when the txn is final
+   *     events: TransactionMonitor emitting the txn's lifecycle events (see transactions.js)
+   *   } 
+   */
+  publishSignatures(signatures, data) {
+    throw new Error('This is an abstract function and must be overridden')
+  }
+
+  /**
+   * Estimates the cost of publishing a signature without publishing it.
+   * 
+   * @param {string} signature 32-byte signature hash as a hex string with '0x' prefix.
+   * @param {string} data the encoded annotation data as a hex string
+   * @returns Promise to resolve the estimate.  Rejects if the signature has already been published
+   * or the blockchain cannot be reached.  Resolves with:
+   *   {
+   *     gasLimit: estimated gas used by the transaction
+   *     baseFeePerGas: base fee of the latest block in wei (null if the chain does not support EIP-1559)
+   *     maxFeePerGas: the fee cap that would be set, in wei (null if the chain does not support EIP-1559)
+   *     maxPriorityFeePerGas: the priority fee that would be set, in wei (null if the chain does not support EIP-1559)
+   *     gasPrice: the legacy gas price in wei (null if not known)
+   *     fee: expected fee in wei at the current base fee
+   *     maxFee: the most the transaction could cost, in wei
+   *     formattedFee: the expected fee in the chain's native currency, as a decimal string
+   *     calldataSize: size in bytes of the transaction's calldata
+   *   }
+   */
+  estimateSignature(signature, data) {
+    throw new Error('This is an abstract function and must be overridden')
+  }
+
   /**
    * Queries the blockchain for a list of signatures that match those in the given list of 
    * signature hashes.
    * 
    * @param {[string]} ids array of signature hashes, each a 32-byte hex-string prefixed by '0x'
+   * @param {Object} options (optional) containing
+   *    fromBlock: first block to search (defaults to the registry contract's creation block)
+   *    toBlock: last block to search (defaults to the latest block)
    * @returns Promise to resolve an array of signature event objects as defined by eth_getLogs.  
    * Rejects if the blockchain cannot be reached.
    */
-  querySignatures(ids) {
+  querySignatures(ids, options) {
+    throw new Error('This is an abstract function and must be overridden')
+  }
+
+  /**
+   * Queries the blockchain for all signatures published by the given signatory, whichever
+   * documents they sign.
+   * 
+   * @param {string} address the signatory's address
+   * @param {Object} options (optional) containing
+   *    fromBlock: first block to search (defaults to the registry contract's creation block)
+   *    toBlock: last block to search (defaults to the latest block)
+   * @returns Promise to resolve an array of decoded signature events in the order they were 
+   * published.  Rejects if the address is invalid or the blockchain cannot be reached.  Each 
+   * event contains:
+   *   {
+   *     event: the signature event object as defined by eth_getLogs
+   *     time: the block timestamp in seconds
+   *     signatory: the signatory's address
+   *     signature: the signature hash
+   *     rawData: the encoded annotation data as a hex string.  Use `matchSignatures` in
+   *       opensig.js to decode it as `verify` would.
+   *   }
+   */
+  querySignaturesBySigner(address, options) {
+    throw new Error('This is an abstract function and must be overridden')
+  }
+
+  /**
+   * Subscribes to signatures matching those in the given list of signature hashes as they are
+   * published.  This base implementation polls for new blocks every `blockTime` ms and queries
+   * them with `querySignatures`.  Signatures published before the subscription are not reported.
+   * 
+   * @param {[string]} ids array of signature hashes, each a 32-byte hex-string prefixed by '0x'
+   * @param {Function} listener called with an array of signature event objects as defined by
+   * eth_getLogs each time matching signatures are found
+   * @param {Object} options (optional) containing
+   *    onError: called with any error querying the blockchain.  The subscription continues.
+   * @returns function that cancels the subscription
+   */
+  subscribeSignatures(ids, listener, options = {}) {
+    let lastBlock;
+    let timer;
+    let cancelled = false;
+    const poll = async () => {
+      try {
+        const toBlock = await this.getBlockNumber();
+        if (lastBlock === undefined) lastBlock = toBlock;
+        if (toBlock > lastBlock) {
+          const events = await this.querySignatures(ids, { fromBlock: lastBlock + 1, toBlock });
+          lastBlock = toBlock;
+          if (events.length > 0 && !cancelled) listener(events);
+        }
+      }
+      catch (error) {
+        if (options.onError && !cancelled) options.onError(error);
+      }
+      if (!cancelled) timer = setTimeout(poll, this.blockTime);
+    };
+    poll();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }
+
+  /**
+   * Returns the latest block number.  Required if the provider has a verification cache or is
+   * used to watch documents with the base `subscribeSignatures` implementation.
+   * 
+   * @returns Promise to resolve the block number.  Rejects if the blockchain cannot be reached.
+   */
+  getBlockNumber() {
     throw new Error('This is an abstract function and must be overridden')
   }
 
+  /**
+   * Returns true if the given signature has already been published.  Used when signing to detect
+   * that another signer has taken the next signature in a document's chain.  Providers that cannot
+   * query the registry contract resolve false, in which case a collision is detected when the
+   * publication reverts.  The registry must be queried directly rather than through a request
+   * cache, otherwise a signature registered moments ago could be missed.
+   * 
+   * @param {string} signature 32-byte signature hash as a hex string with '0x' prefix.
+   * @returns Promise to resolve true if the signature is registered
+   */
+  async isRegistered(signature) {
+    return false;
+  }
+
 }
 
 
 /**
  * Provider that uses ethers.js to publish and query signatures.
  * 
+ * Many RPC nodes limit the block range or number of results of an eth_getLogs query.  Queries can
+ * be split into fixed windows of `blockWindow` blocks.  In addition, any query rejected with a range
+ * or result limit error is automatically split in half and retried.
+ * 
  * @param {Object} params - @see BlockchainProvider
  * @param {ethers.Provider} params.provider? - ethers.js provider to use for transactions and logs
  * @param {ethers.Provider} params.transactionProvider? - ethers.js provider to use for transactions (required if provider not given)
  * @param {ethers.Provider} params.logProvider? - ethers.js provider to use for logs (required if provider not given)
+ * @param {ethers.Signer} params.signer? - Signer used to publish signatures (default the transactionProvider's signer)
+ * @param {number} params.blockWindow? - Maximum number of blocks to query in a single eth_getLogs (default no limit)
+ * @param {number} params.maxConcurrentQueries? - Maximum number of eth_getLogs queries to run at once (default 3)
+ * @param {boolean} params.strict? - If true, proves each found log is included on-chain (see inclusion.js).  Requires a
+ *   witnessProvider and/or trustedCheckpoint.
+ * @param {ethers.Provider} params.witnessProvider? - Independent provider used in strict mode to confirm block hashes
+ * @param {Object} params.trustedCheckpoint? - Trusted {blockNumber, blockHash} used in strict mode to confirm block hashes
+ * @param {number} params.maxVerifiedHeaders? - Maximum number of verified block hashes to remember between strict mode
+ *   queries.  The most recent blocks are kept (default 10000)
  */
 export class EthersProvider extends BlockchainProvider {
 
@@ -83,32 +250,517 @@ export class EthersProvider extends BlockchainProvider {
     super(params);
     this.transactionProvider = params.transactionProvider || params.provider;
     this.logProvider = params.logProvider || params.provider;
+    this.signer = params.signer;
+    this.blockWindow = params.blockWindow;
+    this.maxConcurrentQueries = params.maxConcurrentQueries || 3;
+    this.strict = params.strict || false;
+    this.witnessProvider = params.witnessProvider;
+    this.trustedCheckpoint = params.trustedCheckpoint;
+    this.verifiedHeaders = new Map();
+    this.maxVerifiedHeaders = params.maxVerifiedHeaders || MAX_VERIFIED_HEADERS;
+    if (this.strict && !this.witnessProvider && !this.trustedCheckpoint) {
+      throw new Error("strict mode requires a witnessProvider or trustedCheckpoint");
+    }
   }
 
-  async querySignatures(ids) {
-    const filter = {
-      address: this.contract,
-      fromBlock: this.fromBlock,
-      topics: [null, null, ids],
+  async querySignatures(ids, options = {}) {
+    const logs = await this._getLogs([null, null, ids], options);
+    if (this.strict) await this._verifyLogs(logs);
+    return logs;
+  }
+
+  async querySignaturesBySigner(address, options = {}) {
+    const logs = await this._getLogs([SIGNATURE_TOPIC, _toSignerTopic(address)], options);
+    if (this.strict) await this._verifyLogs(logs);
+    return logs.map(_decodeSignatureLog);
+  }
+
+  /**
+   * Subscribes with `eth_subscribe` if the log provider is a WebSocket or other socket provider,
+   * otherwise falls back to polling (see BlockchainProvider).
+   */
+  subscribeSignatures(ids, listener, options = {}) {
+    if (!(this.logProvider instanceof ethers.SocketProvider)) return super.subscribeSignatures(ids, listener, options);
+    const onError = error => { if (options.onError) options.onError(error) };
+    const filter = { address: this.contract, topics: [null, null, ids] };
+    const handler = async log => {
+      try {
+        const event = _toRawLog(log);
+        if (this.strict) await this._verifyLogs([event]);
+        listener([event]);
+      }
+      catch (error) {
+        onError(error);
+      }
     };
-    return this.logProvider.send('eth_getLogs', [filter]);
+    this.logProvider.on(filter, handler).catch(onError);
+    return () => {
+      this.logProvider.off(filter, handler).catch(onError);
+    };
+  }
+
+  async getBlockNumber() {
+    return this.logProvider.getBlockNumber();
+  }
+
+  /**
+   * Calls the registry with a raw eth_call where the provider supports it, bypassing any request
+   * caching in the provider so that a signature registered moments ago is not missed.
+   */
+  async isRegistered(signature) {
+    const contract = new ethers.Contract(this.contract, this.abi, this.logProvider);
+    if (typeof this.logProvider.send !== 'function') return contract.isRegistered(signature);
+    const data = contract.interface.encodeFunctionData('isRegistered', [signature]);
+    const result = await this.logProvider.send('eth_call', [{ to: this.contract, data }, 'latest']);
+    return contract.interface.decodeFunctionResult('isRegistered', result)[0];
   }
   
   async publishSignature(signature, data) {
-    const signer = await this.transactionProvider.getSigner();
+    const signer = this.signer || await this.transactionProvider.getSigner();
     const signatory = await signer.getAddress();
-    const contract = new ethers.Contract(this.contract, this.abi, signer);
-    const tx = await contract.registerSignature(signature, data);
-    const receiptPromise = _awaitTransactionConfirmation(tx.hash, this.transactionProvider, this.blockTime, this.networkLatency);
+    const tx = await this._sendTransaction(signer, 'registerSignature', [signature, data]);
+    const monitor = this._monitorTransaction(tx);
+    return {
+      txHash: tx.hash,
+      signatory,
+      signature,
+      data,
+      confirmationInformer: monitor.confirmationInformer,
+      events: monitor
+    };
+  }
+
+  async publishSignatures(signatures, data) {
+    const signer = this.signer || await this.transactionProvider.getSigner();
+    const signatory = await signer.getAddress();
+    const tx = await this._sendTransaction(signer, 'registerSignatures', [signatures, data]);
+    const monitor = this._monitorTransaction(tx);
     return {
       txHash: tx.hash,
       signatory,
+      signatures,
+      data,
+      confirmationInformer: monitor.confirmationInformer,
+      events: monitor
+    };
+  }
+
+  async estimateSignature(signature, data) {
+    if (await this.isRegistered(signature)) throw new Error("signature already published");
+    const signer = this.signer || await this.transactionProvider.getSigner();
+    const provider = signer.provider || this.transactionProvider;
+    const contract = new ethers.Contract(this.contract, this.abi, signer);
+    const [gasLimit, feeData, block] = await Promise.all([
+      contract.registerSignature.estimateGas(signature, data),
+      this._getFeeData(provider),
+      provider.getBlock('latest')
+    ]);
+    const calldata = contract.interface.encodeFunctionData('registerSignature', [signature, data]);
+    return _estimateFee(gasLimit, feeData, block.baseFeePerGas, ethers.dataLength(calldata));
+  }
+
+  /**
+   * Sends a transaction calling the given registry contract function from the given signer
+   */
+  async _sendTransaction(signer, method, args) {
+    const contract = new ethers.Contract(this.contract, this.abi, signer);
+    return contract[method](...args);
+  }
+
+  /**
+   * Returns the fees that would be used for a transaction (see ethers.js `getFeeData`)
+   */
+  async _getFeeData(provider) {
+    return provider.getFeeData();
+  }
+
+  /**
+   * Queries the registry contract's logs matching the given topics, splitting the block range
+   * into windows as necessary.  Results are deduplicated and ordered by block and log index.
+   */
+  async _getLogs(topics, options) {
+    const fromBlock = options.fromBlock !== undefined ? options.fromBlock : (this.fromBlock || 0);
+    let toBlock = options.toBlock;
+    let ranges = [[fromBlock, toBlock]];
+    if (this.blockWindow) {
+      if (toBlock === undefined) toBlock = await this.logProvider.getBlockNumber();
+      ranges = [];
+      for (let from = fromBlock; from <= toBlock; from += this.blockWindow) {
+        ranges.push([from, Math.min(from + this.blockWindow - 1, toBlock)]);
+      }
+    }
+    const results = await mapConcurrent(ranges, this.maxConcurrentQueries, ([from, to]) => this._getLogsInRange(topics, from, to));
+    return _dedupeLogs(results.flat());
+  }
+
+  /**
+   * Queries the logs in the given block range, halving the range whenever the node rejects it
+   * for being too large.
+   */
+  async _getLogsInRange(topics, fromBlock, toBlock) {
+    const filter = {
+      address: this.contract,
+      fromBlock: _toBlockTag(fromBlock),
+      toBlock: _toBlockTag(toBlock),
+      topics
+    };
+    try {
+      return await this.logProvider.send('eth_getLogs', [filter]);
+    }
+    catch (error) {
+      if (!_isRangeLimitError(error)) throw error;
+      if (toBlock === undefined) toBlock = await this.logProvider.getBlockNumber();
+      if (toBlock <= fromBlock) throw error;
+      const mid = Math.floor((fromBlock + toBlock) / 2);
+      const lower = await this._getLogsInRange(topics, fromBlock, mid);
+      const upper = await this._getLogsInRange(topics, mid + 1, toBlock);
+      return lower.concat(upper);
+    }
+  }
+
+  /**
+   * Strict mode.  Proves each log is included on-chain.  Rejects with a LogVerificationError if any
+   * log cannot be proven.
+   */
+  async _verifyLogs(logs) {
+    const options = {
+      witnessProvider: this.witnessProvider,
+      checkpoint: this.trustedCheckpoint,
+      headerCache: this.verifiedHeaders
+    };
+    try {
+      await mapConcurrent(logs, this.maxConcurrentQueries, log => verifyLogInclusion(log, this.logProvider, options));
+    }
+    finally {
+      _trimHeaderCache(this.verifiedHeaders, this.maxVerifiedHeaders);
+    }
+  }
+
+  _monitorTransaction(tx, provider = this.transactionProvider) {
+    return new TransactionMonitor(tx, provider, {
+      blockTime: this.blockTime,
+      confirmations: this.confirmations,
+      timeout: this.timeout,
+      networkLatency: this.networkLatency
+    }).start();
+  }
+
+}
+
+
+/**
+ * Provider that publishes signatures from a private key or other server-side signer, such as a
+ * notarisation service signing many documents from a managed key.  Nonces are allocated locally
+ * so that many signatures can be published concurrently without waiting for each other.  The
+ * local nonce is resynchronised with the network whenever sending a transaction fails or a sent
+ * transaction is dropped.  Each transaction's gas is estimated before a nonce is allocated, so a
+ * registration that would revert does not leave a gap in the nonce sequence.
+ * 
+ * Takes the same parameters as the EthersProvider plus:
+ * 
+ * @param {ethers.Signer} params.signer - Signer that publishes signatures, e.g. an ethers.js `Wallet`.  Connected to
+ *   the `provider` if it is not already connected.
+ * @param {bigint} params.maxFeePerGas? - Cap on the EIP-1559 max fee per gas, or the gas price on legacy chains, in wei
+ * @param {bigint} params.maxPriorityFeePerGas? - Cap on the EIP-1559 priority fee per gas in wei
+ */
+export class WalletProvider extends EthersProvider {
+
+  constructor(params) {
+    if (!params.signer) throw new Error("signer is required");
+    const provider = params.provider || params.transactionProvider || params.signer.provider;
+    if (!provider) throw new Error("a provider is required if the signer is not connected");
+    let signer = params.signer.provider ? params.signer : params.signer.connect(provider);
+    if (!(signer instanceof ethers.NonceManager)) signer = new ethers.NonceManager(signer);
+    super({ ...params, provider, signer });
+    this.maxFeePerGas = params.maxFeePerGas !== undefined ? BigInt(params.maxFeePerGas) : undefined;
+    this.maxPriorityFeePerGas = params.maxPriorityFeePerGas !== undefined ? BigInt(params.maxPriorityFeePerGas) : undefined;
+  }
+
+  /**
+   * Discards the local nonce so that the next transaction uses the network's pending nonce.  Call
+   * if the signer's account is also used to send transactions elsewhere.
+   */
+  resync() {
+    this.signer.reset();
+  }
+
+  async _sendTransaction(signer, method, args) {
+    const contract = new ethers.Contract(this.contract, this.abi, signer);
+    const tx = await contract[method].populateTransaction(...args);
+    tx.gasLimit = await signer.estimateGas(tx);
+    if (this.maxFeePerGas !== undefined || this.maxPriorityFeePerGas !== undefined) {
+      const feeData = await this._getFeeData(signer.provider);
+      if (feeData.maxFeePerGas !== null) {
+        tx.maxFeePerGas = feeData.maxFeePerGas;
+        tx.maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
+      }
+      else tx.gasPrice = feeData.gasPrice;
+    }
+    try {
+      return await signer.sendTransaction(tx);
+    }
+    catch (error) {
+      this.resync();
+      throw error;
+    }
+  }
+
+  async _getFeeData(provider) {
+    const feeData = await provider.getFeeData();
+    if (feeData.maxFeePerGas === null) {
+      return { ...feeData, gasPrice: _min(feeData.gasPrice, this.maxFeePerGas) };
+    }
+    const maxFeePerGas = _min(feeData.maxFeePerGas, this.maxFeePerGas);
+    return {
+      ...feeData,
+      maxFeePerGas,
+      maxPriorityFeePerGas: _min(feeData.maxPriorityFeePerGas, this.maxPriorityFeePerGas, maxFeePerGas)
+    };
+  }
+
+  _monitorTransaction(tx, provider) {
+    const monitor = super._monitorTransaction(tx, provider);
+    monitor.once('dropped', () => this.resync());
+    return monitor;
+  }
+
+}
+
+
+/**
+ * Provider that publishes signatures through an OpenSig relayer so that signers do not need to
+ * hold gas tokens.  The signer authorises each signature by signing EIP-712 typed data, which the
+ * relayer submits to the registry contract (see relay.js).  Signatures are queried in the same way
+ * as the EthersProvider.
+ * 
+ * Takes the same parameters as the EthersProvider plus:
+ * 
+ * @param {string} params.relayerUrl - URL of the relayer
+ * @param {ethers.Signer} params.signer? - Signer used to authorise signatures (default the transactionProvider's signer)
+ * @param {number} params.authorisationTtl? - Time in seconds that each authorisation remains valid (default 3600)
+ */
+export class RelayerProvider extends EthersProvider {
+
+  constructor(params) {
+    super(params);
+    if (!params.relayerUrl) throw new Error("relayerUrl is required");
+    if (!params.signer && !this.transactionProvider) throw new Error("a signer or transactionProvider is required");
+    this.relayerUrl = params.relayerUrl;
+    this.authorisationTtl = params.authorisationTtl || 3600;
+  }
+
+  async publishSignature(signature, data) {
+    const signer = this.signer || await this.transactionProvider.getSigner();
+    const request = await createRelayRequest(signer, {
+      chainId: this.chainId,
+      contract: this.contract,
+      signature,
+      data,
+      deadline: Math.floor(Date.now() / 1000) + this.authorisationTtl
+    });
+    const { txHash } = await this._relay(request);
+    // the relayer's transaction is monitored by hash only since it is not sent from the signer
+    const monitor = this._monitorTransaction({ hash: txHash }, this.logProvider);
+    return {
+      txHash,
+      signatory: request.signer,
+      signature,
+      data,
+      confirmationInformer: monitor.confirmationInformer,
+      events: monitor
+    };
+  }
+
+  async publishSignatures() {
+    throw new Error("batch signing is not supported by the relayer");
+  }
+
+  async estimateSignature() {
+    throw new Error("fee estimation is not supported by the relayer");
+  }
+
+  async _relay(request) {
+    const response = await fetch(this.relayerUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(request)
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error("relayer rejected the signature: " + (body.error || response.statusText));
+    if (!body.txHash) throw new Error("invalid relayer response");
+    return body;
+  }
+
+}
+
+
+/**
+ * Provider that emulates the OpenSig registry contract in memory, for offline development and for
+ * testing applications without a blockchain.  Signatures are recorded on a simulated chain that
+ * mines each transaction into its own block.  As with the registry contract, each signature can
+ * only be published once and every registration emits a `Signature` event, returned by
+ * `querySignatures` as a raw log in the same form as `eth_getLogs`.
+ *
+ * Published transactions are mined immediately unless a `miningDelay` is given.  Use `mine` to
+ * add blocks (for example, to confirm a transaction when `confirmations` is greater than 1) and
+ * `failNext` to simulate a failed transaction.
+ *
+ * Takes the same parameters as the BlockchainProvider, all optional, plus:
+ *
+ * @param {string} params.signatory? - Address recorded as the signer of published signatures (default the first account of a Hardhat or Anvil dev chain)
+ * @param {number} params.miningDelay? - Time in milliseconds before a published transaction is mined (default 0)
+ * @param {bigint} params.baseFeePerGas? - Simulated base fee in wei used by `estimateSignature` (default 1 gwei)
+ * @param {bigint} params.maxPriorityFeePerGas? - Simulated priority fee in wei used by `estimateSignature` (default 1 gwei)
+ * @param {Array} params.fixtures? - Signatures registered on creation (see `seed`)
+ */
+export class MemoryProvider extends BlockchainProvider {
+
+  constructor(params = {}) {
+    super({ chainId: 1337, contract: MEMORY_REGISTRY_ADDRESS, blockTime: 100, ...params });
+    this.signatory = ethers.getAddress(params.signatory || MEMORY_SIGNATORY);
+    this.miningDelay = params.miningDelay || 0;
+    this.baseFeePerGas = params.baseFeePerGas !== undefined ? BigInt(params.baseFeePerGas) : ethers.parseUnits('1', 'gwei');
+    this.maxPriorityFeePerGas = params.maxPriorityFeePerGas !== undefined ? BigInt(params.maxPriorityFeePerGas) : ethers.parseUnits('1', 'gwei');
+    this.chain = new MemoryChain(this.contract);
+    this.failures = [];
+    if (params.fixtures) this.seed(params.fixtures);
+  }
+
+  /**
+   * Registers signatures as though they had already been published, each in its own block.
+   *
+   * @param {Array} fixtures array of objects containing
+   *    signature: 32-byte signature hash as a hex string
+   *    data: (optional) the encoded annotation data as a hex string (default '0x')
+   *    signatory: (optional) the signer's address (default this provider's signatory)
+   *    time: (optional) the block timestamp in seconds (default now)
+   */
+  seed(fixtures) {
+    fixtures.forEach(fixture => {
+      const valid = fixture && ethers.isHexString(fixture.signature, 32)
+        && (fixture.data === undefined || ethers.isHexString(fixture.data))
+        && (fixture.signatory === undefined || ethers.isAddress(fixture.signatory))
+        && (fixture.time === undefined || Number.isInteger(fixture.time));
+      if (!valid) throw new Error("invalid fixture");
+      _checkRegistrations(this.chain, [fixture.signature], [fixture.data || '0x']);
+      const from = ethers.getAddress(fixture.signatory || this.signatory);
+      this.chain.mineTransaction({ from, signatures: [fixture.signature], data: [fixture.data || '0x'] }, fixture.time);
+    });
+  }
+
+  /**
+   * Makes the next publication fail.  Failures are queued, one per publication.
+   *
+   * @param {string} type 'rejected' (publishing rejects, as if the user cancelled), 'reverted'
+   * (the transaction is mined but reverts) or 'dropped' (the transaction is never mined)
+   * @param {string} message (optional) error message for a rejected publication
+   */
+  failNext(type = 'reverted', message = "transaction rejected") {
+    if (!FAILURE_TYPES.includes(type)) throw new Error("invalid failure type");
+    this.failures.push({ type, message });
+  }
+
+  /**
+   * Mines the given number of empty blocks after any pending transactions that are due.
+   *
+   * @returns the latest block number
+   */
+  mine(blocks = 1) {
+    for (let i = 0; i < blocks; i++) this.chain.mineBlock();
+    return this.chain.blocks.length - 1;
+  }
+
+  async querySignatures(ids, options = {}) {
+    const fromBlock = options.fromBlock !== undefined ? options.fromBlock : (this.fromBlock || 0);
+    const toBlock = options.toBlock !== undefined ? options.toBlock : Infinity;
+    return this.chain.getLogs([null, null, ids], fromBlock, toBlock);
+  }
+
+  async querySignaturesBySigner(address, options = {}) {
+    const fromBlock = options.fromBlock !== undefined ? options.fromBlock : (this.fromBlock || 0);
+    const toBlock = options.toBlock !== undefined ? options.toBlock : Infinity;
+    return this.chain.getLogs([[SIGNATURE_TOPIC], [_toSignerTopic(address)]], fromBlock, toBlock).map(_decodeSignatureLog);
+  }
+
+  async getBlockNumber() {
+    return this.chain.getBlockNumber();
+  }
+
+  async isRegistered(signature) {
+    return this.chain.isRegistered(signature);
+  }
+
+  async publishSignature(signature, data) {
+    const tx = this._submit([signature], [data]);
+    const monitor = this._monitorTransaction(tx);
+    return {
+      txHash: tx.hash,
+      signatory: tx.from,
       signature,
       data,
-      confirmationInformer: receiptPromise
+      confirmationInformer: monitor.confirmationInformer,
+      events: monitor
     };
   }
 
+  async publishSignatures(signatures, data) {
+    const tx = this._submit(signatures, data);
+    const monitor = this._monitorTransaction(tx);
+    return {
+      txHash: tx.hash,
+      signatory: tx.from,
+      signatures,
+      data,
+      confirmationInformer: monitor.confirmationInformer,
+      events: monitor
+    };
+  }
+
+  /**
+   * Estimates the registration's gas from the costs of the transaction, its calldata, the storage
+   * write and the Signature event, plus a fixed allowance for execution.
+   */
+  async estimateSignature(signature, data) {
+    _checkRegistrations(this.chain, [signature], [data]);
+    const calldata = this.chain.registry.encodeFunctionData('registerSignature', [signature, data]);
+    const event = this.chain.registry.encodeEventLog('Signature', [0, this.signatory, signature, data]);
+    const calldataGas = ethers.getBytes(calldata).reduce((gas, byte) => gas + (byte === 0 ? 4n : 16n), 0n);
+    const gasLimit = 21000n + calldataGas + 22100n + 375n * BigInt(event.topics.length + 1) + 8n * BigInt(ethers.dataLength(event.data)) + 3000n;
+    const feeData = {
+      maxFeePerGas: this.baseFeePerGas * 2n + this.maxPriorityFeePerGas,
+      maxPriorityFeePerGas: this.maxPriorityFeePerGas,
+      gasPrice: this.baseFeePerGas + this.maxPriorityFeePerGas
+    };
+    return _estimateFee(gasLimit, feeData, this.baseFeePerGas, ethers.dataLength(calldata));
+  }
+
+  /**
+   * Submits a registration transaction to the chain, rejecting it as the node would when it fails
+   * gas estimation.
+   */
+  _submit(signatures, data) {
+    _checkRegistrations(this.chain, signatures, data);
+    const failure = this.failures.shift();
+    if (failure && failure.type === 'rejected') throw new Error(failure.message);
+    return this.chain.submit({
+      from: this.signatory,
+      signatures,
+      data,
+      minedAt: Date.now() + this.miningDelay,
+      failure: failure && failure.type
+    });
+  }
+
+  _monitorTransaction(tx) {
+    return new TransactionMonitor(tx, this.chain, {
+      blockTime: this.blockTime,
+      confirmations: this.confirmations,
+      timeout: this.timeout,
+      networkLatency: this.networkLatency,
+      pollInterval: this.blockTime
+    }).start();
+  }
+
 }
 
 
@@ -164,6 +816,9 @@ export class AnkrProvider extends MetamaskProvider {
 export const providers = {
   BlockchainProvider,
   EthersProvider,
+  WalletProvider,
+  RelayerProvider,
+  MemoryProvider,
   MetamaskProvider,
   HTTPProvider,
   AnkrProvider
@@ -174,31 +829,304 @@ export const providers = {
 // Blockchain functions
 //
 
+/**
+ * Returns the fee estimate for the given gas limit (see `BlockchainProvider.estimateSignature`).
+ * The expected fee assumes the base fee stays at its current level.  Legacy chains are priced with
+ * the gas price.
+ */
+function _estimateFee(gasLimit, feeData, baseFeePerGas, calldataSize) {
+  const eip1559 = feeData.maxFeePerGas !== null && feeData.maxFeePerGas !== undefined && baseFeePerGas !== null && baseFeePerGas !== undefined;
+  const fee = eip1559 ? gasLimit * _min(baseFeePerGas + feeData.maxPriorityFeePerGas, feeData.maxFeePerGas) : gasLimit * feeData.gasPrice;
+  return {
+    gasLimit,
+    baseFeePerGas: eip1559 ? baseFeePerGas : null,
+    maxFeePerGas: eip1559 ? feeData.maxFeePerGas : null,
+    maxPriorityFeePerGas: eip1559 ? feeData.maxPriorityFeePerGas : null,
+    gasPrice: feeData.gasPrice !== undefined ? feeData.gasPrice : null,
+    fee,
+    maxFee: eip1559 ? gasLimit * feeData.maxFeePerGas : fee,
+    formattedFee: ethers.formatEther(fee),
+    calldataSize
+  };
+}
+
 
 /**
- * _awaitTransactionConfirmation
- * 
- * Returns a promise to resolve with the receipt when the given transaction hash has been confirmed by the blockchain network.
- * Rejects if the transaction reverted.
- * If the networkLatency parameter has been given then it includes that delay before resolving.  This is useful when different
- * RPC nodes are used for publishing and querying.  Gives time for the transaction to spread through the network.
- */
-function _awaitTransactionConfirmation(txHash, provider, blockTime, networkLatency=0) {
-  return new Promise( (resolve, reject) => {
-
-    function checkTxReceipt(txHash, interval, resolve, reject) {
-      return provider.getTransactionReceipt(txHash)
-        .then(receipt => {
-          if (receipt === null ) setTimeout(() => { checkTxReceipt(txHash, interval, resolve, reject) }, interval);
-          else {
-            if (receipt.status) networkLatency > 0 ? setTimeout(() => resolve(receipt), networkLatency) : resolve(receipt);
-            else reject(receipt);
-          }
-        })
-        .catch(reject)
-    }
-    
-    setTimeout(() => { checkTxReceipt(txHash, 1000, resolve, reject) }, blockTime || 1000); 
-  })
+ * Returns the smallest of the given bigints, ignoring undefined and null values
+ */
+function _min(...values) {
+  const defined = values.filter(v => v !== undefined && v !== null);
+  return defined.length > 0 ? defined.reduce((min, v) => v < min ? v : min) : null;
+}
+
+
+/**
+ * Converts a block number to the hex quantity expected by the JSON-RPC API.  Block tags such as
+ * 'latest' and undefined values are passed through unchanged.
+ */
+function _toBlockTag(block) {
+  return typeof block === 'number' || typeof block === 'bigint' ? ethers.toQuantity(block) : block;
+}
+
+
+/**
+ * Returns true if the given error is an RPC node's rejection of an eth_getLogs query for spanning
+ * too many blocks or returning too many results.  Nodes report this in many different ways.  Rate
+ * limits are reported with similar wording (and by some nodes with the same -32005 code) but must
+ * not be treated as range limits - splitting the query would only send more requests.
+ */
+function _isRangeLimitError(error) {
+  const RANGE_LIMIT_PATTERN = /block range|range (is )?too (large|wide|big)|too many (results|logs|blocks)|more than [\d,]+ (results|logs)|response size|exceeds? (the )?max(imum)? (results|logs|range|block)|limited to (a )?[\d,]+ (block )?(range|blocks)/i;
+  const RATE_LIMIT_PATTERN = /rate|request limit|too many requests|requests per|capacity|compute units|throughput|quota|credits/i;
+  const errors = [error, error.error, error.info && error.info.error].filter(e => e);
+  const messages = errors.map(e => e.message || '');
+  return !messages.some(m => RATE_LIMIT_PATTERN.test(m)) && messages.some(m => RANGE_LIMIT_PATTERN.test(m));
+}
+
+
+/**
+ * Evicts the oldest blocks from a map of block number to verified block hash until it holds no
+ * more than `max` entries.  Any remaining block can still anchor the walk from the checkpoint.
+ */
+function _trimHeaderCache(headers, max) {
+  if (headers.size <= max) return;
+  const numbers = Array.from(headers.keys()).sort((a, b) => a - b);
+  numbers.slice(0, headers.size - max).forEach(n => headers.delete(n));
 }
 
+
+/**
+ * Removes duplicate logs (e.g. from overlapping queries) and orders them by block and log index
+ */
+function _dedupeLogs(logs) {
+  const unique = new Map();
+  logs.forEach(log => unique.set(log.transactionHash + ':' + Number(log.logIndex), log));
+  return [...unique.values()].sort((a, b) => {
+    return Number(a.blockNumber) - Number(b.blockNumber) || Number(a.logIndex) - Number(b.logIndex);
+  });
+}
+
+
+/**
+ * Returns the Signature event topic of the given signatory's address
+ */
+function _toSignerTopic(address) {
+  if (!ethers.isAddress(address)) throw new Error("invalid address");
+  return ethers.zeroPadValue(ethers.getAddress(address), 32);
+}
+
+
+/**
+ * Decodes the fields of a raw Signature event log, leaving the annotation data encoded
+ */
+function _decodeSignatureLog(log) {
+  const { args } = registryInterface.parseLog(log);
+  return {
+    event: log,
+    time: Number(args.time),
+    signatory: args.signer,
+    signature: args.signature,
+    rawData: args.data
+  };
+}
+
+
+/**
+ * Converts an ethers.js Log to the raw form returned by eth_getLogs
+ */
+function _toRawLog(log) {
+  return {
+    address: log.address.toLowerCase(),
+    topics: [...log.topics],
+    data: log.data,
+    blockNumber: ethers.toQuantity(log.blockNumber),
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    transactionIndex: ethers.toQuantity(log.transactionIndex),
+    logIndex: ethers.toQuantity(log.index),
+    removed: log.removed
+  };
+}
+
+
+//
+// In-memory registry
+//
+
+/**
+ * Rejects a registration that the registry contract would revert
+ */
+function _checkRegistrations(chain, signatures, data) {
+  if (!Array.isArray(signatures) || !Array.isArray(data) || signatures.length !== data.length) {
+    throw new Error("array length mismatch");
+  }
+  const ids = signatures.map(sig => sig.toLowerCase());
+  if (ids.some((id, i) => chain.isRegistered(id) || ids.indexOf(id) !== i)) throw new Error("signature already published");
+}
+
+
+/**
+ * Simulated chain running a single registry contract.  Implements the subset of the ethers.js
+ * Provider interface used by the TransactionMonitor.  Transactions are mined lazily: each is
+ * included in its own block the next time the chain is read after its `minedAt` time.
+ */
+class MemoryChain {
+
+  blocks = [];
+  pending = [];
+  transactions = new Map();
+  receipts = new Map();
+  registered = new Set();
+  logs = [];
+  txCount = 0;
+
+  constructor(contract) {
+    this.contract = contract;
+    this.registry = new ethers.Interface(defaultABI);
+    this._addBlock([]);
+  }
+
+  isRegistered(signature) {
+    this._update();
+    return this.registered.has(signature.toLowerCase());
+  }
+
+  /**
+   * Adds a registration transaction to the mempool.  A dropped transaction is never added.
+   */
+  submit({ from, signatures, data, minedAt = 0, failure }) {
+    this._update();
+    const tx = this._createTransaction(from, signatures, data, failure);
+    if (failure !== 'dropped') {
+      tx.minedAt = minedAt;
+      this.pending.push(tx);
+      this.transactions.set(tx.hash, tx);
+    }
+    return tx;
+  }
+
+  /**
+   * Mines a block containing a registration transaction that bypasses the mempool, with the
+   * given block timestamp
+   */
+  mineTransaction({ from, signatures, data }, time) {
+    this._update();
+    const tx = this._createTransaction(from, signatures, data);
+    this.transactions.set(tx.hash, tx);
+    this._addBlock([tx], time);
+  }
+
+  /**
+   * Mines any due transactions then an empty block
+   */
+  mineBlock() {
+    this._update();
+    this._addBlock([]);
+  }
+
+  /**
+   * Returns the logs matching the given topics as eth_getLogs would.  Each topic is either null, 
+   * to match any value, or an array of values to match.
+   */
+  getLogs(topics, fromBlock, toBlock) {
+    this._update();
+    const filters = topics.map(values => values && values.map(value => value.toLowerCase()));
+    return this.logs
+      .filter(log => filters.every((values, i) => !values || values.includes(log.topics[i])))
+      .filter(log => Number(log.blockNumber) >= fromBlock && Number(log.blockNumber) <= toBlock)
+      .map(log => structuredClone(log));
+  }
+
+  async getBlockNumber() {
+    this._update();
+    return this.blocks.length - 1;
+  }
+
+  async getTransactionReceipt(hash) {
+    this._update();
+    return this.receipts.get(hash) || null;
+  }
+
+  async getTransaction(hash) {
+    this._update();
+    return this.transactions.get(hash) || null;
+  }
+
+  async getTransactionCount(address) {
+    this._update();
+    return this._countTransactions(address, false);
+  }
+
+  async getBlock(number, prefetchTxs) {
+    this._update();
+    const block = this.blocks[number];
+    if (!block) return null;
+    return prefetchTxs ? { ...block, prefetchedTransactions: block.transactions } : block;
+  }
+
+  _createTransaction(from, signatures, data, failure) {
+    return {
+      hash: ethers.id('opensig memory transaction ' + this.txCount++),
+      from,
+      to: this.contract,
+      nonce: this._countTransactions(from, true),
+      value: 0n,
+      signatures: signatures.map(sig => sig.toLowerCase()),
+      registrationData: data,
+      failure
+    };
+  }
+
+  _countTransactions(address, includePending) {
+    const txs = [...this.transactions.values()].filter(tx => tx.from === address);
+    return includePending ? txs.length : txs.filter(tx => this.receipts.has(tx.hash)).length;
+  }
+
+  _update() {
+    const now = Date.now();
+    while (this.pending.length > 0 && this.pending[0].minedAt <= now) {
+      const tx = this.pending.shift();
+      this._addBlock([tx], Math.max(this.blocks[this.blocks.length - 1].timestamp, Math.floor(tx.minedAt / 1000)));
+    }
+  }
+
+  /**
+   * Mines a block, executing each transaction as the registry contract would: the whole
+   * transaction reverts if any of its signatures has already been registered.  The timestamp
+   * defaults to now, or the previous block's timestamp if later.
+   */
+  _addBlock(txs, time) {
+    const previous = this.blocks[this.blocks.length - 1];
+    const number = this.blocks.length;
+    const block = {
+      number,
+      hash: ethers.id('opensig memory block ' + number),
+      parentHash: previous ? previous.hash : ethers.ZeroHash,
+      timestamp: time !== undefined ? time : Math.max(previous ? previous.timestamp : 0, Math.floor(Date.now() / 1000)),
+      transactions: txs
+    };
+    this.blocks.push(block);
+    let logIndex = 0;
+    txs.forEach((tx, transactionIndex) => {
+      const reverted = tx.failure === 'reverted' || tx.signatures.some(sig => this.registered.has(sig));
+      const logs = reverted ? [] : tx.signatures.map((signature, i) => {
+        this.registered.add(signature);
+        const { topics, data } = this.registry.encodeEventLog('Signature', [block.timestamp, tx.from, signature, tx.registrationData[i]]);
+        return {
+          address: this.contract,
+          topics,
+          data,
+          blockNumber: ethers.toQuantity(number),
+          blockHash: block.hash,
+          transactionHash: tx.hash,
+          transactionIndex: ethers.toQuantity(transactionIndex),
+          logIndex: ethers.toQuantity(logIndex++),
+          removed: false
+        };
+      });
+      this.logs.push(...logs);
+      this.receipts.set(tx.hash, { hash: tx.hash, blockNumber: number, blockHash: block.hash, status: reverted ? 0 : 1, logs });
+    });
+  }
+
+}
@@ -0,0 +1,85 @@
+// Copyright (c) 2023 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+//
+// Relayed (gasless) signature registration.  The signer authorises a signature by signing EIP-712
+// typed data over the signature hash, annotation data and a deadline.  A relayer submits the
+// authorisation to the registry contract's `registerSignatureFor` function and pays the gas.  The
+// contract recovers the signer and records them, not the relayer, in the Signature event.
+//
+// Relay requests are JSON objects of the form:
+//
+//   {
+//     chainId: chain id of the registry
+//     contract: address of the registry contract
+//     signer: address of the signer
+//     signature: the 32-byte signature hash to register
+//     data: hex encoded annotation data
+//     deadline: unix time in seconds after which the authorisation expires
+//     authorisation: the signer's EIP-712 signature over the above
+//   }
+//
+
+import { ethers } from "ethers";
+
+
+/**
+ * EIP-712 types of the registry's RegisterSignature message
+ */
+export const RELAY_TYPES = {
+  RegisterSignature: [
+    { name: 'signer', type: 'address' },
+    { name: 'signature', type: 'bytes32' },
+    { name: 'data', type: 'bytes' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+
+/**
+ * Returns the EIP-712 domain of the registry contract at the given address on the given chain
+ */
+export function getRelayDomain(chainId, contract) {
+  return { name: 'OpensigRegistry', version: '1', chainId: Number(chainId), verifyingContract: contract };
+}
+
+
+/**
+ * Constructs a relay request, prompting the signer to authorise it.
+ *
+ * @param {ethers.Signer} signer the signer
+ * @param {Object} params containing chainId, contract, signature, data and deadline
+ * @returns Promise to resolve the relay request
+ */
+export async function createRelayRequest(signer, params) {
+  const request = {
+    chainId: Number(params.chainId),
+    contract: params.contract,
+    signer: await signer.getAddress(),
+    signature: params.signature,
+    data: params.data,
+    deadline: Number(params.deadline)
+  };
+  request.authorisation = await signer.signTypedData(getRelayDomain(request.chainId, request.contract), RELAY_TYPES, _message(request));
+  return request;
+}
+
+
+/**
+ * Returns the address that signed the given relay request's authorisation
+ */
+export function recoverRelaySigner(request) {
+  const domain = getRelayDomain(request.chainId, request.contract);
+  return ethers.verifyTypedData(domain, RELAY_TYPES, _message(request), request.authorisation);
+}
+
+
+function _message(request) {
+  return {
+    signer: request.signer,
+    signature: request.signature,
+    data: request.data,
+    deadline: request.deadline
+  };
+}
@@ -0,0 +1,187 @@
+// Copyright (c) 2023 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+import { ethers } from 'ethers';
+import { Document } from './opensig.js';
+import { DEFAULT_HASH_SUITE, checkHashSuite } from './crypto.js';
+import { buf2hex } from './utils.js';
+
+/**
+ * Version of the signing request payload produced by `SigningRequest.serialise`
+ */
+const SIGNING_REQUEST_VERSION = 1;
+
+
+/**
+ * SigningRequest class
+ *
+ * A request for a document to be signed by a set of signatories, optionally in a given order and
+ * by a deadline.  The request serialises to a shareable payload and can optionally be anchored on
+ * the blockchain as the document's first annotation.  `status` verifies the document and reports
+ * the progress of the request.
+ */
+export class SigningRequest {
+
+  /**
+   * @param {BlockchainProvider} network the blockchain provider the document is signed on
+   * @param {Object} params containing
+   *    documentHash: 32-byte hash of the document, as a hex string or bytes
+   *    signatories: array of the addresses required to sign
+   *    ordered: (optional) if true, the signatories must sign in the order given
+   *    deadline: (optional) unix time in seconds, or a Date, by which all must have signed
+   *    hashSuite: (optional) the document's hash suite - see `Document`.  Defaults to sha256.
+   */
+  constructor(network, params = {}) {
+    if (!ethers.isHexString(params.documentHash, 32) && !(params.documentHash instanceof Uint8Array && params.documentHash.length === 32)) {
+      throw new Error("invalid document hash");
+    }
+    if (!Array.isArray(params.signatories) || params.signatories.length === 0) throw new Error("invalid signatories");
+    const signatories = params.signatories.map(address => {
+      if (!ethers.isAddress(address)) throw new Error("invalid signatory address: "+address);
+      return ethers.getAddress(address);
+    });
+    if (new Set(signatories).size !== signatories.length) throw new Error("duplicate signatory");
+    const deadline = params.deadline instanceof Date ? Math.floor(params.deadline.getTime() / 1000) : params.deadline;
+    if (deadline !== undefined && !(Number.isInteger(deadline) && deadline > 0)) throw new Error("invalid deadline");
+    this.network = network;
+    this.documentHash = typeof params.documentHash === 'string' ? params.documentHash.toLowerCase() : buf2hex(params.documentHash);
+    this.signatories = signatories;
+    this.ordered = params.ordered === true;
+    this.deadline = deadline;
+    this.hashSuite = params.hashSuite !== undefined ? params.hashSuite : DEFAULT_HASH_SUITE;
+    checkHashSuite(this.hashSuite);
+    this.document = new Document(network, ethers.getBytes(this.documentHash), { hashSuite: this.hashSuite });
+  }
+
+  /**
+   * Reconstructs a signing request from a payload produced by `serialise`.
+   *
+   * @param {BlockchainProvider} network the blockchain provider the document is signed on
+   * @param {String|Object} payload the serialised request or its parsed JSON
+   * @throws if the payload is invalid or is for a different chain
+   */
+  static deserialise(network, payload) {
+    let request = payload;
+    if (typeof payload === 'string') {
+      try { request = JSON.parse(payload) }
+      catch (error) { throw new Error("invalid signing request") }
+    }
+    if (!request || typeof request !== 'object') throw new Error("invalid signing request");
+    if (request.version !== SIGNING_REQUEST_VERSION) throw new Error("unsupported signing request version");
+    if (String(request.chainId) !== String(network.chainId)) throw new Error("signing request is for a different chain");
+    return new SigningRequest(network, request);
+  }
+
+  /**
+   * Reads the signing request anchored as the first annotation on the given document.
+   *
+   * @param {BlockchainProvider} network the blockchain provider the document is signed on
+   * @param {Buffer} documentHash 32-byte hash of the document
+   * @param {Object} options (optional) document options - see `Document`
+   * @throws if the document has no anchored signing request
+   */
+  static async fromDocument(network, documentHash, options = {}) {
+    const document = new Document(network, documentHash, options);
+    const [first] = await document.verify();
+    if (!_isAnchor(first)) throw new Error("document has no signing request");
+    const request = SigningRequest.deserialise(network, first.data.content.signingRequest);
+    if (request.documentHash !== buf2hex(documentHash).toLowerCase() || request.hashSuite !== document.hashSuite) {
+      throw new Error("signing request is for a different document");
+    }
+    return request;
+  }
+
+  /**
+   * Returns the request as a JSON-serialisable object
+   */
+  toJSON() {
+    const json = {
+      version: SIGNING_REQUEST_VERSION,
+      chainId: Number(this.network.chainId),
+      documentHash: this.documentHash,
+      signatories: this.signatories,
+      ordered: this.ordered
+    };
+    if (this.deadline !== undefined) json.deadline = this.deadline;
+    if (this.hashSuite !== DEFAULT_HASH_SUITE) json.hashSuite = this.hashSuite;
+    return json;
+  }
+
+  /**
+   * Returns the request as a shareable JSON string.  See `deserialise`.
+   */
+  serialise() {
+    return JSON.stringify(this.toJSON());
+  }
+
+  /**
+   * Publishes the request as the first annotation on the document so that signatories can find it
+   * with `fromDocument`.  The document must not already have any signatures.
+   *
+   * @returns see `Document.sign`
+   */
+  async anchor() {
+    const signatures = await this.document.verify();
+    if (signatures.length > 0) throw new Error("document already has signatures");
+    return this.document.sign({ type: 'json', content: { signingRequest: this.toJSON() } });
+  }
+
+  /**
+   * Verifies the document and reports the progress of the request.  Only each signatory's first
+   * unrevoked signature counts.  The anchored request, if any, is not counted as a signature.
+   *
+   * @param {Object} options (optional) verify options - see `Document.verify`
+   * @returns {Object} containing
+   *    complete: true if every signatory has signed
+   *    expired: true if the deadline has passed and the request is not complete
+   *    signed: array of {signatory, signature, time, late, outOfOrder} in signing order
+   *    pending: addresses of the signatories yet to sign
+   *    late: addresses of the signatories that signed after the deadline
+   *    outOfOrder: addresses of the signatories that signed before an earlier signatory in an
+   *      ordered request
+   * @throws BlockchainNotSupportedError
+   */
+  async status(options = {}) {
+    const signatures = await this.document.verify(options);
+    const required = new Map(this.signatories.map((address, i) => [address.toLowerCase(), i]));
+    const counted = new Map();
+    signatures.forEach((sig, i) => {
+      if (i === 0 && _isAnchor(sig)) return;
+      if (sig.revoked || !sig.data || sig.data.type === 'revocation') return;
+      const signatory = sig.signatory.toLowerCase();
+      if (required.has(signatory) && !counted.has(signatory)) counted.set(signatory, { sig, position: i });
+    });
+
+    const signed = [...counted.values()].map(({ sig, position }) => {
+      const order = required.get(sig.signatory.toLowerCase());
+      const outOfOrder = this.ordered && this.signatories.slice(0, order).some(address => {
+        const earlier = counted.get(address.toLowerCase());
+        return !earlier || earlier.position > position;
+      });
+      const late = this.deadline !== undefined && sig.time > this.deadline;
+      return { signatory: this.signatories[order], signature: sig.signature, time: sig.time, late, outOfOrder };
+    });
+
+    const pending = this.signatories.filter(address => !counted.has(address.toLowerCase()));
+    return {
+      complete: pending.length === 0,
+      expired: pending.length > 0 && this.deadline !== undefined && Date.now() / 1000 > this.deadline,
+      signed,
+      pending,
+      late: signed.filter(s => s.late).map(s => s.signatory),
+      outOfOrder: signed.filter(s => s.outOfOrder).map(s => s.signatory)
+    };
+  }
+
+}
+
+
+/**
+ * Returns true if the given signature is an anchored signing request
+ */
+function _isAnchor(signature) {
+  return signature !== undefined && signature.data.type === 'json'
+    && signature.data.content !== null && typeof signature.data.content === 'object'
+    && signature.data.content.signingRequest !== undefined;
+}
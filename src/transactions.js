@@ -0,0 +1,268 @@
+// Copyright (c) 2023 Bubble Protocol
+// Distributed under the MIT software license, see the accompanying
+// file LICENSE or http://www.opensource.org/licenses/mit-license.php.
+
+//
+// Transaction lifecycle monitoring
+//
+
+import { TransactionFailedError } from './errors.js';
+
+
+/**
+ * Interval between receipt polls while waiting for a transaction to be mined
+ */
+const DEFAULT_POLL_INTERVAL = 1000;
+
+/**
+ * Number of consecutive polls a transaction must be missing from the network before it is
+ * considered dropped.
+ */
+const DROPPED_POLL_COUNT = 3;
+
+const TERMINAL_EVENTS = ['final', 'reverted', 'dropped', 'replaced', 'timeout'];
+
+
+/**
+ * TransactionMonitor class
+ *
+ * Follows a published transaction through its lifecycle, emitting an event at each stage:
+ *
+ *   submitted     - the transaction has been published
+ *   mined         - the transaction has been included in a block. Includes `receipt`.
+ *   confirmation  - the transaction has `confirmations` confirmations. Includes `receipt`.
+ *   final         - the transaction has reached the target number of confirmations.
+ *   replaced      - the transaction was replaced in the wallet. Includes `replacement` (the hash
+ *                   of the replacement transaction) and `reason` ('repriced', 'cancelled' or
+ *                   'replaced').  A repriced (sped-up) transaction is followed automatically and
+ *                   the monitor continues with the replacement.
+ *   dropped       - the transaction disappeared from the network without being mined
+ *   reverted      - the transaction was mined but reverted. Includes `receipt`.
+ *   timeout       - the transaction did not become final within the configured timeout
+ *
+ * Every event is an object with a `type` and the current `txHash`.  Events can be received either
+ * with `on`/`once`, or by iterating the monitor with `for await`.  Iteration replays all events
+ * from the start and ends after the final, reverted, dropped, timeout or (unrepriced) replaced
+ * event.  Errors thrown by listeners are ignored.
+ *
+ * The `confirmationInformer` promise resolves with the receipt when the transaction is final and
+ * rejects with a TransactionFailedError otherwise.
+ */
+export class TransactionMonitor {
+
+  events = [];
+  listeners = {};
+  iterators = [];
+  done = false;
+  mined = false;
+  confirmed = 0;
+  missingCount = 0;
+
+  /**
+   * @param {ethers.TransactionResponse} tx the published transaction
+   * @param {ethers.Provider} provider provider used to monitor the transaction
+   * @param {Object} options containing
+   *    blockTime: average block time in ms
+   *    confirmations: (optional) number of confirmations before final. Defaults to 1.
+   *    timeout: (optional) ms after which to give up waiting for finality. Defaults to no timeout.
+   *    networkLatency: (optional) ms delay after the final confirmation before emitting `final`
+   *    pollInterval: (optional) ms between receipt polls
+   */
+  constructor(tx, provider, options = {}) {
+    this.tx = tx;
+    this.txHash = tx.hash;
+    this.provider = provider;
+    this.blockTime = options.blockTime || 1000;
+    this.confirmations = options.confirmations || 1;
+    this.timeout = options.timeout || 0;
+    this.networkLatency = options.networkLatency || 0;
+    this.pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL;
+    this.confirmationInformer = new Promise((resolve, reject) => {
+      this.once('final', e => resolve(e.receipt));
+      TERMINAL_EVENTS.filter(t => t !== 'final').forEach(type => {
+        this.on(type, e => { if (_isTerminal(e)) reject(new TransactionFailedError(e)) });
+      });
+    });
+    this.confirmationInformer.catch(() => {}); // prevent unhandled rejections if the caller only uses events
+  }
+
+  /**
+   * Starts monitoring.  The `submitted` event is emitted asynchronously so that listeners added
+   * immediately after publishing receive it.
+   */
+  start() {
+    this.timer = setTimeout(() => {
+      this._schedule(this.blockTime);
+      this._emit({ type: 'submitted' });
+    }, 0);
+    if (this.timeout > 0) {
+      this.timeoutTimer = setTimeout(() => this._emit({ type: 'timeout' }), this.timeout);
+    }
+    return this;
+  }
+
+  /**
+   * Stops monitoring without emitting any further events.
+   */
+  stop() {
+    this._finish();
+  }
+
+  on(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+    return this;
+  }
+
+  once(type, listener) {
+    const wrapper = event => {
+      this.off(type, wrapper);
+      listener(event);
+    };
+    return this.on(type, wrapper);
+  }
+
+  off(type, listener) {
+    if (this.listeners[type]) this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+    return this;
+  }
+
+  [Symbol.asyncIterator]() {
+    let index = 0;
+    let wake;
+    const iterator = { notify: () => { if (wake) { wake(); wake = undefined } } };
+    this.iterators.push(iterator);
+    return {
+      next: async () => {
+        while (index >= this.events.length && !this.done) {
+          await new Promise(resolve => { wake = resolve });
+        }
+        if (index < this.events.length) return { value: this.events[index++], done: false };
+        return { value: undefined, done: true };
+      },
+      return: async () => {
+        this.iterators = this.iterators.filter(i => i !== iterator);
+        return { value: undefined, done: true };
+      }
+    };
+  }
+
+
+  _emit(event) {
+    if (this.done) return;
+    event = { ...event, txHash: this.txHash };
+    this.events.push(event);
+    if (_isTerminal(event)) this._finish();
+    (this.listeners[event.type] || []).slice().forEach(listener => {
+      try {
+        listener(event);
+      }
+      catch (error) {
+        // a failing listener must not stop monitoring or the delivery of the event to others
+      }
+    });
+    this.iterators.forEach(i => i.notify());
+  }
+
+  _finish() {
+    this.done = true;
+    clearTimeout(this.timer);
+    clearTimeout(this.timeoutTimer);
+    this.iterators.forEach(i => i.notify());
+  }
+
+  _schedule(delay) {
+    if (this.done) return;
+    this.timer = setTimeout(() => {
+      this._poll()
+        .then(nextDelay => this._schedule(nextDelay))
+        .catch(() => this._schedule(this.pollInterval)); // transient rpc errors are retried
+    }, delay);
+  }
+
+  /**
+   * Checks the transaction's progress and emits any new events.  Returns the delay before the
+   * next poll.
+   */
+  async _poll() {
+    if (this.startBlock === undefined) {
+      this.startBlock = Math.max(0, await this.provider.getBlockNumber() - 3); // look back a few blocks for safety
+    }
+    const receipt = await this.provider.getTransactionReceipt(this.txHash);
+    if (this.done) return;
+
+    if (receipt === null) {
+      if (this.mined) this.mined = false; // block was re-organised
+      await this._checkNotMined();
+      return this.pollInterval;
+    }
+    this.missingCount = 0;
+
+    if (!this.mined) {
+      this.mined = true;
+      if (!receipt.status) {
+        this._emit({ type: 'reverted', receipt });
+        return;
+      }
+      this._emit({ type: 'mined', receipt });
+    }
+
+    const confirmations = await this.provider.getBlockNumber() - receipt.blockNumber + 1;
+    if (this.done) return;
+    for (let n = this.confirmed + 1; n <= Math.min(confirmations, this.confirmations); n++) {
+      this.confirmed = n;
+      this._emit({ type: 'confirmation', confirmations: n, receipt });
+    }
+    if (this.confirmed >= this.confirmations) {
+      if (this.networkLatency > 0) await new Promise(resolve => setTimeout(resolve, this.networkLatency));
+      this._emit({ type: 'final', receipt });
+      return;
+    }
+    return this.blockTime;
+  }
+
+  /**
+   * Called when the transaction has no receipt.  Detects if the transaction's nonce has been used
+   * by another transaction (replaced) or if the transaction is no longer known (dropped).
+   */
+  async _checkNotMined() {
+    const from = this.tx.from;
+    if (from === undefined || this.tx.nonce === undefined) return;
+    const nonce = await this.provider.getTransactionCount(from, 'latest');
+    if (nonce > this.tx.nonce) return this._findReplacement();
+    const tx = await this.provider.getTransaction(this.txHash);
+    if (tx) this.missingCount = 0;
+    else if (++this.missingCount >= DROPPED_POLL_COUNT) this._emit({ type: 'dropped' });
+  }
+
+  async _findReplacement() {
+    const latest = await this.provider.getBlockNumber();
+    for (let n = this.startBlock; n <= latest; n++) {
+      const block = await this.provider.getBlock(n, true);
+      if (!block) return;
+      const txs = block.prefetchedTransactions || [];
+      if (txs.some(tx => tx.hash === this.txHash)) return; // mined after all; picked up next poll
+      const replacement = txs.find(tx => tx.from === this.tx.from && tx.nonce === this.tx.nonce);
+      if (replacement) {
+        let reason = 'replaced';
+        if (replacement.data === this.tx.data && replacement.to === this.tx.to && replacement.value === this.tx.value) {
+          reason = 'repriced';
+        }
+        else if (replacement.data === '0x' && replacement.to === replacement.from && !replacement.value) {
+          reason = 'cancelled';
+        }
+        this._emit({ type: 'replaced', replacement: replacement.hash, reason });
+        if (reason === 'repriced') {
+          this.tx = replacement;
+          this.txHash = replacement.hash;
+        }
+        return;
+      }
+    }
+  }
+
+}
+
+
+function _isTerminal(event) {
+  return TERMINAL_EVENTS.includes(event.type) && (event.type !== 'replaced' || event.reason !== 'repriced');
+}
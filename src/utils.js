@@ -7,13 +7,9 @@
 //
 
 
-export function readFile(file) {
-  return new Promise( (resolve, reject) => {
-    var reader = new FileReader();
-    reader.onload = () => { resolve(reader.result) };
-    reader.onerror = reject;
-    reader.readAsArrayBuffer(file);
-  })
+export function throwIfAborted(signal) {
+  if (!signal || !signal.aborted) return;
+  throw signal.reason !== undefined ? signal.reason : new DOMException("The operation was aborted", "AbortError");
 }
 
 
@@ -47,6 +43,17 @@ export function unicodeStrToHex(str) {
 }
 
 
+export function utf8StrToHex(str) {
+  return buf2hex(new TextEncoder().encode(str), false);
+}
+
+
+export function utf8HexToStr(hex) {
+  const bytes = hex.replace('0x','').length ? hexToBuf(hex) : new Uint8Array(0);
+  return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+}
+
+
 export function unicodeHexToStr(str) {
   var hexChars = str.replace('0x','').match(/.{1,4}/g) || [];
   var result = "";
@@ -55,3 +62,23 @@ export function unicodeHexToStr(str) {
   }
   return result;
 }
+
+
+/**
+ * Maps each item through the async function `fn`, running at most `limit` calls at once.  Resolves
+ * with the results in the same order as the items.  Rejects with the first error.
+ */
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) workers.push(worker());
+  await Promise.all(workers);
+  return results;
+}
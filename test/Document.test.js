@@ -243,7 +243,7 @@ describe('OpenSig Document class', () => {
       test('Data version is 0x00', async () => {
         const doc = new opensig.Document(mockNetwork, sampleHash);
         await doc.verify();
-        await doc.sign({ type: 'string', content: 'hello', encrypted: true });
+        await doc.sign({ type: 'string', content: 'hello', encrypted: true, version: '00' });
         expect(mockNetwork.publishSignature).toHaveBeenCalled();
         const data = mockNetwork.publishSignature.mock.calls[0][1];
         expect(data.slice(0, 2)).toEqual("0x");
@@ -253,7 +253,7 @@ describe('OpenSig Document class', () => {
       test('Unencrypted annotation is published plaintext unicode', async () => {
         const doc = new opensig.Document(mockNetwork, sampleHash);
         await doc.verify();
-        await doc.sign({ type: 'string', content: 'hello', encrypted: false });
+        await doc.sign({ type: 'string', content: 'hello', encrypted: false, version: '00' });
         expect(mockNetwork.publishSignature).toHaveBeenCalled();
         const data = mockNetwork.publishSignature.mock.calls[0][1];
         expect(data.slice(0, 2)).toEqual("0x");
@@ -282,7 +282,7 @@ describe('OpenSig Document class', () => {
       test('Encrypted annotation string is encrypted with the document hash', async () => {
         const doc = new opensig.Document(mockNetwork, sampleHash);
         await doc.verify();
-        await doc.sign({ type: 'string', content: 'hello', encrypted: true });
+        await doc.sign({ type: 'string', content: 'hello', encrypted: true, version: '00' });
         expect(mockNetwork.publishSignature).toHaveBeenCalled();
         const data = mockNetwork.publishSignature.mock.calls[0][1];
         expect(data.slice(0, 2)).toEqual("0x");
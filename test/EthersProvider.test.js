@@ -0,0 +1,161 @@
+import { beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { EthersProvider } from '../src/providers.js';
+
+// ------ Mocks ------
+
+const CONTRACT = '0x1234567890abcdef1234567890abcdef12345678';
+const SIG = '0x' + 'ab'.repeat(32);
+
+function createLog(blockNumber, logIndex = 0) {
+  return {
+    address: CONTRACT,
+    blockNumber: '0x' + blockNumber.toString(16),
+    logIndex: '0x' + logIndex.toString(16),
+    transactionHash: '0x' + blockNumber.toString(16).padStart(64, '0'),
+    topics: ['0x00', '0x00', SIG],
+    data: '0x'
+  };
+}
+
+/**
+ * Simulated RPC node with a block range limit and a result limit on eth_getLogs
+ */
+function createMockLogProvider({ latest = 10000, maxRange = Infinity, maxResults = Infinity, logs = [] } = {}) {
+  const provider = {
+    inFlight: 0,
+    maxInFlight: 0,
+    getBlockNumber: jest.fn(() => Promise.resolve(latest)),
+    send: jest.fn(async (method, [filter]) => {
+      provider.inFlight++;
+      provider.maxInFlight = Math.max(provider.maxInFlight, provider.inFlight);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      provider.inFlight--;
+      const from = Number(filter.fromBlock || 0);
+      const to = filter.toBlock === undefined ? latest : Number(filter.toBlock);
+      if (to - from + 1 > maxRange) {
+        // ethers.js wraps the node's error
+        const error = new Error("could not coalesce error");
+        error.info = { error: { code: -32600, message: `block range too large, max ${maxRange} blocks` } };
+        throw error;
+      }
+      const results = logs.filter(l => Number(l.blockNumber) >= from && Number(l.blockNumber) <= to);
+      if (results.length > maxResults) throw { code: -32005, message: "query returned more than 10000 results" };
+      return results;
+    })
+  };
+  return provider;
+}
+
+function createProvider(logProvider, params = {}) {
+  return new EthersProvider({ chainId: 1, contract: CONTRACT, provider: logProvider, creationBlock: 0, ...params });
+}
+
+
+describe('EthersProvider', () => {
+
+  describe('querySignatures', () => {
+
+    let logs;
+
+    beforeEach(() => {
+      logs = [createLog(5), createLog(2500), createLog(2500, 1), createLog(7000), createLog(9999)];
+    });
+
+    test('queries the whole range in one call by default', async () => {
+      const logProvider = createMockLogProvider({ logs });
+      const result = await createProvider(logProvider).querySignatures([SIG]);
+      expect(result).toEqual(logs);
+      expect(logProvider.send).toHaveBeenCalledTimes(1);
+      const filter = logProvider.send.mock.calls[0][1][0];
+      expect(filter).toMatchObject({ address: CONTRACT, fromBlock: '0x0', topics: [null, null, [SIG]] });
+      expect(filter.toBlock).toBeUndefined();
+    });
+
+    test('passes block numbers as hex quantities', async () => {
+      const logProvider = createMockLogProvider({ logs });
+      await createProvider(logProvider).querySignatures([SIG], { fromBlock: 100, toBlock: 255 });
+      expect(logProvider.send.mock.calls[0][1][0]).toMatchObject({ fromBlock: '0x64', toBlock: '0xff' });
+    });
+
+    test('scans in fixed block windows', async () => {
+      const logProvider = createMockLogProvider({ logs });
+      const result = await createProvider(logProvider, { blockWindow: 2000 }).querySignatures([SIG]);
+      expect(result).toEqual(logs);
+      expect(logProvider.send).toHaveBeenCalledTimes(6); // 0-1999, ..., 10000-10000
+      const ranges = logProvider.send.mock.calls.map(c => [Number(c[1][0].fromBlock), Number(c[1][0].toBlock)]);
+      expect(ranges[0]).toEqual([0, 1999]);
+      expect(ranges[5]).toEqual([10000, 10000]);
+    });
+
+    test('bounds the number of concurrent queries', async () => {
+      const logProvider = createMockLogProvider({ logs });
+      await createProvider(logProvider, { blockWindow: 500, maxConcurrentQueries: 2 }).querySignatures([SIG]);
+      expect(logProvider.send.mock.calls.length).toBe(21);
+      expect(logProvider.maxInFlight).toBe(2);
+    });
+
+    test('splits a range rejected as too large', async () => {
+      const logProvider = createMockLogProvider({ logs, maxRange: 3000 });
+      const result = await createProvider(logProvider).querySignatures([SIG]);
+      expect(result).toEqual(logs);
+      const successful = await Promise.all(logProvider.send.mock.results.map(r => r.value.then(() => true, () => false)));
+      successful.forEach((ok, i) => {
+        const { fromBlock, toBlock } = logProvider.send.mock.calls[i][1][0];
+        if (ok) expect(Number(toBlock) - Number(fromBlock) + 1).toBeLessThanOrEqual(3000);
+      });
+    });
+
+    test('splits a range rejected for returning too many results', async () => {
+      const distinctBlockLogs = [createLog(5), createLog(2500), createLog(7000), createLog(9999)];
+      const logProvider = createMockLogProvider({ logs: distinctBlockLogs, maxResults: 1 });
+      const result = await createProvider(logProvider).querySignatures([SIG]);
+      expect(result).toEqual(distinctBlockLogs);
+    });
+
+    test('throws if a single block has too many results', async () => {
+      const logProvider = createMockLogProvider({ logs: [createLog(10), createLog(10, 1)], maxResults: 1 });
+      await expect(createProvider(logProvider).querySignatures([SIG])).rejects.toMatchObject({ code: -32005 });
+    });
+
+    test('does not split on other errors', async () => {
+      const logProvider = createMockLogProvider({ logs });
+      logProvider.send.mockRejectedValueOnce(new Error("network error"));
+      await expect(createProvider(logProvider).querySignatures([SIG])).rejects.toThrow("network error");
+      expect(logProvider.send).toHaveBeenCalledTimes(1);
+    });
+
+    test.each([
+      "rate limit exceeded",
+      "daily request limit exceeded",
+      "compute units per second capacity exceeds the limit"
+    ])('does not split on rate limit error: %s', async message => {
+      const logProvider = createMockLogProvider({ logs });
+      logProvider.send.mockRejectedValueOnce({ code: -32005, message });
+      await expect(createProvider(logProvider).querySignatures([SIG])).rejects.toMatchObject({ message });
+      expect(logProvider.send).toHaveBeenCalledTimes(1);
+    });
+
+    test.each([
+      "Log response size exceeded. You can make eth_getLogs requests with up to a 2K block range",
+      "eth_getLogs is limited to a 10,000 range",
+      "query exceeds max results 20000",
+      "exceed maximum block range: 5000"
+    ])('splits on range limit error: %s', async message => {
+      const logProvider = createMockLogProvider({ logs });
+      logProvider.send.mockRejectedValueOnce({ code: -32000, message });
+      const result = await createProvider(logProvider).querySignatures([SIG]);
+      expect(result).toEqual(logs);
+      expect(logProvider.send).toHaveBeenCalledTimes(3);
+    });
+
+    test('removes duplicate logs and orders by block and log index', async () => {
+      const logProvider = createMockLogProvider();
+      logProvider.send.mockResolvedValueOnce([createLog(20), createLog(3, 1), createLog(3, 0)]);
+      logProvider.send.mockResolvedValueOnce([createLog(20), createLog(30)]);
+      const result = await createProvider(logProvider, { blockWindow: 5000 }).querySignatures([SIG], { toBlock: 9999 });
+      expect(result).toEqual([createLog(3, 0), createLog(3, 1), createLog(20), createLog(30)]);
+    });
+
+  });
+
+});
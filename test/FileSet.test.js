@@ -0,0 +1,127 @@
+import { beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { ethers } from 'ethers';
+import { sha256 } from '@noble/hashes/sha2';
+import { Document } from '../src/opensig.js';
+import { FileSet, verifyMember } from '../src/merkle.js';
+import { buf2hex } from '../src/utils.js';
+import { createMockNetwork } from './mocks.js';
+
+const createFiles = n => Array.from({ length: n }, (_, i) => new TextEncoder().encode("file " + i));
+
+
+describe('FileSet', () => {
+
+  let network;
+
+  beforeEach(() => {
+    network = createMockNetwork();
+  });
+
+  test('signs the set as a single document', async () => {
+    const files = createFiles(5);
+    const set = new FileSet(network, files);
+    await set.verify();
+    await set.sign({ type: 'string', content: 'release 1.0' });
+    expect(network.publishSignature).toHaveBeenCalledTimes(1);
+    const signatures = await new Document(network, set.documentHash).verify();
+    expect(signatures.map(s => s.data.content)).toEqual(['release 1.0']);
+  });
+
+  test('the root follows the documented tree format', async () => {
+    const files = createFiles(3);
+    const [a, b, c] = files.map(f => sha256(f)).sort((x, y) => buf2hex(x) < buf2hex(y) ? -1 : 1);
+    const leaf = h => sha256(Uint8Array.from([0, ...h]));
+    const node = (l, r) => sha256(Uint8Array.from([1, ...l, ...r]));
+    const set = new FileSet(network, files);
+    await set.verify();
+    expect(buf2hex(set.documentHash)).toBe(buf2hex(node(node(leaf(a), leaf(b)), leaf(c))));
+  });
+
+  test('the root does not depend on the order of the files', async () => {
+    const files = createFiles(6);
+    const set1 = new FileSet(network, files);
+    const set2 = new FileSet(network, [...files].reverse());
+    await set1.verify();
+    await set2.verify();
+    expect(buf2hex(set1.documentHash)).toBe(buf2hex(set2.documentHash));
+  });
+
+  test('a set of one file is not the same document as the file', async () => {
+    const [file] = createFiles(1);
+    const set = new FileSet(network, [file]);
+    await set.verify();
+    expect(buf2hex(set.documentHash)).not.toBe(buf2hex(sha256(file)));
+    expect(set.getProof(0).path).toEqual([]);
+    expect(await verifyMember(file, set.getProof(0))).toBe(true);
+  });
+
+  test('every member can be verified with its proof alone', async () => {
+    for (const n of [2, 3, 4, 5, 7, 8, 9]) {
+      const files = createFiles(n);
+      const set = new FileSet(network, files);
+      await set.verify();
+      for (let i = 0; i < n; i++) {
+        const proof = JSON.parse(JSON.stringify(set.getProof(i)));
+        expect(proof.root).toBe(buf2hex(set.documentHash));
+        expect(await verifyMember(files[i], proof)).toBe(true);
+        expect(await verifyMember(buf2hex(sha256(files[i])), proof)).toBe(true);
+      }
+    }
+  });
+
+  test('getProof accepts the file or its index', async () => {
+    const files = createFiles(4);
+    const set = new FileSet(network, files);
+    await set.verify();
+    expect(set.getProof(files[2])).toEqual(set.getProof(2));
+    expect(set.members[2]).toEqual({ name: undefined, fileHash: buf2hex(sha256(files[2])) });
+    expect(() => set.getProof(4)).toThrow("file is not a member of the set");
+    expect(() => set.getProof(new Uint8Array(1))).toThrow("file is not a member of the set");
+  });
+
+  test('rejects files that are not members', async () => {
+    const files = createFiles(4);
+    const set = new FileSet(network, files);
+    await set.verify();
+    const proof = set.getProof(1);
+    expect(await verifyMember(new TextEncoder().encode("file 9"), proof)).toBe(false);
+    expect(await verifyMember(files[2], proof)).toBe(false);
+    expect(await verifyMember(files[2], { ...proof, fileHash: buf2hex(sha256(files[2])) })).toBe(false);
+    const tampered = { ...proof, path: proof.path.map((step, i) => i === 0 ? { ...step, position: step.position === 'left' ? 'right' : 'left' } : step) };
+    expect(await verifyMember(files[1], tampered)).toBe(false);
+  });
+
+  test('rejects malformed proofs', async () => {
+    const set = new FileSet(network, createFiles(2));
+    await set.verify();
+    const proof = set.getProof(0);
+    await expect(verifyMember(createFiles(1)[0], { ...proof, version: 2 })).rejects.toThrow("unsupported inclusion proof version");
+    await expect(verifyMember(createFiles(1)[0], { ...proof, hashSuite: 'md5' })).rejects.toThrow("unsupported hash suite 'md5'");
+    await expect(verifyMember(createFiles(1)[0], { ...proof, path: [{ position: 'up', hash: proof.root }] })).rejects.toThrow("invalid inclusion proof");
+  });
+
+  test('supports hash suites', async () => {
+    const files = createFiles(3);
+    const set = new FileSet(network, files, { hashSuite: 'keccak256' });
+    await set.verify();
+    const proof = set.getProof(0);
+    expect(proof.hashSuite).toBe('keccak256');
+    expect(proof.fileHash).toBe(ethers.keccak256(files[0]));
+    expect(await verifyMember(files[0], proof)).toBe(true);
+  });
+
+  test('reports hashing progress and hashes only once', async () => {
+    const set = new FileSet(network, createFiles(3));
+    const onProgress = jest.fn();
+    await set.verify({ onProgress });
+    await set.verify({ onProgress });
+    expect(onProgress.mock.calls).toEqual([[1, 3], [2, 3], [3, 3]]);
+  });
+
+  test('rejects invalid sets', () => {
+    expect(() => new FileSet(network, [])).toThrow("no files");
+    expect(() => new FileSet(network, createFiles(2), { hashSuite: ['sha256', 'keccak256'] })).toThrow("a file set requires a single hash suite");
+    expect(() => new FileSet(network, createFiles(2)).getProof(0)).toThrow("Must verify before generating proofs");
+  });
+
+});
@@ -0,0 +1,140 @@
+import { beforeEach, describe, expect, test } from '@jest/globals';
+import { ethers } from 'ethers';
+import { MemoryProvider } from '../src/providers.js';
+import { Document, signMany } from '../src/opensig.js';
+import { TransactionFailedError } from '../src/errors.js';
+import { MemoryCache } from '../src/cache.js';
+
+const registry = new ethers.Interface([
+  "event Signature(uint256 time, address indexed signer, bytes32 indexed signature, bytes data)"
+]);
+
+const randomId = () => ethers.hexlify(ethers.randomBytes(32));
+
+
+describe('MemoryProvider', () => {
+
+  let network;
+
+  beforeEach(() => {
+    network = new MemoryProvider({ blockTime: 10 });
+  });
+
+  test('signs and verifies documents', async () => {
+    const doc = new Document(network, ethers.randomBytes(32));
+    await doc.verify();
+    const result = await doc.sign({ type: 'string', content: 'approved' });
+    expect(result.signatory).toBe('0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266');
+    await expect(result.confirmationInformer).resolves.toMatchObject({ status: 1 });
+    await doc.sign({ type: 'string', content: 'again' });
+    const signatures = await new Document(network, doc.documentHash).verify();
+    expect(signatures.map(s => s.data.content)).toEqual(['approved', 'again']);
+    expect(signatures[0].signatory).toBe(result.signatory);
+  });
+
+  test('emits registry Signature logs as returned by eth_getLogs', async () => {
+    const signature = randomId();
+    const { txHash } = await network.publishSignature(signature, '0x1234');
+    const [log] = await network.querySignatures([signature]);
+    expect(log).toMatchObject({
+      address: network.contract,
+      blockNumber: '0x1',
+      transactionHash: txHash,
+      logIndex: '0x0',
+      removed: false
+    });
+    const parsed = registry.parseLog(log);
+    expect(parsed.args.signer).toBe(network.signatory);
+    expect(parsed.args.signature).toBe(signature);
+    expect(parsed.args.data).toBe('0x1234');
+    expect(Number(parsed.args.time)).toBeCloseTo(Date.now() / 1000, -1);
+    expect(await network.getBlockNumber()).toBe(1);
+  });
+
+  test('rejects signatures that have already been published', async () => {
+    const signature = randomId();
+    await network.publishSignature(signature, '0x');
+    await expect(network.publishSignature(signature.toUpperCase().replace('0X', '0x'), '0x')).rejects.toThrow("signature already published");
+    await expect(network.publishSignatures([randomId(), signature], ['0x', '0x'])).rejects.toThrow("signature already published");
+    const id = randomId();
+    await expect(network.publishSignatures([id, id], ['0x', '0x'])).rejects.toThrow("signature already published");
+    await expect(network.publishSignatures([randomId()], [])).rejects.toThrow("array length mismatch");
+  });
+
+  test('publishes batches in a single transaction', async () => {
+    const ids = [randomId(), randomId()];
+    const { txHash } = await network.publishSignatures(ids, ['0x01', '0x02']);
+    const logs = await network.querySignatures(ids);
+    expect(logs.map(log => [log.transactionHash, log.blockNumber, log.logIndex])).toEqual([[txHash, '0x1', '0x0'], [txHash, '0x1', '0x1']]);
+  });
+
+  test('filters by block range', async () => {
+    const ids = [randomId(), randomId(), randomId()];
+    for (const id of ids) await network.publishSignature(id, '0x');
+    expect((await network.querySignatures(ids, { fromBlock: 2 })).length).toBe(2);
+    expect((await network.querySignatures(ids, { fromBlock: 1, toBlock: 2 })).length).toBe(2);
+    expect((await new MemoryProvider({ creationBlock: 3 }).querySignatures(ids))).toEqual([]);
+  });
+
+  test('delays mining and waits for confirmations', async () => {
+    network = new MemoryProvider({ blockTime: 10, miningDelay: 100, confirmations: 3 });
+    const signature = randomId();
+    const { events, confirmationInformer } = await network.publishSignature(signature, '0x');
+    expect(await network.querySignatures([signature])).toEqual([]);
+    await new Promise(resolve => events.once('mined', resolve));
+    expect((await network.querySignatures([signature])).length).toBe(1);
+    let final = false;
+    confirmationInformer.then(() => { final = true });
+    network.mine();
+    await new Promise(resolve => events.on('confirmation', e => e.confirmations === 2 && resolve()));
+    expect(final).toBe(false);
+    expect(network.mine()).toBe(3);
+    await expect(confirmationInformer).resolves.toMatchObject({ blockNumber: 1 });
+  });
+
+  test('simulates failures', async () => {
+    network.failNext('rejected', "user rejected transaction");
+    network.failNext('reverted');
+    network.failNext('dropped');
+    const doc = new Document(network, ethers.randomBytes(32));
+    await doc.verify();
+
+    await expect(doc.sign()).rejects.toThrow("user rejected transaction");
+
+    const reverted = await doc.sign();
+    await expect(reverted.confirmationInformer).rejects.toThrow(TransactionFailedError);
+    await expect(reverted.confirmationInformer).rejects.toMatchObject({ reason: 'reverted' });
+
+    const dropped = await network.publishSignature(randomId(), '0x');
+    await expect(dropped.confirmationInformer).rejects.toMatchObject({ reason: 'dropped' });
+
+    expect(await doc.verify()).toEqual([]);
+    expect(() => network.failNext('exploded')).toThrow("invalid failure type");
+  });
+
+  test('can be pre-seeded with fixtures', async () => {
+    const doc = new Document(network, ethers.randomBytes(32));
+    await doc.verify();
+    await doc.sign({ type: 'string', content: 'original' });
+    const [log] = await network.querySignatures([(await doc.verify())[0].signature]);
+    const signatory = ethers.Wallet.createRandom().address;
+
+    const seeded = new MemoryProvider({ fixtures: [{ signature: log.topics[2], data: registry.parseLog(log).args.data, signatory, time: 1700000000 }] });
+    const signatures = await new Document(seeded, doc.documentHash).verify();
+    expect(signatures).toMatchObject([{ signatory, time: 1700000000, data: { content: 'original' } }]);
+    expect(() => seeded.seed([{ signature: log.topics[2] }])).toThrow("signature already published");
+    expect(() => seeded.seed([{ signature: '0x1234' }])).toThrow("invalid fixture");
+  });
+
+  test('supports batch signing and the verification cache', async () => {
+    network = new MemoryProvider({ blockTime: 10, cache: new MemoryCache() });
+    const docs = [new Document(network, ethers.randomBytes(32)), new Document(network, ethers.randomBytes(32))];
+    await Promise.all(docs.map(doc => doc.verify()));
+    const result = await signMany(docs, { type: 'string', content: 'batch' });
+    await result.confirmationInformer;
+    expect((await docs[1].verify()).map(s => s.data.content)).toEqual(['batch']);
+    await docs[1].sign({ type: 'string', content: 'later' });
+    expect((await docs[1].verify()).map(s => s.data.content)).toEqual(['batch', 'later']);
+  });
+
+});
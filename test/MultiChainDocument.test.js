@@ -0,0 +1,117 @@
+import { beforeEach, describe, expect, test } from '@jest/globals';
+import { ethers } from 'ethers';
+import { MultiChainDocument } from '../src/multichain.js';
+import { HashIterator } from '../src/opensig.js';
+import { BlockchainNotSupportedError } from '../src/errors.js';
+import { buf2hex } from '../src/utils.js';
+import { constructSimulatedEvent, createMockNetwork } from './mocks.js';
+
+// ------ Test Helpers ------
+
+async function signatureHash(documentHash, chainId, index) {
+  const hashes = await new HashIterator(documentHash, chainId).next(index + 1);
+  return buf2hex(hashes[index]);
+}
+
+
+describe('MultiChainDocument', () => {
+
+  const sampleHash = Buffer.from("abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890", 'hex');
+  const signer = ethers.Wallet.createRandom().address;
+  let ethereum, polygon, base;
+
+  beforeEach(() => {
+    ethereum = createMockNetwork({ chainId: 1, txHash: '0x1' });
+    polygon = createMockNetwork({ chainId: 137, txHash: '0x137' });
+    base = createMockNetwork({ chainId: 8453, txHash: '0x8453' });
+  });
+
+  test('rejects duplicate chain ids', () => {
+    expect(() => new MultiChainDocument([ethereum, createMockNetwork({ chainId: 1 })], sampleHash)).toThrow("duplicate chain id");
+  });
+
+  test('verifies on all chains concurrently', async () => {
+    const doc = new MultiChainDocument([ethereum, polygon, base], sampleHash);
+    await doc.verify();
+    expect(ethereum.querySignatures).toHaveBeenCalled();
+    expect(polygon.querySignatures).toHaveBeenCalled();
+    expect(base.querySignatures).toHaveBeenCalled();
+  });
+
+  test('merges signatures in time order tagged with chain id', async () => {
+    ethereum.events.push(constructSimulatedEvent(300, signer, await signatureHash(sampleHash, 1, 0)));
+    polygon.events.push(
+      constructSimulatedEvent(100, signer, await signatureHash(sampleHash, 137, 0)),
+      constructSimulatedEvent(400, signer, await signatureHash(sampleHash, 137, 1))
+    );
+    base.events.push(constructSimulatedEvent(200, signer, await signatureHash(sampleHash, 8453, 0)));
+    const doc = new MultiChainDocument([ethereum, polygon, base], sampleHash);
+    const signatures = await doc.verify();
+    expect(signatures.map(s => [s.time, s.chainId])).toEqual([[100, 137], [200, 8453], [300, 1], [400, 137]]);
+    expect(doc.errors).toEqual([]);
+  });
+
+  test('tolerates a chain failing', async () => {
+    polygon.querySignatures.mockRejectedValueOnce(new Error("rpc unavailable"));
+    ethereum.events.push(constructSimulatedEvent(300, signer, await signatureHash(sampleHash, 1, 0)));
+    const doc = new MultiChainDocument([ethereum, polygon, base], sampleHash);
+    const signatures = await doc.verify();
+    expect(signatures.length).toBe(1);
+    expect(signatures[0].chainId).toBe(1);
+    expect(doc.errors.length).toBe(1);
+    expect(doc.errors[0].chainId).toBe(137);
+    expect(doc.errors[0].error.message).toBe("rpc unavailable");
+  });
+
+  test('throws if every chain fails', async () => {
+    ethereum.querySignatures.mockRejectedValueOnce(new Error("rpc unavailable"));
+    polygon.querySignatures.mockRejectedValueOnce(new Error("rpc unavailable"));
+    const doc = new MultiChainDocument([ethereum, polygon], sampleHash);
+    await expect(doc.verify()).rejects.toThrow("failed to verify on any chain");
+  });
+
+  test('signs on a chosen chain', async () => {
+    const doc = new MultiChainDocument([ethereum, polygon, base], sampleHash);
+    await doc.verify();
+    const result = await doc.sign({ type: 'string', content: 'hello' }, 137);
+    expect(result.chainId).toBe(137);
+    expect(result.txHash).toBe('0x137');
+    expect(polygon.publishSignature).toHaveBeenCalledTimes(1);
+    expect(polygon.publishSignature.mock.calls[0][0]).toBe(await signatureHash(sampleHash, 137, 0));
+    expect(ethereum.publishSignature).not.toHaveBeenCalled();
+    expect(base.publishSignature).not.toHaveBeenCalled();
+  });
+
+  test('signs on several chains at once', async () => {
+    const doc = new MultiChainDocument([ethereum, polygon, base], sampleHash);
+    await doc.verify();
+    base.publishSignature.mockRejectedValueOnce(new Error("user rejected"));
+    const results = await doc.sign({}, [1, 8453]);
+    expect(results.length).toBe(2);
+    expect(results[0]).toMatchObject({ chainId: 1, txHash: '0x1' });
+    expect(results[1].chainId).toBe(8453);
+    expect(results[1].error.message).toBe("user rejected");
+    expect(polygon.publishSignature).not.toHaveBeenCalled();
+    expect(doc.getDocument(8453).hashes.currentIndex()).toBe(-1);
+  });
+
+  test('requires a chain id when there are several chains', async () => {
+    const doc = new MultiChainDocument([ethereum, polygon], sampleHash);
+    await doc.verify();
+    await expect(doc.sign({})).rejects.toThrow("chain id required");
+  });
+
+  test('signs on the only chain by default', async () => {
+    const doc = new MultiChainDocument([ethereum], sampleHash);
+    await doc.verify();
+    const result = await doc.sign({});
+    expect(result.chainId).toBe(1);
+  });
+
+  test('throws when signing on an unknown chain', async () => {
+    const doc = new MultiChainDocument([ethereum, polygon], sampleHash);
+    await doc.verify();
+    await expect(doc.sign({}, 10)).rejects.toThrow(BlockchainNotSupportedError);
+  });
+
+});
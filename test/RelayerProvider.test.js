@@ -0,0 +1,173 @@
+import { afterAll, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import { readFileSync } from 'node:fs';
+import { ethers } from 'ethers';
+import ganache from 'ganache';
+import { RelayerProvider } from '../src/providers.js';
+import { createRelayRequest } from '../src/relay.js';
+import { Document } from '../src/opensig.js';
+import { startRelayer } from '../relayer/server.js';
+
+// ------ Dev chain ------
+
+const registryArtifact = JSON.parse(readFileSync(new URL('../contracts/artifacts/OpensigRegistry.json', import.meta.url)));
+
+// the in-process dev chain is slow to start under jest
+jest.setTimeout(60000);
+
+const randomId = () => ethers.hexlify(ethers.randomBytes(32));
+
+
+describe('Relayed signing', () => {
+
+  let ganacheProvider;
+  let provider;
+  let registry;
+  let chainId;
+  let contract;
+  let server;
+  let relayerUrl;
+  const user = ethers.Wallet.createRandom(); // holds no gas tokens
+
+  beforeAll(async () => {
+    ganacheProvider = ganache.provider({ logging: { quiet: true }, chain: { hardfork: 'shanghai' } });
+    // a cached simulation of the first publication would hide the relayer's rejection of a repeat
+    provider = new ethers.BrowserProvider(ganacheProvider, undefined, { cacheTimeout: -1 });
+    const relayerSigner = await provider.getSigner();
+    const factory = new ethers.ContractFactory(registryArtifact.abi, registryArtifact.data.bytecode.object, relayerSigner);
+    registry = await factory.deploy();
+    await registry.waitForDeployment();
+    chainId = Number((await provider.getNetwork()).chainId);
+    contract = await registry.getAddress();
+    server = await startRelayer({ signer: relayerSigner, chainId, contract }, 0);
+    relayerUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await ganacheProvider.disconnect();
+  });
+
+  function createNetwork(params = {}) {
+    return new RelayerProvider({ chainId, contract, logProvider: provider, signer: user, relayerUrl, blockTime: 50, ...params });
+  }
+
+  function createRequest(params = {}) {
+    const deadline = Math.floor(Date.now() / 1000) + 600;
+    return createRelayRequest(user, { chainId, contract, signature: randomId(), data: '0x', deadline, ...params });
+  }
+
+  function post(body) {
+    return fetch(relayerUrl, { method: 'POST', body: typeof body === 'string' ? body : JSON.stringify(body) })
+      .then(async response => ({ status: response.status, body: await response.json() }));
+  }
+
+
+  describe('RelayerProvider', () => {
+
+    test('signs without the signer paying gas and records the signer, not the relayer', async () => {
+      const doc = new Document(createNetwork(), ethers.randomBytes(32));
+      await doc.verify();
+      const result = await doc.sign({ type: 'string', content: 'approved' });
+      expect(result.signatory).toBe(user.address);
+      await result.confirmationInformer;
+      const signatures = await doc.verify();
+      expect(signatures.length).toBe(1);
+      expect(signatures[0]).toMatchObject({ signatory: user.address, data: { type: 'string', content: 'approved' } });
+      expect(await provider.getBalance(user.address)).toBe(0n);
+    });
+
+    test('reports the relayer rejecting the signature', async () => {
+      const network = createNetwork();
+      const signature = randomId();
+      const result = await network.publishSignature(signature, '0x');
+      await result.confirmationInformer;
+      await expect(network.publishSignature(signature, '0x')).rejects.toThrow("relayer rejected the signature: signature already published");
+    });
+
+    test('does not support batch signing', async () => {
+      await expect(createNetwork().publishSignatures([randomId()], ['0x'])).rejects.toThrow("batch signing is not supported by the relayer");
+    });
+
+    test('requires a relayer url and a signer', () => {
+      expect(() => createNetwork({ relayerUrl: undefined })).toThrow("relayerUrl is required");
+      expect(() => createNetwork({ signer: undefined })).toThrow("a signer or transactionProvider is required");
+    });
+
+  });
+
+
+  describe('registry contract', () => {
+
+    let relayedRegistry;
+
+    beforeAll(async () => {
+      relayedRegistry = registry.connect(await provider.getSigner(1));
+    });
+
+    function args(request) {
+      return [request.signer, request.signature, request.data, request.deadline, request.authorisation];
+    }
+
+    function submit(request) {
+      return relayedRegistry.registerSignatureFor(...args(request));
+    }
+
+    // simulates the call so that the revert reason is available
+    function simulate(request) {
+      return relayedRegistry.registerSignatureFor.staticCall(...args(request));
+    }
+
+    test('rejects an authorisation for different data', async () => {
+      const request = await createRequest({ data: '0x0001' });
+      await expect(simulate({ ...request, data: '0x0002' })).rejects.toMatchObject({ reason: "invalid authorisation" });
+    });
+
+    test('rejects an authorisation claiming a different signer', async () => {
+      const request = await createRequest();
+      await expect(simulate({ ...request, signer: await relayedRegistry.runner.getAddress() })).rejects.toMatchObject({ reason: "invalid authorisation" });
+    });
+
+    test('rejects an expired authorisation', async () => {
+      const request = await createRequest({ deadline: Math.floor(Date.now() / 1000) - 600 });
+      await expect(simulate(request)).rejects.toMatchObject({ reason: "authorisation expired" });
+    });
+
+    test('cannot replay an authorisation', async () => {
+      const request = await createRequest();
+      await (await submit(request)).wait();
+      await expect(simulate(request)).rejects.toMatchObject({ reason: "signature already published" });
+    });
+
+  });
+
+
+  describe('relayer server', () => {
+
+    test('relays a valid request', async () => {
+      const response = await post(await createRequest());
+      expect(response.status).toBe(200);
+      expect(ethers.isHexString(response.body.txHash, 32)).toBe(true);
+    });
+
+    test('rejects malformed requests', async () => {
+      expect(await post('not json')).toEqual({ status: 400, body: { error: "invalid request" } });
+      expect(await post({ ...(await createRequest()), signature: '0x1234' })).toEqual({ status: 400, body: { error: "invalid request" } });
+      expect(await post(await createRequest({ data: ethers.hexlify(new Uint8Array(1025)) }))).toEqual({ status: 400, body: { error: "data too long" } });
+    });
+
+    test('rejects requests for another registry', async () => {
+      expect(await post(await createRequest({ chainId: 1 }))).toEqual({ status: 400, body: { error: "unsupported chain" } });
+      expect(await post(await createRequest({ contract: ethers.ZeroAddress }))).toEqual({ status: 400, body: { error: "unsupported contract" } });
+    });
+
+    test('rejects invalid authorisations without submitting them', async () => {
+      const blockNumber = await provider.getBlockNumber();
+      const request = await createRequest();
+      expect(await post({ ...request, data: '0x01' })).toEqual({ status: 403, body: { error: "invalid authorisation" } });
+      expect(await post(await createRequest({ deadline: 1000 }))).toEqual({ status: 403, body: { error: "authorisation expired" } });
+      expect(await provider.getBlockNumber()).toBe(blockNumber);
+    });
+
+  });
+
+});
@@ -0,0 +1,135 @@
+import { beforeEach, describe, expect, test } from '@jest/globals';
+import { ethers } from 'ethers';
+import { Document } from '../src/opensig.js';
+import { SigningRequest } from '../src/request.js';
+import { buf2hex } from '../src/utils.js';
+import { createMockNetwork } from './mocks.js';
+
+const [alice, bob, carol, dave] = [1, 2, 3, 4].map(() => ethers.Wallet.createRandom().address);
+
+
+describe('SigningRequest', () => {
+
+  const documentHash = new Uint8Array(32).fill(7);
+  let network;
+
+  beforeEach(() => {
+    network = createMockNetwork({ signatory: alice, time: 1000 });
+  });
+
+  // signs the document as the given signatory at the given time
+  async function signAs(signatory, time = 1000) {
+    network.signatory = signatory;
+    network.time = time;
+    const doc = new Document(network, documentHash);
+    await doc.verify();
+    return doc.sign({ type: 'string', content: 'signed' });
+  }
+
+  test('reports who has signed and who is pending', async () => {
+    const request = new SigningRequest(network, { documentHash, signatories: [alice, bob, carol] });
+    expect(await request.status()).toEqual({ complete: false, expired: false, signed: [], pending: [alice, bob, carol], late: [], outOfOrder: [] });
+    const { signature } = await signAs(bob, 1001);
+    await signAs(dave);
+    expect(await request.status()).toEqual({
+      complete: false,
+      expired: false,
+      signed: [{ signatory: bob, signature, time: 1001, late: false, outOfOrder: false }],
+      pending: [alice, carol],
+      late: [],
+      outOfOrder: []
+    });
+  });
+
+  test('is complete when every signatory has signed', async () => {
+    const request = new SigningRequest(network, { documentHash, signatories: [alice, bob] });
+    await signAs(bob);
+    await signAs(alice);
+    await signAs(alice);
+    const status = await request.status();
+    expect(status.complete).toBe(true);
+    expect(status.pending).toEqual([]);
+    expect(status.signed.map(s => s.signatory)).toEqual([bob, alice]);
+  });
+
+  test('reports out of order signatures', async () => {
+    const request = new SigningRequest(network, { documentHash, signatories: [alice, bob, carol], ordered: true });
+    await signAs(alice);
+    await signAs(carol);
+    await signAs(bob);
+    const status = await request.status();
+    expect(status.complete).toBe(true);
+    expect(status.outOfOrder).toEqual([carol]);
+  });
+
+  test('reports late signatures and expiry', async () => {
+    const request = new SigningRequest(network, { documentHash, signatories: [alice, bob], deadline: new Date(1500 * 1000) });
+    await signAs(alice, 1500);
+    await signAs(bob, 1501);
+    expect(await request.status()).toMatchObject({ complete: true, expired: false, late: [bob] });
+
+    const expired = new SigningRequest(network, { documentHash, signatories: [alice, carol], deadline: 1500 });
+    expect(await expired.status()).toMatchObject({ complete: false, expired: true, pending: [carol] });
+  });
+
+  test('does not count revoked signatures', async () => {
+    const request = new SigningRequest(network, { documentHash, signatories: [alice] });
+    await signAs(alice);
+    const doc = new Document(network, documentHash);
+    await doc.verify();
+    await doc.revoke(0);
+    expect(await request.status()).toMatchObject({ complete: false, pending: [alice] });
+  });
+
+  test('serialises to a shareable payload', async () => {
+    const request = new SigningRequest(network, { documentHash: buf2hex(documentHash), signatories: [alice.toLowerCase(), bob], ordered: true, deadline: 2000 });
+    const payload = request.serialise();
+    expect(JSON.parse(payload)).toEqual({ version: 1, chainId: 1, documentHash: buf2hex(documentHash), signatories: [alice, bob], ordered: true, deadline: 2000 });
+    const copy = SigningRequest.deserialise(network, payload);
+    expect(copy.toJSON()).toEqual(request.toJSON());
+    expect(SigningRequest.deserialise(network, JSON.parse(payload)).toJSON()).toEqual(request.toJSON());
+  });
+
+  test('records a non-default hash suite', () => {
+    const request = new SigningRequest(network, { documentHash, signatories: [alice], hashSuite: 'keccak256' });
+    expect(request.toJSON().hashSuite).toBe('keccak256');
+    expect(request.document.hashSuite).toBe('keccak256');
+    expect(SigningRequest.deserialise(network, request.serialise()).hashSuite).toBe('keccak256');
+  });
+
+  test('can be anchored as the first annotation on the document', async () => {
+    network.signatory = carol;
+    const request = new SigningRequest(network, { documentHash, signatories: [alice, carol] });
+    await request.anchor();
+    expect(network.events.length).toBe(1);
+    const anchored = await SigningRequest.fromDocument(network, documentHash);
+    expect(anchored.toJSON()).toEqual(request.toJSON());
+    // the anchor is not counted as the requester's signature
+    expect((await anchored.status()).pending).toEqual([alice, carol]);
+    await signAs(carol);
+    expect((await anchored.status()).pending).toEqual([alice]);
+  });
+
+  test('can only be anchored on an unsigned document', async () => {
+    await signAs(alice);
+    const request = new SigningRequest(network, { documentHash, signatories: [alice] });
+    await expect(request.anchor()).rejects.toThrow("document already has signatures");
+    await expect(SigningRequest.fromDocument(network, documentHash)).rejects.toThrow("document has no signing request");
+  });
+
+  test('rejects invalid requests', () => {
+    expect(() => new SigningRequest(network, { documentHash: '0x1234', signatories: [alice] })).toThrow("invalid document hash");
+    expect(() => new SigningRequest(network, { documentHash, signatories: [] })).toThrow("invalid signatories");
+    expect(() => new SigningRequest(network, { documentHash, signatories: ['0x1234'] })).toThrow("invalid signatory address: 0x1234");
+    expect(() => new SigningRequest(network, { documentHash, signatories: [alice, alice.toLowerCase()] })).toThrow("duplicate signatory");
+    expect(() => new SigningRequest(network, { documentHash, signatories: [alice], deadline: 'friday' })).toThrow("invalid deadline");
+  });
+
+  test('rejects invalid payloads', () => {
+    const payload = new SigningRequest(network, { documentHash, signatories: [alice] }).toJSON();
+    expect(() => SigningRequest.deserialise(network, 'not json')).toThrow("invalid signing request");
+    expect(() => SigningRequest.deserialise(network, { ...payload, version: 2 })).toThrow("unsupported signing request version");
+    expect(() => SigningRequest.deserialise(network, { ...payload, chainId: 5 })).toThrow("signing request is for a different chain");
+  });
+
+});
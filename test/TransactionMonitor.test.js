@@ -0,0 +1,192 @@
+import { beforeEach, describe, expect, test } from '@jest/globals';
+import { TransactionMonitor } from '../src/transactions.js';
+import { TransactionFailedError } from '../src/errors.js';
+
+// ------ Mocks ------
+
+const FROM = '0x1111111111111111111111111111111111111111';
+const TO = '0x2222222222222222222222222222222222222222';
+
+/**
+ * Minimal simulated chain implementing the ethers Provider functions used by the monitor.
+ */
+class MockChain {
+
+  blockNumber = 100;
+  blocks = {};
+  receipts = {};
+  pending = {};
+  nonce = 5;
+
+  submit(tx) {
+    this.pending[tx.hash] = tx;
+    return tx;
+  }
+
+  mine(hash, status = 1) {
+    const tx = this.pending[hash];
+    delete this.pending[hash];
+    this.blockNumber++;
+    this.blocks[this.blockNumber] = { prefetchedTransactions: [tx] };
+    this.receipts[hash] = { hash, status, blockNumber: this.blockNumber };
+    this.nonce = tx.nonce + 1;
+  }
+
+  mineEmpty(n = 1) {
+    for (let i = 0; i < n; i++) this.blocks[++this.blockNumber] = { prefetchedTransactions: [] };
+  }
+
+  drop(hash) {
+    delete this.pending[hash];
+  }
+
+  async getBlockNumber() { return this.blockNumber }
+  async getTransactionReceipt(hash) { return this.receipts[hash] || null }
+  async getTransaction(hash) { return this.pending[hash] || null }
+  async getTransactionCount() { return this.nonce }
+  async getBlock(n) { return n <= this.blockNumber ? (this.blocks[n] || { prefetchedTransactions: [] }) : null }
+
+}
+
+const tx = { hash: '0xaaaa', from: FROM, to: TO, nonce: 5, data: '0x1234', value: 0n };
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function collect(monitor) {
+  const events = [];
+  for await (const event of monitor) events.push(event);
+  return events;
+}
+
+
+describe('TransactionMonitor', () => {
+
+  let chain;
+
+  beforeEach(() => {
+    chain = new MockChain();
+    chain.submit(tx);
+  });
+
+  function createMonitor(options = {}) {
+    return new TransactionMonitor(tx, chain, { blockTime: 5, pollInterval: 5, ...options }).start();
+  }
+
+  test('emits submitted, mined, confirmation and final', async () => {
+    const monitor = createMonitor();
+    const eventsPromise = collect(monitor);
+    await sleep(20);
+    chain.mine(tx.hash);
+    const receipt = await monitor.confirmationInformer;
+    expect(receipt.hash).toBe(tx.hash);
+    const events = await eventsPromise;
+    expect(events.map(e => e.type)).toEqual(['submitted', 'mined', 'confirmation', 'final']);
+    expect(events[2].confirmations).toBe(1);
+    events.forEach(e => expect(e.txHash).toBe(tx.hash));
+  });
+
+  test('emits each confirmation up to the target', async () => {
+    const monitor = createMonitor({ confirmations: 3 });
+    const confirmations = [];
+    monitor.on('confirmation', e => confirmations.push(e.confirmations));
+    chain.mine(tx.hash);
+    await sleep(20);
+    expect(confirmations).toEqual([1]);
+    chain.mineEmpty(1);
+    await sleep(20);
+    expect(confirmations).toEqual([1, 2]);
+    chain.mineEmpty(5);
+    await monitor.confirmationInformer;
+    expect(confirmations).toEqual([1, 2, 3]);
+  });
+
+  test('listeners added immediately receive the submitted event', async () => {
+    const monitor = createMonitor();
+    const types = [];
+    monitor.on('submitted', e => types.push(e.type));
+    await sleep(10);
+    expect(types).toEqual(['submitted']);
+    monitor.stop();
+  });
+
+  test('keeps monitoring if a listener throws', async () => {
+    const received = [];
+    const monitor = createMonitor();
+    monitor.on('submitted', () => { throw new Error("listener failed") });
+    monitor.on('submitted', e => received.push(e.type));
+    monitor.on('mined', () => { throw new Error("listener failed") });
+    await sleep(20);
+    chain.mine(tx.hash);
+    await expect(monitor.confirmationInformer).resolves.toMatchObject({ hash: tx.hash });
+    expect(received).toEqual(['submitted']);
+  });
+
+  test('emits reverted and rejects the confirmation informer', async () => {
+    const monitor = createMonitor();
+    chain.mine(tx.hash, 0);
+    await expect(monitor.confirmationInformer).rejects.toThrow(TransactionFailedError);
+    await expect(monitor.confirmationInformer).rejects.toMatchObject({ reason: 'reverted', txHash: tx.hash });
+    expect((await collect(monitor)).map(e => e.type)).toEqual(['submitted', 'reverted']);
+  });
+
+  test('follows a repriced (sped-up) transaction', async () => {
+    const monitor = createMonitor();
+    await sleep(20);
+    const speedUp = chain.submit({ ...tx, hash: '0xbbbb' });
+    chain.drop(tx.hash);
+    chain.mine(speedUp.hash);
+    const receipt = await monitor.confirmationInformer;
+    expect(receipt.hash).toBe('0xbbbb');
+    const events = await collect(monitor);
+    expect(events.map(e => e.type)).toEqual(['submitted', 'replaced', 'mined', 'confirmation', 'final']);
+    expect(events[1]).toMatchObject({ reason: 'repriced', replacement: '0xbbbb', txHash: tx.hash });
+    expect(events[2].txHash).toBe('0xbbbb');
+  });
+
+  test('emits replaced when cancelled in the wallet', async () => {
+    const monitor = createMonitor();
+    await sleep(20);
+    const cancel = chain.submit({ hash: '0xcccc', from: FROM, to: FROM, nonce: 5, data: '0x', value: 0n });
+    chain.drop(tx.hash);
+    chain.mine(cancel.hash);
+    await expect(monitor.confirmationInformer).rejects.toMatchObject({ reason: 'replaced', replacement: '0xcccc' });
+    const events = await collect(monitor);
+    expect(events[events.length-1]).toMatchObject({ type: 'replaced', reason: 'cancelled' });
+  });
+
+  test('emits dropped when the transaction disappears', async () => {
+    const monitor = createMonitor();
+    await sleep(20);
+    chain.drop(tx.hash);
+    await expect(monitor.confirmationInformer).rejects.toMatchObject({ reason: 'dropped' });
+  });
+
+  test('emits timeout if not final in time', async () => {
+    const monitor = createMonitor({ timeout: 50 });
+    await expect(monitor.confirmationInformer).rejects.toMatchObject({ reason: 'timeout' });
+    const events = await collect(monitor);
+    expect(events.map(e => e.type)).toEqual(['submitted', 'timeout']);
+  });
+
+  test('retries after transient provider errors', async () => {
+    const monitor = createMonitor();
+    const getReceipt = chain.getTransactionReceipt.bind(chain);
+    let failures = 2;
+    chain.getTransactionReceipt = async (hash) => {
+      if (failures-- > 0) throw new Error("rpc error");
+      return getReceipt(hash);
+    };
+    chain.mine(tx.hash);
+    await expect(monitor.confirmationInformer).resolves.toMatchObject({ hash: tx.hash });
+  });
+
+  test('stop ends monitoring without further events', async () => {
+    const monitor = createMonitor();
+    await sleep(20);
+    monitor.stop();
+    chain.mine(tx.hash);
+    await sleep(20);
+    expect((await collect(monitor)).map(e => e.type)).toEqual(['submitted']);
+  });
+
+});
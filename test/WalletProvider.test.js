@@ -0,0 +1,136 @@
+import { afterAll, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import { readFileSync } from 'node:fs';
+import { ethers } from 'ethers';
+import ganache from 'ganache';
+import { WalletProvider } from '../src/providers.js';
+import { Document } from '../src/opensig.js';
+
+// ------ Dev chain ------
+
+const registryArtifact = JSON.parse(readFileSync(new URL('../contracts/artifacts/OpensigRegistry.json', import.meta.url)));
+
+// the in-process dev chain is slow to start under jest
+jest.setTimeout(60000);
+
+const deployer = ethers.Wallet.createRandom();
+const service = ethers.Wallet.createRandom();
+const balance = ethers.toBeHex(ethers.parseEther('10'));
+
+
+describe('WalletProvider', () => {
+
+  let ganacheProvider;
+  let provider;
+  let chainId;
+  let contract;
+
+  beforeAll(async () => {
+    ganacheProvider = ganache.provider({
+      logging: { quiet: true },
+      chain: { hardfork: 'shanghai' },
+      wallet: { accounts: [{ secretKey: deployer.privateKey, balance }, { secretKey: service.privateKey, balance }] }
+    });
+    // nonces are resynced straight after use, so identical requests must not be cached
+    provider = new ethers.BrowserProvider(ganacheProvider, undefined, { cacheTimeout: -1 });
+    const factory = new ethers.ContractFactory(registryArtifact.abi, registryArtifact.data.bytecode.object, deployer.connect(provider));
+    const registry = await factory.deploy();
+    await registry.waitForDeployment();
+    chainId = Number((await provider.getNetwork()).chainId);
+    contract = await registry.getAddress();
+  });
+
+  afterAll(async () => {
+    await ganacheProvider.disconnect();
+  });
+
+  function createNetwork(params = {}) {
+    return new WalletProvider({ chainId, contract, provider, signer: service, blockTime: 50, ...params });
+  }
+
+  async function createDocument(network) {
+    const doc = new Document(network, ethers.randomBytes(32));
+    await doc.verify();
+    return doc;
+  }
+
+  // uses the service account outside of the provider
+  async function sendElsewhere() {
+    await service.connect(provider).sendTransaction({ to: service.address });
+  }
+
+  async function nonceOf(txHash) {
+    return (await provider.getTransaction(txHash)).nonce;
+  }
+
+  test('signs from the wallet without a browser or node account', async () => {
+    const network = createNetwork();
+    const doc = await createDocument(network);
+    const result = await doc.sign({ type: 'string', content: 'notarised' });
+    expect(result.signatory).toBe(service.address);
+    await result.confirmationInformer;
+    expect(await doc.verify()).toMatchObject([{ signatory: service.address, data: { content: 'notarised' } }]);
+  });
+
+  test('publishes many signatures concurrently', async () => {
+    const network = createNetwork();
+    const docs = await Promise.all(Array.from({ length: 8 }, () => createDocument(network)));
+    const first = await provider.getTransactionCount(service.address);
+    const results = await Promise.all(docs.map(doc => doc.sign()));
+    const nonces = await Promise.all(results.map(r => nonceOf(r.txHash)));
+    expect(nonces.sort((a, b) => a - b)).toEqual(Array.from({ length: 8 }, (_, i) => first + i));
+    await Promise.all(results.map(r => r.confirmationInformer));
+    for (const doc of docs) expect((await doc.verify()).length).toBe(1);
+  });
+
+  test('a registration that would revert does not use a nonce', async () => {
+    const network = createNetwork();
+    const signature = ethers.hexlify(ethers.randomBytes(32));
+    const published = await network.publishSignature(signature, '0x');
+    await expect(network.publishSignature(signature, '0x')).rejects.toThrow();
+    const next = await network.publishSignature(ethers.hexlify(ethers.randomBytes(32)), '0x');
+    expect(await nonceOf(next.txHash)).toBe(await nonceOf(published.txHash) + 1);
+    await next.confirmationInformer;
+  });
+
+  test('resyncs the nonce after a failure', async () => {
+    const network = createNetwork();
+    const doc = await createDocument(network);
+    await (await doc.sign()).confirmationInformer;
+    await sendElsewhere();
+    await expect(doc.sign()).rejects.toThrow();
+    const result = await doc.sign();
+    await result.confirmationInformer;
+    expect(await nonceOf(result.txHash)).toBe(await provider.getTransactionCount(service.address) - 1);
+  });
+
+  test('can be resynced explicitly', async () => {
+    const network = createNetwork();
+    const doc = await createDocument(network);
+    await (await doc.sign()).confirmationInformer;
+    await sendElsewhere();
+    network.resync();
+    await (await doc.sign()).confirmationInformer;
+  });
+
+  test('caps EIP-1559 fees', async () => {
+    const { baseFeePerGas } = await provider.getBlock('latest');
+    const maxFeePerGas = baseFeePerGas * 2n;
+    const maxPriorityFeePerGas = 1000n;
+    const network = createNetwork({ maxFeePerGas, maxPriorityFeePerGas });
+    const doc = await createDocument(network);
+    const estimate = await doc.estimateSign();
+    expect(estimate).toMatchObject({ maxFeePerGas, maxPriorityFeePerGas });
+    const result = await doc.sign();
+    const tx = await provider.getTransaction(result.txHash);
+    expect(tx.maxFeePerGas).toBe(maxFeePerGas);
+    expect(tx.maxPriorityFeePerGas).toBe(maxPriorityFeePerGas);
+    await result.confirmationInformer;
+  });
+
+  test('requires a connectable signer', () => {
+    expect(() => new WalletProvider({ chainId, contract })).toThrow("signer is required");
+    expect(() => new WalletProvider({ chainId, contract, signer: service })).toThrow("a provider is required if the signer is not connected");
+    expect(new WalletProvider({ chainId, contract, signer: service.connect(provider) }).logProvider).toBe(provider);
+  });
+
+});
@@ -0,0 +1,214 @@
+import { beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { ethers } from 'ethers';
+import { Document, HashIterator, signMany } from '../src/opensig.js';
+import { decodeCbor, encodeCbor } from '../src/cbor.js';
+import { buf2hex, hexToBuf, unicodeStrToHex } from '../src/utils.js';
+import { createMockNetwork, eventInterface } from './mocks.js';
+
+const structuredContent = { role: 'approver', comment: 'Looks good 👍', reason: null, filename: 'contract.pdf', pages: [1, 2, 3] };
+
+
+describe('Annotation data', () => {
+
+  let network;
+  let doc;
+
+  beforeEach(async () => {
+    network = createMockNetwork();
+    doc = new Document(network, new Uint8Array(32).fill(3));
+    await doc.verify();
+  });
+
+  async function signAndDecode(data) {
+    await doc.sign(data);
+    const published = network.publishSignature.mock.calls[network.publishSignature.mock.calls.length - 1][1];
+    const signatures = await new Document(network, doc.documentHash).verify();
+    return { published, decoded: signatures[signatures.length - 1].data };
+  }
+
+  describe('version 01', () => {
+
+    test('encodes strings as UTF-8', async () => {
+      const { published, decoded } = await signAndDecode({ type: 'string', content: 'héllo 👋', version: '01' });
+      expect(published).toBe('0x0100' + buf2hex(new TextEncoder().encode('héllo 👋'), false));
+      expect(decoded).toEqual({ version: '01', encrypted: false, type: 'string', content: 'héllo 👋' });
+    });
+
+    test('halves the size of ASCII strings compared with version 00', async () => {
+      const { published } = await signAndDecode({ type: 'string', content: 'approved', version: '01' });
+      expect(ethers.dataLength(published)).toBe(2 + 8);
+    });
+
+    test('encodes bytes', async () => {
+      const { published, decoded } = await signAndDecode({ type: 'hex', content: '0x01020304', version: '01' });
+      expect(published).toBe('0x010101020304');
+      expect(decoded).toEqual({ version: '01', encrypted: false, type: 'hex', content: '0x01020304' });
+    });
+
+    test('encodes JSON', async () => {
+      const { published, decoded } = await signAndDecode({ type: 'json', content: structuredContent });
+      expect(published).toBe('0x0102' + buf2hex(new TextEncoder().encode(JSON.stringify(structuredContent)), false));
+      expect(decoded).toEqual({ version: '01', encrypted: false, type: 'json', content: structuredContent });
+    });
+
+    test('encodes CBOR', async () => {
+      const { published, decoded } = await signAndDecode({ type: 'cbor', content: structuredContent });
+      expect(published).toBe('0x0103' + buf2hex(encodeCbor(structuredContent), false));
+      expect(decoded).toEqual({ version: '01', encrypted: false, type: 'cbor', content: structuredContent });
+    });
+
+    test('encrypts structured content', async () => {
+      const { published, decoded } = await signAndDecode({ type: 'json', content: structuredContent, encrypted: true });
+      expect(published.slice(0, 6)).toBe('0x0182');
+      expect(published).not.toContain(buf2hex(new TextEncoder().encode('approver'), false));
+      expect(decoded).toEqual({ version: '01', encrypted: true, type: 'json', content: structuredContent });
+    });
+
+    test('structured types can be batch signed', async () => {
+      await signMany([doc], { type: 'cbor', content: { role: 'witness' } });
+      const signatures = await new Document(network, doc.documentHash).verify();
+      expect(signatures[0].data).toMatchObject({ type: 'cbor', content: { role: 'witness' } });
+    });
+
+  });
+
+  describe('encoding errors', () => {
+
+    test('structured types require version 01', async () => {
+      await expect(doc.sign({ type: 'json', content: {}, version: '00' })).rejects.toThrow("data type 'json' requires data version 01");
+    });
+
+    test('rejects unknown versions', async () => {
+      await expect(doc.sign({ type: 'string', content: 'hi', version: '02' })).rejects.toThrow("unsupported data version '02'");
+    });
+
+    test('rejects content that cannot be encoded', async () => {
+      const circular = {};
+      circular.self = circular;
+      await expect(doc.sign({ type: 'json', content: circular })).rejects.toThrow("invalid data content");
+      await expect(doc.sign({ type: 'json', content: () => {} })).rejects.toThrow("invalid data content");
+      await expect(doc.sign({ type: 'cbor', content: { f: () => {} } })).rejects.toThrow("invalid data content");
+      expect(network.publishSignature).not.toHaveBeenCalled();
+      expect(doc.hashes.currentIndex()).toBe(-1);
+    });
+
+  });
+
+  describe('validation hooks', () => {
+
+    const requireRole = content => typeof content.role === 'string' || "role is required";
+
+    test('publishes data that passes validation', async () => {
+      const validate = jest.fn(requireRole);
+      const data = { type: 'json', content: { role: 'approver' }, validate };
+      await doc.sign(data);
+      expect(validate).toHaveBeenCalledWith({ role: 'approver' }, data);
+      expect(network.publishSignature).toHaveBeenCalledTimes(1);
+    });
+
+    test('rejects data that fails validation without publishing', async () => {
+      await expect(doc.sign({ type: 'json', content: {}, validate: requireRole })).rejects.toThrow("data failed validation: role is required");
+      await expect(doc.sign({ type: 'json', content: {}, validate: () => false })).rejects.toThrow("data failed validation");
+      await expect(doc.sign({ type: 'json', content: {}, validate: async () => { throw new Error("schema error") } })).rejects.toThrow("schema error");
+      await expect(doc.sign({ type: 'json', content: {}, validate: 'not a function' })).rejects.toThrow("invalid data validate hook");
+      expect(network.publishSignature).not.toHaveBeenCalled();
+      expect(doc.hashes.currentIndex()).toBe(-1);
+    });
+
+    test('validates each document in a batch', async () => {
+      const other = new Document(network, new Uint8Array(32).fill(4));
+      await other.verify();
+      const data = [{ type: 'json', content: { role: 'a' }, validate: requireRole }, { type: 'json', content: {}, validate: requireRole }];
+      await expect(signMany([doc, other], data)).rejects.toThrow("data failed validation: role is required");
+      expect(network.publishSignatures).not.toHaveBeenCalled();
+    });
+
+  });
+
+  describe('decoding', () => {
+
+    // decodes the given data as the document's first signature
+    async function decode(data) {
+      const [signature] = await new HashIterator(doc.documentHash, network.chainId).next(1);
+      network.events = [eventInterface.encodeEventLog("Signature", [1, ethers.ZeroAddress, buf2hex(signature), data])];
+      const signatures = await new Document(network, doc.documentHash).verify();
+      return signatures[0].data;
+    }
+
+    test('version 00 strings are still decoded as UTF-16', async () => {
+      expect(await decode('0x0000' + unicodeStrToHex('hello'))).toEqual({ version: '00', encrypted: false, type: 'string', content: 'hello' });
+    });
+
+    test('strings are published as version 01 by default', async () => {
+      const { published } = await signAndDecode({ type: 'string', content: 'hello' });
+      expect(published).toBe('0x0100' + buf2hex(new TextEncoder().encode('hello'), false));
+    });
+
+    test('version 00 strings can still be published', async () => {
+      const { published, decoded } = await signAndDecode({ type: 'string', content: 'hello', version: '00' });
+      expect(published).toBe('0x0000' + unicodeStrToHex('hello'));
+      expect(decoded).toEqual({ version: '00', encrypted: false, type: 'string', content: 'hello' });
+    });
+
+    test('reports unknown versions and types', async () => {
+      expect(await decode('0x0200aa')).toEqual({ version: '02', encrypted: false, type: 'invalid', content: "unrecognised version: 02" });
+      expect(await decode('0x0107aa')).toEqual({ version: '01', encrypted: false, type: 'invalid', content: "unrecognised type: 7 (version=01)" });
+    });
+
+    test('reports malformed content', async () => {
+      expect(await decode('0x0102' + buf2hex(new TextEncoder().encode('{"role":'), false))).toMatchObject({ type: 'invalid', content: "invalid json content" });
+      expect(await decode('0x0103ff')).toMatchObject({ type: 'invalid', content: "invalid cbor content" });
+      expect(await decode('0x0100ff')).toMatchObject({ type: 'invalid', content: "invalid string content" });
+    });
+
+  });
+
+});
+
+
+describe('CBOR', () => {
+
+  test('round trips JSON-like values', () => {
+    const values = [
+      0, 23, 24, 255, 256, 65535, 65536, 2 ** 32, Number.MAX_SAFE_INTEGER, -1, -24, -25, -(2 ** 40),
+      1.5, -0.25, 1e300, NaN, Infinity,
+      2n ** 64n - 1n, -(2n ** 64n),
+      '', 'a', 'ü€😀', 'x'.repeat(300),
+      true, false, null, undefined,
+      new Uint8Array([1, 2, 3]),
+      [], [1, [2, [3]]], {}, { a: 1, b: { c: [true, null] } }
+    ];
+    values.forEach(value => expect(decodeCbor(encodeCbor(value))).toEqual(value));
+  });
+
+  test('encodes with the preferred (shortest) serialisation', () => {
+    expect(buf2hex(encodeCbor(0))).toBe('0x00');
+    expect(buf2hex(encodeCbor(24))).toBe('0x1818');
+    expect(buf2hex(encodeCbor(1000))).toBe('0x1903e8');
+    expect(buf2hex(encodeCbor(-1000))).toBe('0x3903e7');
+    expect(buf2hex(encodeCbor('IETF'))).toBe('0x6449455446');
+    expect(buf2hex(encodeCbor({ a: 1, b: [2, 3] }))).toBe('0xa26161016162820203');
+  });
+
+  test('decodes RFC 8949 examples', () => {
+    expect(decodeCbor(hexToBuf('f93c00'))).toBe(1);           // half precision
+    expect(decodeCbor(hexToBuf('fa47c35000'))).toBe(100000);  // single precision
+    expect(decodeCbor(hexToBuf('c074323031332d30332d32315432303a30343a30305a'))).toBe('2013-03-21T20:04:00Z'); // tagged
+    expect(decodeCbor(hexToBuf('1bffffffffffffffff'))).toBe(2n ** 64n - 1n);
+  });
+
+  test('does not allow keys to replace the prototype', () => {
+    const decoded = decodeCbor(hexToBuf('a1695f5f70726f746f5f5fa1617801')); // {"__proto__": {"x": 1}}
+    expect(Object.getPrototypeOf(decoded)).toBe(Object.prototype);
+    expect(decoded.x).toBeUndefined();
+    expect(Object.keys(decoded)).toEqual(['__proto__']);
+  });
+
+  test('rejects invalid and unsupported encodings', () => {
+    expect(() => decodeCbor(hexToBuf('1903'))).toThrow("invalid CBOR: unexpected end of data");
+    expect(() => decodeCbor(hexToBuf('0000'))).toThrow("invalid CBOR: unexpected trailing bytes");
+    expect(() => decodeCbor(hexToBuf('9f01ff'))).toThrow("unsupported CBOR encoding"); // indefinite length
+    expect(() => encodeCbor(Symbol('x'))).toThrow("cannot encode symbol as CBOR");
+  });
+
+});
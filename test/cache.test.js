@@ -0,0 +1,176 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { ethers } from 'ethers';
+import { Document, HashIterator } from '../src/opensig.js';
+import { FileCache, IndexedDBCache, MemoryCache, cacheKey } from '../src/cache.js';
+import { buf2hex } from '../src/utils.js';
+import { constructSimulatedEvent, createMockNetwork } from './mocks.js';
+
+describe('Verification cache', () => {
+
+  const documentHash = new Uint8Array(32).fill(7);
+  const signer = ethers.Wallet.createRandom().address;
+  let hashChain;
+
+  beforeAll(async () => {
+    hashChain = (await new HashIterator(documentHash, 1).next(30)).map(h => buf2hex(h));
+  });
+
+  function publish(network, index, blockNumber) {
+    network.events.push(constructSimulatedEvent(1000 + index, signer, hashChain[index], '0x', blockNumber));
+  }
+
+  describe('MemoryCache', () => {
+
+    let cache;
+    let network;
+
+    beforeEach(() => {
+      cache = new MemoryCache();
+      network = createMockNetwork({ cache, blockNumber: 100 });
+      for (let i = 0; i < 12; i++) publish(network, i, 50 + i);
+    });
+
+    test('first verification performs a full discovery and populates the cache', async () => {
+      const signatures = await new Document(network, documentHash).verify();
+      expect(signatures.length).toBe(12);
+      expect(network.querySignatures.mock.calls[0][0][0]).toBe(hashChain[0]);
+      expect(network.querySignatures.mock.calls[0][1]).toEqual({ toBlock: 100 });
+      const entry = await cache.get(cacheKey(1, buf2hex(documentHash)));
+      expect(entry.lastIndex).toBe(11);
+      expect(entry.lastBlock).toBe(100);
+      expect(entry.signatures.length).toBe(12);
+    });
+
+    test('re-verification only queries new signatures and new blocks', async () => {
+      await new Document(network, documentHash).verify();
+      network.querySignatures.mockClear();
+      network.blockNumber = 120;
+      publish(network, 12, 110);
+      const doc = new Document(network, documentHash);
+      const signatures = await doc.verify();
+      expect(signatures.length).toBe(13);
+      expect(signatures[12].signature).toBe(hashChain[12]);
+      expect(network.querySignatures).toHaveBeenCalledTimes(1);
+      expect(network.querySignatures.mock.calls[0][0][0]).toBe(hashChain[12]);
+      expect(network.querySignatures.mock.calls[0][1]).toEqual({ fromBlock: 101, toBlock: 120 });
+      expect(doc.hashes.currentIndex()).toBe(12);
+    });
+
+    test('no query is made if no new blocks have been produced', async () => {
+      await new Document(network, documentHash).verify();
+      network.querySignatures.mockClear();
+      const doc = new Document(network, documentHash);
+      const signatures = await doc.verify();
+      expect(signatures.length).toBe(12);
+      expect(network.querySignatures).not.toHaveBeenCalled();
+      expect(doc.hashes.currentIndex()).toBe(11);
+    });
+
+    test('signing after a cached verification uses the next signature', async () => {
+      await new Document(network, documentHash).verify();
+      network.publishSignature = jest.fn(signature => Promise.resolve({ signature }));
+      const doc = new Document(network, documentHash);
+      await doc.verify();
+      const result = await doc.sign();
+      expect(result.signature).toBe(hashChain[12]);
+    });
+
+    test('clearCache forces a full discovery', async () => {
+      const doc = new Document(network, documentHash);
+      await doc.verify();
+      await doc.clearCache();
+      network.querySignatures.mockClear();
+      await doc.verify();
+      expect(network.querySignatures.mock.calls[0][0][0]).toBe(hashChain[0]);
+      expect(network.querySignatures.mock.calls[0][1]).toEqual({ toBlock: 100 });
+    });
+
+    test('cached entries cannot be mutated by the caller', async () => {
+      const signatures = await new Document(network, documentHash).verify();
+      signatures.pop();
+      const entry = await cache.get(cacheKey(1, buf2hex(documentHash)));
+      expect(entry.signatures.length).toBe(12);
+    });
+
+  });
+
+  describe('FileCache', () => {
+
+    let tmpDir;
+
+    beforeAll(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'opensig-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('persists entries between instances', async () => {
+      const file = path.join(tmpDir, 'cache.json');
+      const network = createMockNetwork({ cache: new FileCache(file), blockNumber: 100 });
+      publish(network, 0, 60);
+      await new Document(network, documentHash).verify();
+
+      const network2 = createMockNetwork({ cache: new FileCache(file), blockNumber: 100 });
+      const signatures = await new Document(network2, documentHash).verify();
+      expect(signatures.length).toBe(1);
+      expect(signatures[0].signature).toBe(hashChain[0]);
+      expect(network2.querySignatures).not.toHaveBeenCalled();
+    });
+
+    test('delete and clear remove entries', async () => {
+      const file = path.join(tmpDir, 'cache2.json');
+      const cache = new FileCache(file);
+      await cache.set('a', { lastIndex: 1 });
+      await cache.set('b', { lastIndex: 2 });
+      await cache.delete('a');
+      expect(await new FileCache(file).get('a')).toBeUndefined();
+      expect(await new FileCache(file).get('b')).toEqual({ lastIndex: 2 });
+      await cache.clear();
+      expect(await new FileCache(file).get('b')).toBeUndefined();
+    });
+
+  });
+
+  describe('IndexedDBCache', () => {
+
+    /**
+     * Minimal in-memory stand-in for the browser's indexedDB global
+     */
+    function createFakeIndexedDB() {
+      const store = new Map();
+      const request = fn => {
+        const req = {};
+        setTimeout(() => { req.result = fn(); req.onsuccess() });
+        return req;
+      };
+      const objectStore = {
+        get: key => request(() => store.get(key)),
+        put: (value, key) => request(() => { store.set(key, value); return key }),
+        delete: key => request(() => { store.delete(key) }),
+        clear: () => request(() => { store.clear() })
+      };
+      const db = { transaction: () => ({ objectStore: () => objectStore }) };
+      return { open: jest.fn(() => request(() => db)) };
+    }
+
+    afterAll(() => {
+      delete globalThis.indexedDB;
+    });
+
+    test('retries opening the database after a failure', async () => {
+      const cache = new IndexedDBCache();
+      await expect(cache.get('a')).rejects.toThrow("IndexedDB is not supported on this platform");
+      globalThis.indexedDB = createFakeIndexedDB();
+      await cache.set('a', { lastIndex: 1 });
+      expect(await cache.get('a')).toEqual({ lastIndex: 1 });
+      expect(globalThis.indexedDB.open).toHaveBeenCalledTimes(1);
+    });
+
+  });
+
+});
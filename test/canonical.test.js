@@ -0,0 +1,117 @@
+import { beforeEach, describe, expect, test } from '@jest/globals';
+import { ethers } from 'ethers';
+import { JsonDocument, TextDocument } from '../src/opensig.js';
+import { canonicalJson, normaliseText } from '../src/canonical.js';
+import { hash } from '../src/crypto.js';
+import { createMockNetwork } from './mocks.js';
+
+
+describe('canonicalJson', () => {
+
+  test('canonicalises the RFC 8785 example', () => {
+    const input = JSON.parse('{"numbers": [333333333.33333329, 1E30, 4.50, 2e-3, 0.000000000000000000000000001], "string": "\\u20ac$\\u000F\\u000aA\'\\u0042\\u0022\\u005c\\\\\\"\\/", "literals": [null, true, false]}');
+    expect(canonicalJson(input)).toBe('{"literals":[null,true,false],"numbers":[333333333.3333333,1e+30,4.5,0.002,1e-27],"string":"€$\\u000f\\nA\'B\\"\\\\\\\\\\"/"}');
+  });
+
+  test('sorts properties by UTF-16 code units', () => {
+    const input = { "€": 1, "\r": 2, "\ufb33": 3, "1": 4, "😀": 5, "\u0080": 6, "ö": 7 };
+    expect(canonicalJson(input)).toBe('{"\\r":2,"1":4,"\u0080":6,"ö":7,"€":1,"😀":5,"\ufb33":3}');
+  });
+
+  test('serialises numbers as ECMAScript does', () => {
+    expect(canonicalJson([-0, 1e21, 5e-324, 1e-7, 123456789012345680000, 0.1 + 0.2])).toBe('[0,1e+21,5e-324,1e-7,123456789012345680000,0.30000000000000004]');
+  });
+
+  test('ignores property order and whitespace', () => {
+    expect(canonicalJson(JSON.parse('{ "b": [1, {"y": 2, "x": 1}], "a": "z" }'))).toBe(canonicalJson({ a: 'z', b: [1, { x: 1, y: 2 }] }));
+  });
+
+  test('honours toJSON and omits undefined properties', () => {
+    expect(canonicalJson({ date: new Date(0), reason: undefined })).toBe('{"date":"1970-01-01T00:00:00.000Z"}');
+  });
+
+  test('rejects values that are not JSON', () => {
+    expect(() => canonicalJson(NaN)).toThrow("invalid JSON: non-finite number");
+    expect(() => canonicalJson({ a: Infinity })).toThrow("invalid JSON: non-finite number");
+    expect(() => canonicalJson('\ud800')).toThrow("invalid JSON: lone surrogate in string");
+    expect(() => canonicalJson(1n)).toThrow("invalid JSON: cannot serialise bigint");
+    expect(() => canonicalJson([undefined])).toThrow("invalid JSON: cannot serialise undefined");
+    const circular = {};
+    circular.self = circular;
+    expect(() => canonicalJson(circular)).toThrow("invalid JSON: circular reference");
+    const shared = { x: 1 };
+    expect(canonicalJson([shared, shared])).toBe('[{"x":1},{"x":1}]');
+  });
+
+});
+
+
+describe('normaliseText', () => {
+
+  test('normalises to NFC and LF line endings', () => {
+    expect(normaliseText('Cafe\u0301\r\nline 2\rline 3\n')).toBe('Caf\u00e9\nline 2\nline 3\n');
+    expect(normaliseText('\r\n\r\n')).toBe('\n\n');
+    expect(() => normaliseText(42)).toThrow("invalid text");
+  });
+
+});
+
+
+describe('JsonDocument and TextDocument', () => {
+
+  let network;
+
+  beforeEach(() => {
+    network = createMockNetwork();
+  });
+
+  const invoice = { id: 'INV-42', total: 1250.5, lines: [{ sku: 'A1', qty: 2 }], currency: 'EUR' };
+
+  test('derive the hash from canonical JSON', async () => {
+    const doc = new JsonDocument(network, invoice);
+    await doc.verify();
+    expect(new Uint8Array(doc.documentHash)).toEqual(new Uint8Array(await hash(new TextEncoder().encode(canonicalJson(invoice)))));
+    expect(doc.content).toBe('{"currency":"EUR","id":"INV-42","lines":[{"qty":2,"sku":"A1"}],"total":1250.5}');
+  });
+
+  test('a received JSON object can be re-verified against its signatures', async () => {
+    const doc = new JsonDocument(network, invoice);
+    await doc.verify();
+    await doc.sign({ type: 'string', content: 'approved' });
+
+    const received = JSON.parse('{"currency": "EUR", "lines": [{"qty": 2, "sku": "A1"}], "total": 1250.50, "id": "INV-42"}');
+    expect(doc.matches(received)).toBe(true);
+    const signatures = await new JsonDocument(network, received).verify();
+    expect(signatures.map(s => s.data.content)).toEqual(['approved']);
+
+    const tampered = { ...received, total: 1250.51 };
+    expect(doc.matches(tampered)).toBe(false);
+    expect(doc.matches(NaN)).toBe(false);
+    expect(await new JsonDocument(network, tampered).verify()).toEqual([]);
+  });
+
+  test('a received text can be re-verified against its signatures', async () => {
+    const doc = new TextDocument(network, 'Café terms\nsigned below\n');
+    await doc.verify();
+    await doc.sign({ type: 'string', content: 'agreed' });
+
+    const received = 'Cafe\u0301 terms\r\nsigned below\r\n';
+    expect(doc.matches(received)).toBe(true);
+    const signatures = await new TextDocument(network, received).verify();
+    expect(signatures.map(s => s.data.content)).toEqual(['agreed']);
+    expect(doc.matches('Café terms\nsigned below')).toBe(false);
+    expect(doc.matches(undefined)).toBe(false);
+  });
+
+  test('support hash suites', async () => {
+    const doc = new TextDocument(network, 'hello', { hashSuite: 'keccak256' });
+    await doc.verify();
+    expect(ethers.hexlify(new Uint8Array(doc.documentHash))).toBe(ethers.keccak256(ethers.toUtf8Bytes('hello')));
+  });
+
+  test('reject invalid content', () => {
+    expect(() => new JsonDocument(network, { a: () => {} })).toThrow("invalid JSON: cannot serialise function");
+    expect(() => new TextDocument(network, { text: 'hello' })).toThrow("invalid text");
+  });
+
+});
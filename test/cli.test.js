@@ -0,0 +1,135 @@
+import { afterAll, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ethers } from 'ethers';
+import ganache from 'ganache';
+import { run, EXIT_ERROR, EXIT_SIGNED, EXIT_UNSIGNED } from '../bin/opensig.js';
+
+// ------ Dev chain ------
+
+const registryArtifact = JSON.parse(readFileSync(new URL('../contracts/artifacts/OpensigRegistry.json', import.meta.url)));
+
+// the in-process dev chain is slow to start under jest
+jest.setTimeout(60000);
+
+const signer = ethers.Wallet.createRandom();
+
+
+describe('opensig command line tool', () => {
+
+  let server;
+  let rpc;
+  let contract;
+  let dir;
+  let file;
+
+  beforeAll(async () => {
+    server = ganache.server({
+      logging: { quiet: true },
+      chain: { hardfork: 'shanghai' },
+      wallet: { accounts: [{ secretKey: signer.privateKey, balance: ethers.toBeHex(ethers.parseEther('10')) }] }
+    });
+    await server.listen(0);
+    rpc = 'http://127.0.0.1:' + server.address().port;
+    const provider = new ethers.JsonRpcProvider(rpc);
+    const factory = new ethers.ContractFactory(registryArtifact.abi, registryArtifact.data.bytecode.object, signer.connect(provider));
+    const registry = await factory.deploy();
+    await registry.waitForDeployment();
+    contract = await registry.getAddress();
+    provider.destroy();
+    dir = mkdtempSync(join(tmpdir(), 'opensig-cli-'));
+    file = join(dir, 'contract.txt');
+    writeFileSync(file, 'terms and conditions');
+  });
+
+  afterAll(async () => {
+    rmSync(dir, { recursive: true, force: true });
+    await server.close();
+  });
+
+  // runs the tool, capturing its output
+  async function opensig(...args) {
+    const output = { stdout: '', stderr: '' };
+    const stream = name => ({ write: text => { output[name] += text } });
+    const env = { SIGNER_KEY: signer.privateKey, OPENSIG_RPC_URL: rpc, OPENSIG_REGISTRY: contract };
+    output.code = await run(args, { stdout: stream('stdout'), stderr: stream('stderr'), env });
+    return output;
+  }
+
+  test('hashes files', async () => {
+    const expected = ethers.sha256(ethers.toUtf8Bytes('terms and conditions'));
+    expect(await opensig('hash', file)).toEqual({ code: EXIT_SIGNED, stdout: expected + '  ' + file + '\n', stderr: '' });
+    const { stdout } = await opensig('hash', file, '--hash-suite', 'keccak256', '--json');
+    expect(JSON.parse(stdout)).toEqual([{ file, hashSuite: 'keccak256', documentHash: ethers.keccak256(ethers.toUtf8Bytes('terms and conditions')) }]);
+  });
+
+  test('signs and verifies a file', async () => {
+    const unsigned = await opensig('verify', file, '--json');
+    expect(unsigned.code).toBe(EXIT_UNSIGNED);
+    expect(JSON.parse(unsigned.stdout)).toMatchObject({ signed: false, signatures: [] });
+
+    const signed = await opensig('sign', file, '--key-env', 'SIGNER_KEY', '--data', 'approved', '--block-time', '100', '--json');
+    expect(signed.stderr).toBe('');
+    expect(signed.code).toBe(EXIT_SIGNED);
+    const result = JSON.parse(signed.stdout);
+    expect(result).toMatchObject({ signatory: signer.address, confirmed: true });
+
+    const verified = await opensig('verify', file, '--rpc', rpc, '--contract', contract, '--json');
+    expect(verified.code).toBe(EXIT_SIGNED);
+    expect(JSON.parse(verified.stdout)).toMatchObject({
+      documentHash: result.documentHash,
+      hashSuite: 'sha256',
+      signed: true,
+      signatures: [{ signature: result.signature, signatory: signer.address, data: { version: '01', type: 'string', content: 'approved' }, txHash: result.txHash }]
+    });
+
+    const table = await opensig('verify', file);
+    expect(table.stdout).toContain('1 signature\n');
+    expect(table.stdout).toMatch(new RegExp('1  \\S+Z  ' + signer.address + '  valid   approved'));
+  });
+
+  test('signs a document hash with an encrypted annotation', async () => {
+    const hash = ethers.hexlify(ethers.randomBytes(32));
+    const { code } = await opensig('sign', hash, '--key-env', 'SIGNER_KEY', '--data', 'secret', '--encrypt', '--block-time', '100');
+    expect(code).toBe(EXIT_SIGNED);
+    const { stdout } = await opensig('verify', hash, '--json');
+    expect(JSON.parse(stdout).signatures[0].data).toMatchObject({ encrypted: true, content: 'secret' });
+  });
+
+  test('exports and verifies proof bundles offline', async () => {
+    const hash = ethers.hexlify(ethers.randomBytes(32));
+    const bundleFile = join(dir, 'proof.json');
+    expect((await opensig('proof', 'export', hash, '--out', bundleFile)).code).toBe(EXIT_UNSIGNED);
+    expect((await opensig('proof', 'verify', bundleFile, hash)).code).toBe(EXIT_UNSIGNED);
+
+    await opensig('sign', hash, '--key-env', 'SIGNER_KEY', '--block-time', '100');
+    const exported = await opensig('proof', 'export', hash);
+    expect(exported.code).toBe(EXIT_SIGNED);
+    writeFileSync(bundleFile, exported.stdout);
+    const verified = await opensig('proof', 'verify', bundleFile, hash, '--json');
+    expect(verified.code).toBe(EXIT_SIGNED);
+    expect(JSON.parse(verified.stdout)).toMatchObject({ valid: true, errors: [], signed: true });
+
+    const invalid = await opensig('proof', 'verify', bundleFile, ethers.hexlify(ethers.randomBytes(32)));
+    expect(invalid.code).toBe(EXIT_ERROR);
+    expect(invalid.stdout).toBe('Proof is INVALID\n  document hash does not match the proof\n');
+  });
+
+  test('reports errors with exit code 2', async () => {
+    expect(await opensig('frobnicate')).toMatchObject({ code: EXIT_ERROR, stderr: "opensig: unknown command 'frobnicate'\nRun 'opensig help' for usage.\n" });
+    expect(await opensig('verify', file, '--chain', '99')).toMatchObject({ code: EXIT_ERROR, stderr: 'opensig: the rpc endpoint is on chain 1337, not chain 99\n' });
+    expect(await opensig('sign', file)).toMatchObject({ code: EXIT_ERROR, stderr: expect.stringContaining('--key-env is required to sign') });
+    expect(await opensig('sign', file, '--key-env', 'MISSING')).toMatchObject({ code: EXIT_ERROR, stderr: 'opensig: environment variable MISSING is not set\n' });
+    expect(await opensig('sign', file, '--key-env', 'SIGNER_KEY', '--encrypt')).toMatchObject({ code: EXIT_ERROR, stderr: expect.stringContaining('--encrypt requires --data') });
+    expect(await opensig('hash', join(dir, 'missing.txt'))).toMatchObject({ code: EXIT_ERROR });
+    expect(await opensig('verify', file, '--bogus')).toMatchObject({ code: EXIT_ERROR });
+  });
+
+  test('prints usage', async () => {
+    const { code, stdout } = await opensig('help');
+    expect(code).toBe(EXIT_SIGNED);
+    expect(stdout).toContain('Usage: opensig <command> [options]');
+  });
+
+});
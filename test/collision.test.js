@@ -0,0 +1,229 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { readFileSync } from 'node:fs';
+import { ethers } from 'ethers';
+import ganache from 'ganache';
+import { EthersProvider, MemoryProvider } from '../src/providers.js';
+import { Document } from '../src/opensig.js';
+import { SignatureCollisionError, TransactionFailedError } from '../src/errors.js';
+import { buf2hex } from '../src/utils.js';
+
+const registryArtifact = JSON.parse(readFileSync(new URL('../contracts/artifacts/OpensigRegistry.json', import.meta.url)));
+
+// the in-process dev chain is slow to start under jest
+jest.setTimeout(60000);
+
+const alice = '0x1000000000000000000000000000000000000001';
+const bob = '0x2000000000000000000000000000000000000002';
+
+
+describe('Signature collisions', () => {
+
+  let network;
+  let documentHash;
+  let chain;
+
+  beforeEach(async () => {
+    network = new MemoryProvider({ blockTime: 10 });
+    documentHash = ethers.randomBytes(32);
+    const doc = new Document(network, documentHash);
+    await doc.verify();
+    chain = (await doc.hashes.next(3)).map(h => buf2hex(h));
+  });
+
+  // returns two verified instances of the same document
+  async function createSigners() {
+    const docs = [new Document(network, documentHash), new Document(network, documentHash)];
+    await Promise.all(docs.map(doc => doc.verify()));
+    return docs;
+  }
+
+  // signs the document as the given signatory
+  async function signAs(doc, signatory, options) {
+    network.signatory = signatory;
+    return doc.sign({ type: 'string', content: 'signed by ' + signatory }, options);
+  }
+
+  test('detects a taken signature before publishing', async () => {
+    const [aliceDoc, bobDoc] = await createSigners();
+    await signAs(aliceDoc, alice);
+    const publish = jest.spyOn(network, 'publishSignature');
+    const result = await signAs(bobDoc, bob);
+    expect(publish).toHaveBeenCalledTimes(1);
+    expect(result.signature).toBe(chain[1]);
+    const signatures = await new Document(network, documentHash).verify();
+    expect(signatures.map(s => [s.signature, s.signatory])).toEqual([[chain[0], alice], [chain[1], bob]]);
+    expect(bobDoc.signatures.map(s => s.signature)).toEqual([chain[0]]);
+  });
+
+  test('recovers when the publication is rejected as already published', async () => {
+    const [aliceDoc, bobDoc] = await createSigners();
+    await signAs(aliceDoc, alice);
+    network.isRegistered = jest.fn(async () => false); // as for a provider that cannot check
+    const result = await signAs(bobDoc, bob);
+    expect(result.signature).toBe(chain[1]);
+    expect(network.isRegistered).toHaveBeenCalled();
+  });
+
+  test('recovers when the published transaction reverts', async () => {
+    network.miningDelay = 50;
+    const [aliceDoc, bobDoc] = await createSigners();
+    const aliceResult = await signAs(aliceDoc, alice);
+    const bobResult = await signAs(bobDoc, bob);
+    const firstTxHash = bobResult.txHash;
+    expect(bobResult.signature).toBe(chain[0]);
+
+    await aliceResult.confirmationInformer;
+    const receipt = await bobResult.confirmationInformer;
+    expect(bobResult.signature).toBe(chain[1]);
+    expect(bobResult.txHash).not.toBe(firstTxHash);
+    expect(receipt).toMatchObject({ hash: bobResult.txHash, status: 1 });
+    const signatures = await new Document(network, documentHash).verify();
+    expect(signatures.map(s => s.signatory)).toEqual([alice, bob]);
+  });
+
+  // holds the network's signature queries until the returned function is called
+  function holdQueries() {
+    let release;
+    const held = new Promise(resolve => { release = resolve });
+    const querySignatures = network.querySignatures.bind(network);
+    network.querySignatures = jest.fn(async (...args) => { await held; return querySignatures(...args) });
+    return release;
+  }
+
+  test('signing stays in progress until the retry after a revert is published', async () => {
+    network.miningDelay = 50;
+    const [aliceDoc, bobDoc] = await createSigners();
+    const aliceResult = await signAs(aliceDoc, alice);
+    const bobResult = await signAs(bobDoc, bob);
+    expect(bobDoc.signingInProgress).toBe(false);
+    const release = holdQueries();
+    await aliceResult.confirmationInformer;
+    // the retry re-discovers the document's signatures
+    while (network.querySignatures.mock.calls.length === 0) await new Promise(resolve => setTimeout(resolve, 1));
+    expect(bobDoc.signingInProgress).toBe(true);
+    await expect(signAs(bobDoc, bob)).rejects.toThrow("Signing already in progress");
+    release();
+    await bobResult.confirmationInformer;
+    expect(bobResult.signature).toBe(chain[1]);
+    expect((await signAs(bobDoc, bob)).signature).toBe(chain[2]);
+  });
+
+  test('a retry after a revert waits for a sign already in progress', async () => {
+    network.miningDelay = 50;
+    const [aliceDoc, bobDoc] = await createSigners();
+    const aliceResult = await signAs(aliceDoc, alice);
+    const bobResult = await signAs(bobDoc, bob);
+    await aliceResult.confirmationInformer;
+    // hold bob's next sign open across the revert of his first
+    let release;
+    const held = new Promise(resolve => { release = resolve });
+    const isRegistered = network.isRegistered.bind(network);
+    network.isRegistered = jest.fn(async signature => { if (signature === chain[1]) await held; return isRegistered(signature) });
+    const second = signAs(bobDoc, bob);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    release();
+    const secondResult = await second;
+    await Promise.all([bobResult.confirmationInformer, secondResult.confirmationInformer]);
+    expect(secondResult.signature).toBe(chain[1]);
+    expect(bobResult.signature).toBe(chain[2]);
+    const signatures = await new Document(network, documentHash).verify();
+    expect(signatures.map(s => s.signatory)).toEqual([alice, bob, bob]);
+  });
+
+  test('does not retry transactions that revert for other reasons', async () => {
+    const [doc] = await createSigners();
+    network.failNext('reverted');
+    const result = await signAs(doc, alice);
+    await expect(result.confirmationInformer).rejects.toThrow(TransactionFailedError);
+    expect(result.signature).toBe(chain[0]);
+  });
+
+  test('fails with a clear error when the retries run out', async () => {
+    const [doc] = await createSigners();
+    network.isRegistered = jest.fn(async () => true);
+    const error = await signAs(doc, alice, { maxRetries: 2 }).catch(e => e);
+    expect(error).toBeInstanceOf(SignatureCollisionError);
+    expect(error.message).toBe("Signing failed: the next signature was taken by another signer on each of 3 attempts");
+    expect(error.attempts).toBe(3);
+    expect(network.isRegistered).toHaveBeenCalledTimes(3);
+    // the signature chain is rolled back so the document can be signed again
+    network.isRegistered = jest.fn(async () => false);
+    expect((await signAs(doc, alice)).signature).toBe(chain[0]);
+  });
+
+  test('can disable retries', async () => {
+    const [aliceDoc, bobDoc] = await createSigners();
+    await signAs(aliceDoc, alice);
+    await expect(signAs(bobDoc, bob, { maxRetries: 0 })).rejects.toThrow(SignatureCollisionError);
+    expect(bobDoc.signingInProgress).toBe(false);
+  });
+
+  test('other publishing errors are not retried', async () => {
+    const [doc] = await createSigners();
+    network.failNext('rejected', "user rejected transaction");
+    await expect(signAs(doc, alice)).rejects.toThrow("user rejected transaction");
+    expect((await signAs(doc, alice)).signature).toBe(chain[0]);
+  });
+
+});
+
+
+describe('Signature collisions on the registry contract', () => {
+
+  let ganacheProvider;
+  let provider;
+  let network;
+
+  beforeAll(async () => {
+    ganacheProvider = ganache.provider({ logging: { quiet: true }, chain: { hardfork: 'shanghai' } });
+    // a cached gas estimate for the first signer's transaction would hide the contract's rejection
+    provider = new ethers.BrowserProvider(ganacheProvider, undefined, { cacheTimeout: -1 });
+    const factory = new ethers.ContractFactory(registryArtifact.abi, registryArtifact.data.bytecode.object, await provider.getSigner());
+    const registry = await factory.deploy();
+    await registry.waitForDeployment();
+    const chainId = Number((await provider.getNetwork()).chainId);
+    network = new EthersProvider({ chainId, contract: await registry.getAddress(), provider, blockTime: 50 });
+  });
+
+  afterAll(async () => {
+    await ganacheProvider.disconnect();
+  });
+
+  test('reports registered signatures', async () => {
+    const signature = ethers.hexlify(ethers.randomBytes(32));
+    expect(await network.isRegistered(signature)).toBe(false);
+    await (await network.publishSignature(signature, '0x')).confirmationInformer;
+    expect(await network.isRegistered(signature)).toBe(true);
+  });
+
+  test('checks the registry without using the request cache', async () => {
+    // the default provider caches identical requests for a short time
+    const cachedProvider = new ethers.BrowserProvider(ganacheProvider);
+    const cached = new EthersProvider({ chainId: network.chainId, contract: network.contract, provider: cachedProvider, blockTime: 50 });
+    const send = jest.spyOn(cachedProvider, 'send');
+    const signature = ethers.hexlify(ethers.randomBytes(32));
+    expect(await cached.isRegistered(signature)).toBe(false);
+    expect(send).toHaveBeenCalledWith('eth_call', [expect.objectContaining({ to: network.contract }), 'latest']);
+    const result = await network.publishSignature(signature, '0x'); // mined immediately by the dev chain
+    expect(await cached.isRegistered(signature)).toBe(true);
+    await result.confirmationInformer;
+  });
+
+  test('recovers from the contract rejecting a published signature', async () => {
+    const documentHash = ethers.randomBytes(32);
+    const docs = [new Document(network, documentHash), new Document(network, documentHash)];
+    await Promise.all(docs.map(doc => doc.verify()));
+    await (await docs[0].sign()).confirmationInformer;
+    network.isRegistered = async () => false;
+    try {
+      const result = await docs[1].sign();
+      await result.confirmationInformer;
+      expect(result.signature).toBe(buf2hex(docs[1].hashes.indexAt(1)));
+      expect((await new Document(network, documentHash).verify()).length).toBe(2);
+    }
+    finally {
+      delete network.isRegistered;
+    }
+  });
+
+});
@@ -0,0 +1,139 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { readFileSync } from 'node:fs';
+import { ethers } from 'ethers';
+import ganache from 'ganache';
+import { EthersProvider, MemoryProvider } from '../src/providers.js';
+import { Document } from '../src/opensig.js';
+import { buf2hex } from '../src/utils.js';
+
+const registryArtifact = JSON.parse(readFileSync(new URL('../contracts/artifacts/OpensigRegistry.json', import.meta.url)));
+const registry = new ethers.Interface(registryArtifact.abi);
+
+// the in-process dev chain is slow to start under jest
+jest.setTimeout(60000);
+
+const gwei = n => ethers.parseUnits(String(n), 'gwei');
+
+
+describe('Document.estimateSign', () => {
+
+  let network;
+  let doc;
+
+  beforeEach(async () => {
+    network = new MemoryProvider({ blockTime: 10, baseFeePerGas: gwei(10), maxPriorityFeePerGas: gwei(2) });
+    doc = new Document(network, ethers.randomBytes(32));
+    await doc.verify();
+  });
+
+  test('estimates the cost of the next signature without advancing the chain', async () => {
+    const estimate = await doc.estimateSign({ type: 'string', content: 'approved' });
+    const calldata = registry.encodeFunctionData('registerSignature', [estimate.signature, estimate.data]);
+    expect(estimate).toMatchObject({
+      collision: false,
+      baseFeePerGas: gwei(10),
+      maxFeePerGas: gwei(22),
+      maxPriorityFeePerGas: gwei(2),
+      fee: estimate.gasLimit * gwei(12),
+      maxFee: estimate.gasLimit * gwei(22),
+      calldataSize: ethers.dataLength(calldata)
+    });
+    expect(estimate.formattedFee).toBe(ethers.formatEther(estimate.fee));
+    expect(estimate.gasLimit).toBeGreaterThan(21000n);
+    expect(doc.hashes.currentIndex()).toBe(-1);
+    const result = await doc.sign({ type: 'string', content: 'approved' });
+    expect(result.signature).toBe(estimate.signature);
+    expect(result.data).toBe(estimate.data);
+  });
+
+  test('is available as a dry run of sign', async () => {
+    const publish = jest.spyOn(network, 'publishSignature');
+    const estimate = await doc.sign({ type: 'string', content: 'approved' }, { dryRun: true });
+    expect(estimate.signature).toBe(buf2hex((await doc.hashes.next())[0]));
+    expect(publish).not.toHaveBeenCalled();
+  });
+
+  test('does not disturb a concurrent sign', async () => {
+    // hold the estimate's registry lookup open while the document is signed
+    let release;
+    const lookup = new Promise(resolve => { release = resolve });
+    const isRegistered = network.isRegistered.bind(network);
+    network.isRegistered = jest.fn(async signature => { await lookup; return isRegistered(signature) });
+    const estimating = doc.estimateSign();
+    while (network.isRegistered.mock.calls.length === 0) await new Promise(resolve => setTimeout(resolve, 1));
+    const signing = doc.sign();
+    release();
+    const [estimate, result] = await Promise.all([estimating, signing]);
+    expect(estimate.signature).toBe(buf2hex(doc.hashes.indexAt(0)));
+    expect(result.signature).toBe(buf2hex(doc.hashes.indexAt(0)));
+    expect(doc.hashes.currentIndex()).toBe(0);
+    expect((await doc.sign()).signature).toBe(buf2hex(doc.hashes.indexAt(1)));
+  });
+
+  test('larger annotations cost more', async () => {
+    const small = await doc.estimateSign();
+    const large = await doc.estimateSign({ type: 'string', content: 'x'.repeat(500) });
+    expect(large.calldataSize).toBeGreaterThan(small.calldataSize + 500);
+    expect(large.gasLimit).toBeGreaterThan(small.gasLimit);
+  });
+
+  test('reports a signature taken by another signer', async () => {
+    const other = new Document(network, doc.documentHash);
+    await other.verify();
+    await other.sign();
+    const estimate = await doc.estimateSign();
+    expect(estimate.collision).toBe(true);
+    expect(estimate.signature).toBe(buf2hex(doc.hashes.indexAt(1)));
+    expect(doc.hashes.currentIndex()).toBe(-1);
+  });
+
+  test('validates the data and the document', async () => {
+    await expect(doc.estimateSign({ type: 'string', content: 5 })).rejects.toThrow("invalid data content");
+    await expect(new Document(network, ethers.randomBytes(32)).estimateSign()).rejects.toThrow("Must verify before signing");
+    const mockDoc = new Document({ chainId: 1, querySignatures: async () => [] }, ethers.randomBytes(32));
+    await mockDoc.verify();
+    await expect(mockDoc.estimateSign()).rejects.toThrow("network does not support fee estimation");
+  });
+
+});
+
+
+describe('EthersProvider.estimateSignature', () => {
+
+  let ganacheProvider;
+  let network;
+
+  beforeAll(async () => {
+    ganacheProvider = ganache.provider({ logging: { quiet: true }, chain: { hardfork: 'shanghai' } });
+    const provider = new ethers.BrowserProvider(ganacheProvider);
+    const factory = new ethers.ContractFactory(registryArtifact.abi, registryArtifact.data.bytecode.object, await provider.getSigner());
+    const contract = await factory.deploy();
+    await contract.waitForDeployment();
+    const chainId = Number((await provider.getNetwork()).chainId);
+    network = new EthersProvider({ chainId, contract: await contract.getAddress(), provider, blockTime: 50 });
+  });
+
+  afterAll(async () => {
+    await ganacheProvider.disconnect();
+  });
+
+  test('estimates gas and EIP-1559 fees from the chain', async () => {
+    const doc = new Document(network, ethers.randomBytes(32));
+    await doc.verify();
+    const estimate = await doc.estimateSign({ type: 'string', content: 'approved' });
+    expect(estimate.baseFeePerGas).toBeGreaterThan(0n);
+    expect(estimate.fee).toBe(estimate.gasLimit * (estimate.baseFeePerGas + estimate.maxPriorityFeePerGas));
+    expect(estimate.maxFee).toBe(estimate.gasLimit * estimate.maxFeePerGas);
+
+    const receipt = await (await doc.sign({ type: 'string', content: 'approved' })).confirmationInformer;
+    expect(estimate.gasLimit).toBeGreaterThanOrEqual(receipt.gasUsed);
+    expect(estimate.gasLimit).toBeLessThan(receipt.gasUsed * 2n);
+  });
+
+  test('rejects signatures that have already been published', async () => {
+    const signature = ethers.hexlify(ethers.randomBytes(32));
+    await (await network.publishSignature(signature, '0x')).confirmationInformer;
+    await expect(network.estimateSignature(signature, '0x')).rejects.toThrow("signature already published");
+  });
+
+});
@@ -0,0 +1,69 @@
+import { describe, expect, jest, test } from '@jest/globals';
+import { hash, hashFile } from '../src/crypto.js';
+import { File as OpensigFile } from '../src/opensig.js';
+import { buf2hex } from '../src/utils.js';
+
+describe('hashFile', () => {
+
+  const createData = (size = 3 * 1024 * 1024) => {
+    const data = new Uint8Array(size);
+    for (let i = 0; i < size; i++) data[i] = (i * 31 + (i >> 8)) & 0xff;
+    return data;
+  };
+
+  // Constructs the blob from 64KB parts so that it is streamed in several chunks
+  const createBlob = (data) => {
+    const parts = [];
+    for (let i = 0; i < data.length; i += 65536) parts.push(data.slice(i, i + 65536));
+    return new Blob(parts);
+  };
+
+  test('hash is identical to hashing the whole file at once', async () => {
+    const data = createData();
+    const expected = await hash(data);
+    const result = await hashFile(createBlob(data));
+    expect(buf2hex(result)).toBe(buf2hex(expected));
+  });
+
+  test('hashes an empty file', async () => {
+    const expected = await hash(new Uint8Array(0));
+    const result = await hashFile(new Blob([]));
+    expect(buf2hex(result)).toBe(buf2hex(expected));
+  });
+
+  test('reports progress after each chunk', async () => {
+    const data = createData();
+    const onProgress = jest.fn();
+    await hashFile(createBlob(data), { onProgress });
+    expect(onProgress.mock.calls.length).toBeGreaterThan(1);
+    const calls = onProgress.mock.calls;
+    for (let i = 1; i < calls.length; i++) expect(calls[i][0]).toBeGreaterThan(calls[i-1][0]);
+    expect(calls[calls.length-1]).toEqual([data.length, data.length]);
+  });
+
+  test('rejects if the signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(hashFile(new Blob([createData(1024)]), { signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  test('can be aborted part way through', async () => {
+    const controller = new AbortController();
+    const onProgress = jest.fn(() => controller.abort());
+    await expect(hashFile(createBlob(createData()), { signal: controller.signal, onProgress }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(onProgress).toHaveBeenCalledTimes(1);
+  });
+
+  test('File.verify hashes the file with progress', async () => {
+    const data = createData();
+    const network = { chainId: 1, querySignatures: jest.fn(() => Promise.resolve([])) };
+    const file = new OpensigFile(network, createBlob(data));
+    const onProgress = jest.fn();
+    await file.verify({ onProgress });
+    expect(onProgress).toHaveBeenCalled();
+    expect(buf2hex(file.documentHash)).toBe(buf2hex(await hash(data)));
+  });
+
+});
@@ -0,0 +1,147 @@
+import { beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { Readable } from 'node:stream';
+import { ethers } from 'ethers';
+import { sha256, sha512_256 } from '@noble/hashes/sha2';
+import { keccak_256 } from '@noble/hashes/sha3';
+import { Document, File, HashIterator, verifyProof } from '../src/opensig.js';
+import { hash, hashFile, hashSuites } from '../src/crypto.js';
+import { MemoryCache, cacheKey } from '../src/cache.js';
+import { buf2hex, concatBuffers } from '../src/utils.js';
+import { createMockNetwork } from './mocks.js';
+
+const content = new TextEncoder().encode("partner contract");
+const digests = {
+  'sha256': sha256(content),
+  'keccak256': keccak_256(content),
+  'sha512-256': sha512_256(content)
+};
+
+
+describe('Hash suites', () => {
+
+  test('hash each suite', async () => {
+    expect(hashSuites).toEqual(['sha256', 'keccak256', 'sha512-256']);
+    for (const suite of hashSuites) {
+      expect(new Uint8Array(await hash(content, suite))).toEqual(digests[suite]);
+      expect(new Uint8Array(await hashFile(content, { hashSuite: suite }))).toEqual(digests[suite]);
+    }
+    expect(buf2hex(await hash(new TextEncoder().encode('abc'), 'keccak256'))).toBe('0x4e03657aea45a94fc7d47ba826c8d667c0d1e6e33a64a036ec44f58fa12d6c45');
+    expect(buf2hex(await hash(new TextEncoder().encode('abc'), 'sha512-256'))).toBe('0x53048e2681941ef99b2e29b76b4c7dabe4c2d0c634fc6d46e0e2f13107e7af23');
+  });
+
+  test('sha256 remains the default', async () => {
+    expect(new Uint8Array(await hash(content))).toEqual(digests.sha256);
+    const hashes = await new HashIterator(digests.sha256, 1).next(3);
+    expect((await new HashIterator(digests.sha256, 1, 'sha256').next(3)).map(h => buf2hex(h))).toEqual(hashes.map(h => buf2hex(h)));
+    // OpenSig v0.1 chain derivation
+    const chainSpecificHash = sha256(new Uint8Array(concatBuffers(Uint8Array.from('1'), digests.sha256)));
+    expect(new Uint8Array(hashes[0])).toEqual(sha256(chainSpecificHash));
+    expect(new Uint8Array(hashes[1])).toEqual(sha256(new Uint8Array(concatBuffers(chainSpecificHash, hashes[0]))));
+    expect(cacheKey(1, '0xAB')).toBe('1:0xab');
+  });
+
+  test('derive the signature chain with the suite', async () => {
+    const hashes = await new HashIterator(digests.keccak256, 1, 'keccak256').next(2);
+    const chainSpecificHash = keccak_256(new Uint8Array(concatBuffers(Uint8Array.from('1'), digests.keccak256)));
+    expect(new Uint8Array(hashes[0])).toEqual(keccak_256(chainSpecificHash));
+    expect(new Uint8Array(hashes[1])).toEqual(keccak_256(new Uint8Array(concatBuffers(chainSpecificHash, hashes[0]))));
+    expect(buf2hex((await new HashIterator(digests.keccak256, 1).next(1))[0])).not.toBe(buf2hex(hashes[0]));
+  });
+
+  test('reject unsupported suites', async () => {
+    const network = createMockNetwork();
+    expect(() => new Document(network, digests.sha256, { hashSuite: 'md5' })).toThrow("unsupported hash suite 'md5'");
+    expect(() => new Document(network, digests.sha256, { hashSuite: [] })).toThrow("invalid hash suite");
+    expect(() => new HashIterator(digests.sha256, 1, 'sha1')).toThrow("unsupported hash suite 'sha1'");
+    await expect(hash(content, 'constructor')).rejects.toThrow("unsupported hash suite 'constructor'");
+  });
+
+});
+
+
+describe('Documents with hash suites', () => {
+
+  let network;
+
+  beforeEach(() => {
+    network = createMockNetwork();
+  });
+
+  async function signWith(hashSuite, documentHash = digests[hashSuite]) {
+    const doc = new Document(network, documentHash, { hashSuite });
+    await doc.verify();
+    await doc.sign({ type: 'string', content: hashSuite });
+  }
+
+  test('sign and verify an existing digest with its own suite', async () => {
+    await signWith('keccak256');
+    const signatures = await new Document(network, digests.keccak256, { hashSuite: 'keccak256' }).verify();
+    expect(signatures.map(s => s.data.content)).toEqual(['keccak256']);
+    expect(await new Document(network, digests.keccak256).verify()).toEqual([]);
+  });
+
+  test('a file is hashed with its suite', async () => {
+    await signWith('sha512-256');
+    const file = new File(network, content, { hashSuite: 'sha512-256' });
+    const signatures = await file.verify();
+    expect(new Uint8Array(file.documentHash)).toEqual(digests['sha512-256']);
+    expect(signatures.map(s => s.data.content)).toEqual(['sha512-256']);
+  });
+
+  test('infer the suite from several candidates', async () => {
+    await signWith('keccak256', digests.sha256);
+    const doc = new Document(network, digests.sha256, { hashSuite: ['sha256', 'keccak256'] });
+    expect(doc.hashSuite).toBeUndefined();
+    const signatures = await doc.verify();
+    expect(doc.hashSuite).toBe('keccak256');
+    expect(signatures.map(s => s.data.content)).toEqual(['keccak256']);
+    await doc.sign({ type: 'string', content: 'second' });
+    expect((await doc.verify()).length).toBe(2);
+  });
+
+  test('adopt the first candidate if the document has no signatures', async () => {
+    const doc = new Document(network, digests.sha256, { hashSuite: ['sha512-256', 'sha256'] });
+    expect(await doc.verify()).toEqual([]);
+    expect(doc.hashSuite).toBe('sha512-256');
+    await doc.sign({ type: 'string', content: 'first' });
+    const signatures = await new Document(network, digests.sha256, { hashSuite: 'sha512-256' }).verify();
+    expect(signatures.length).toBe(1);
+  });
+
+  test('a file streamed once is hashed with every candidate suite', async () => {
+    await signWith('keccak256');
+    const file = new File(network, Readable.from([content.slice(0, 5), content.slice(5)]), { hashSuite: hashSuites });
+    const signatures = await file.verify();
+    expect(file.hashSuite).toBe('keccak256');
+    expect(new Uint8Array(file.documentHash)).toEqual(digests.keccak256);
+    expect(signatures.length).toBe(1);
+    expect((await file.verify()).length).toBe(1);
+  });
+
+  test('cache each suite separately', async () => {
+    network.cache = new MemoryCache();
+    network.getBlockNumber = jest.fn(() => Promise.resolve(network.events.length));
+    await signWith('keccak256', digests.sha256);
+    await new Document(network, digests.sha256, { hashSuite: hashSuites }).verify();
+    expect(cacheKey(1, buf2hex(digests.sha256), 'keccak256')).toBe('1:' + buf2hex(digests.sha256) + ':keccak256');
+    expect((await network.cache.get(cacheKey(1, buf2hex(digests.sha256), 'keccak256'))).signatures.length).toBe(1);
+    expect((await network.cache.get(cacheKey(1, buf2hex(digests.sha256)))).signatures.length).toBe(0);
+  });
+
+  test('record the suite in proofs', async () => {
+    await signWith('keccak256');
+    const doc = new Document(network, digests.keccak256, { hashSuite: 'keccak256' });
+    await doc.verify();
+    const bundle = doc.exportProof();
+    expect(bundle.hashSuite).toBe('keccak256');
+    const result = await verifyProof(bundle, content);
+    expect(result.errors).toEqual([]);
+    expect(result.valid).toBe(true);
+    await expect(verifyProof({ ...bundle, hashSuite: 'md5' }, content)).rejects.toThrow("unsupported hash suite 'md5'");
+
+    const sha256Doc = new Document(network, digests.sha256);
+    await sha256Doc.verify();
+    expect(sha256Doc.exportProof().hashSuite).toBeUndefined();
+  });
+
+});
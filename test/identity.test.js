@@ -0,0 +1,164 @@
+import { beforeAll, describe, expect, jest, test } from '@jest/globals';
+import { ethers } from 'ethers';
+import { Document, HashIterator } from '../src/opensig.js';
+import { AddressBookResolver, ChainedResolver, EnsResolver } from '../src/identity.js';
+import { buf2hex } from '../src/utils.js';
+import { constructSimulatedEvent, createMockNetwork } from './mocks.js';
+
+// ------ Test Helpers ------
+
+const ALICE = ethers.Wallet.createRandom().address;
+const BOB = ethers.Wallet.createRandom().address;
+const CAROL = ethers.Wallet.createRandom().address;
+
+/**
+ * Mock ENS provider with the given reverse and forward records
+ */
+function createMockEnsProvider(reverse = {}, forward = {}) {
+  return {
+    lookupAddress: jest.fn(address => Promise.resolve(reverse[address] || null)),
+    resolveName: jest.fn(name => Promise.resolve(forward[name] || null))
+  };
+}
+
+function createResolver(fn) {
+  return { resolve: jest.fn(fn) };
+}
+
+
+describe('Identity resolvers', () => {
+
+  describe('EnsResolver', () => {
+
+    test('resolves a primary name that resolves back to the address', async () => {
+      const provider = createMockEnsProvider({ [ALICE]: 'alice.eth' }, { 'alice.eth': ALICE.toLowerCase() });
+      const identity = await new EnsResolver(provider).resolve(ALICE);
+      expect(identity).toEqual({ name: 'alice.eth', level: 'verified', source: 'ens' });
+    });
+
+    test('rejects a reverse record that does not resolve back to the address', async () => {
+      const provider = createMockEnsProvider({ [ALICE]: 'bob.eth' }, { 'bob.eth': BOB });
+      expect(await new EnsResolver(provider).resolve(ALICE)).toBeUndefined();
+    });
+
+    test('returns undefined if the address has no reverse record', async () => {
+      const provider = createMockEnsProvider();
+      expect(await new EnsResolver(provider).resolve(ALICE)).toBeUndefined();
+      expect(provider.resolveName).not.toHaveBeenCalled();
+    });
+
+  });
+
+  describe('AddressBookResolver', () => {
+
+    const book = {
+      [ALICE.toLowerCase()]: 'Alice',
+      [BOB]: { name: 'Bob', level: 'verified', email: 'bob@example.com' }
+    };
+
+    test('resolves names and entries regardless of address case', async () => {
+      const resolver = new AddressBookResolver(book);
+      expect(await resolver.resolve(ALICE)).toEqual({ name: 'Alice', level: 'trusted', source: 'address-book' });
+      expect(await resolver.resolve(BOB.toLowerCase())).toEqual({ name: 'Bob', level: 'verified', email: 'bob@example.com', source: 'address-book' });
+      expect(await resolver.resolve(CAROL)).toBeUndefined();
+    });
+
+    test('uses the given default level and source', async () => {
+      const resolver = new AddressBookResolver(book, { level: 'claimed', source: 'directory' });
+      expect(await resolver.resolve(ALICE)).toEqual({ name: 'Alice', level: 'claimed', source: 'directory' });
+    });
+
+    test('rejects invalid addresses', () => {
+      expect(() => new AddressBookResolver({ 'not-an-address': 'Eve' })).toThrow("invalid address in address book: not-an-address");
+    });
+
+  });
+
+  describe('ChainedResolver', () => {
+
+    test('returns the first identity found', async () => {
+      const first = createResolver(address => Promise.resolve(address === ALICE ? { name: 'first' } : undefined));
+      const second = createResolver(() => Promise.resolve({ name: 'second' }));
+      const resolver = new ChainedResolver([first, second]);
+      expect(await resolver.resolve(ALICE)).toEqual({ name: 'first' });
+      expect(await resolver.resolve(BOB)).toEqual({ name: 'second' });
+      expect(second.resolve).toHaveBeenCalledTimes(1);
+    });
+
+    test('caches results, including unknown addresses', async () => {
+      const inner = createResolver(address => Promise.resolve(address === ALICE ? { name: 'Alice' } : undefined));
+      const resolver = new ChainedResolver([inner]);
+      await Promise.all([resolver.resolve(ALICE), resolver.resolve(ALICE.toLowerCase()), resolver.resolve(BOB)]);
+      expect(await resolver.resolve(ALICE)).toEqual({ name: 'Alice' });
+      expect(await resolver.resolve(BOB)).toBeUndefined();
+      expect(inner.resolve).toHaveBeenCalledTimes(2);
+      resolver.clearCache();
+      await resolver.resolve(ALICE);
+      expect(inner.resolve).toHaveBeenCalledTimes(3);
+    });
+
+    test('expires cached results after the ttl', async () => {
+      const inner = createResolver(() => Promise.resolve({ name: 'Alice' }));
+      const resolver = new ChainedResolver([inner], { ttl: 10 });
+      await resolver.resolve(ALICE);
+      await resolver.resolve(ALICE);
+      expect(inner.resolve).toHaveBeenCalledTimes(1);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      await resolver.resolve(ALICE);
+      expect(inner.resolve).toHaveBeenCalledTimes(2);
+    });
+
+    test('skips failing resolvers and does not cache their results', async () => {
+      const failing = createResolver(() => Promise.reject(new Error("network error")));
+      const fallback = createResolver(() => Promise.resolve({ name: 'fallback' }));
+      const resolver = new ChainedResolver([failing, fallback]);
+      expect(await resolver.resolve(ALICE)).toEqual({ name: 'fallback' });
+      await resolver.resolve(ALICE);
+      expect(failing.resolve).toHaveBeenCalledTimes(2);
+    });
+
+  });
+
+  describe('Document.verify', () => {
+
+    let documentHash;
+    let hashChain;
+
+    beforeAll(async () => {
+      documentHash = new Uint8Array(32).fill(7);
+      hashChain = (await new HashIterator(documentHash, 1).next(3)).map(h => buf2hex(h));
+    });
+
+    function createIdentityNetwork(identityResolver) {
+      const network = createMockNetwork({ identityResolver });
+      network.events.push(
+        constructSimulatedEvent(1, ALICE, hashChain[0]),
+        constructSimulatedEvent(2, BOB, hashChain[1]),
+        constructSimulatedEvent(3, ALICE, hashChain[2])
+      );
+      return network;
+    }
+
+    test('attaches the identity of each known signatory', async () => {
+      const resolver = createResolver(address => Promise.resolve(address === ALICE ? { name: 'Alice' } : undefined));
+      const signatures = await new Document(createIdentityNetwork(resolver), documentHash).verify();
+      expect(signatures.map(s => s.identity)).toEqual([{ name: 'Alice' }, undefined, { name: 'Alice' }]);
+      expect(signatures[1]).not.toHaveProperty('identity');
+      expect(resolver.resolve).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not fail verification if the resolver fails', async () => {
+      const resolver = createResolver(() => Promise.reject(new Error("network error")));
+      const signatures = await new Document(createIdentityNetwork(resolver), documentHash).verify();
+      expect(signatures.length).toBe(3);
+      signatures.forEach(s => expect(s.identity).toBeUndefined());
+    });
+
+    test('does not resolve identities without a resolver', async () => {
+      const signatures = await new Document(createIdentityNetwork(), documentHash).verify();
+      signatures.forEach(s => expect(s).not.toHaveProperty('identity'));
+    });
+
+  });
+
+});
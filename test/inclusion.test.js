@@ -0,0 +1,212 @@
+import { afterAll, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import { ethers } from 'ethers';
+import ganache from 'ganache';
+import { computeBlockHash, computeReceiptsRoot, verifyLogInclusion } from '../src/inclusion.js';
+import { EthersProvider } from '../src/providers.js';
+import { Document } from '../src/opensig.js';
+import { LogVerificationError } from '../src/errors.js';
+import { readFileSync } from 'node:fs';
+
+// ------ Dev chain ------
+
+/**
+ * Wraps a provider, passing each RPC result through the given function so that tests can play
+ * the part of a dishonest node.
+ */
+function createTamperingProvider(provider, tamper) {
+  return {
+    getBlockNumber: () => provider.getBlockNumber(),
+    send: async (method, params) => tamper(method, await provider.send(method, params))
+  };
+}
+
+const registryArtifact = JSON.parse(readFileSync(new URL('../contracts/artifacts/OpensigRegistry.json', import.meta.url)));
+
+// the in-process dev chain is slow to start under jest
+jest.setTimeout(60000);
+
+const randomId = () => ethers.hexlify(ethers.randomBytes(32));
+
+
+describe('Log inclusion proofs', () => {
+
+  let ganacheProvider;
+  let provider;
+  let signer;
+  let registry;
+  let batchBlock;
+  let batchLogs;
+
+  beforeAll(async () => {
+    ganacheProvider = ganache.provider({ logging: { quiet: true }, chain: { hardfork: 'shanghai' } });
+    provider = new ethers.BrowserProvider(ganacheProvider);
+    signer = await provider.getSigner();
+    const factory = new ethers.ContractFactory(registryArtifact.abi, registryArtifact.data.bytecode.object, signer);
+    registry = await factory.deploy();
+    await registry.waitForDeployment();
+
+    // mine a block containing several transactions, each with its own receipt
+    await provider.send('miner_stop', []);
+    const nonce = await signer.getNonce();
+    await registry.registerSignature(randomId(), '0x0001', { nonce });
+    await signer.sendTransaction({ to: ethers.ZeroAddress, value: 1, nonce: nonce + 1 });
+    await registry.registerSignatures([randomId(), randomId()], ['0x', '0x02'], { nonce: nonce + 2 });
+    await registry.registerSignature(randomId(), '0x', { nonce: nonce + 3, type: 0 });
+    await provider.send('evm_mine', []);
+    batchBlock = await provider.send('eth_getBlockByNumber', ['latest', false]);
+    batchLogs = await provider.send('eth_getLogs', [{ address: await registry.getAddress(), blockHash: batchBlock.hash }]);
+    await provider.send('miner_start', []);
+  });
+
+  afterAll(async () => {
+    await ganacheProvider.disconnect();
+  });
+
+  function latestCheckpoint() {
+    return provider.send('eth_getBlockByNumber', ['latest', false])
+      .then(block => ({ blockNumber: Number(block.number), blockHash: block.hash }));
+  }
+
+  test('computes the block hash from the header', async () => {
+    const latest = await provider.getBlockNumber();
+    for (let n = 0; n <= latest; n++) {
+      const header = await provider.send('eth_getBlockByNumber', [ethers.toQuantity(n), false]);
+      expect(computeBlockHash(header)).toBe(header.hash);
+    }
+  });
+
+  test('computes the receipts root from the receipts', async () => {
+    expect(batchBlock.transactions.length).toBe(4);
+    const receipts = await Promise.all(batchBlock.transactions.map(h => provider.send('eth_getTransactionReceipt', [h])));
+    expect(computeReceiptsRoot(receipts)).toBe(batchBlock.receiptsRoot);
+    expect(computeReceiptsRoot([])).toBe(ethers.keccak256(ethers.encodeRlp('0x')));
+  });
+
+  test('proves logs using a witness provider', async () => {
+    expect(batchLogs.length).toBe(4);
+    for (const log of batchLogs) {
+      await expect(verifyLogInclusion(log, provider, { witnessProvider: provider })).resolves.toBeUndefined();
+    }
+  });
+
+  test('proves logs using a trusted checkpoint', async () => {
+    const headerCache = new Map();
+    const checkpoint = await latestCheckpoint();
+    for (const log of batchLogs) {
+      await expect(verifyLogInclusion(log, provider, { checkpoint, headerCache })).resolves.toBeUndefined();
+    }
+    expect(headerCache.get(Number(batchBlock.number))).toBe(batchBlock.hash);
+  });
+
+  test('rejects a log that is not in its receipt', async () => {
+    const log = { ...batchLogs[0], data: ethers.AbiCoder.defaultAbiCoder().encode(['uint256', 'bytes'], [1, '0x'])};
+    await expect(verifyLogInclusion(log, provider, { witnessProvider: provider })).rejects.toThrow(LogVerificationError);
+    await expect(verifyLogInclusion(log, provider, { witnessProvider: provider })).rejects.toThrow("log is not in the transaction receipt");
+  });
+
+  test('rejects a forged block header', async () => {
+    const dishonest = createTamperingProvider(provider, (method, result) => {
+      return method === 'eth_getBlockByHash' ? { ...result, receiptsRoot: ethers.ZeroHash } : result;
+    });
+    await expect(verifyLogInclusion(batchLogs[0], dishonest, { witnessProvider: provider }))
+      .rejects.toMatchObject({ reason: "block header does not match block hash" });
+  });
+
+  test('rejects a block header with a false hash', async () => {
+    // the reported hash would otherwise be the one checked against the witness and checkpoint
+    const dishonest = createTamperingProvider(provider, (method, result) => {
+      return method === 'eth_getBlockByHash' ? { ...result, hash: batchBlock.parentHash } : result;
+    });
+    const witness = createTamperingProvider(provider, (method, result) => ({ ...result, hash: batchBlock.parentHash }));
+    await expect(verifyLogInclusion(batchLogs[0], dishonest, { witnessProvider: witness }))
+      .rejects.toMatchObject({ reason: "block header hash is incorrect" });
+    const checkpoint = { blockNumber: Number(batchBlock.number), blockHash: batchBlock.parentHash };
+    await expect(verifyLogInclusion(batchLogs[0], dishonest, { checkpoint }))
+      .rejects.toMatchObject({ reason: "block header hash is incorrect" });
+  });
+
+  test('rejects forged receipts', async () => {
+    const dishonest = createTamperingProvider(provider, (method, result) => {
+      return method === 'eth_getTransactionReceipt' ? { ...result, cumulativeGasUsed: '0x1' } : result;
+    });
+    await expect(verifyLogInclusion(batchLogs[0], dishonest, { witnessProvider: provider }))
+      .rejects.toMatchObject({ reason: "receipts do not match the block's receipts root" });
+  });
+
+  test('rejects a block the witness provider disagrees with', async () => {
+    const witness = createTamperingProvider(provider, (method, result) => ({ ...result, hash: ethers.ZeroHash }));
+    await expect(verifyLogInclusion(batchLogs[0], provider, { witnessProvider: witness }))
+      .rejects.toMatchObject({ reason: "block hash does not match the witness provider" });
+  });
+
+  test('rejects a block that is not an ancestor of the checkpoint', async () => {
+    const checkpoint = { blockNumber: Number(batchBlock.number), blockHash: ethers.ZeroHash };
+    await expect(verifyLogInclusion(batchLogs[0], provider, { checkpoint }))
+      .rejects.toMatchObject({ reason: "block is not an ancestor of the trusted checkpoint" });
+    const earlier = { blockNumber: Number(batchBlock.number) - 1, blockHash: ethers.ZeroHash };
+    await expect(verifyLogInclusion(batchLogs[0], provider, { checkpoint: earlier }))
+      .rejects.toMatchObject({ reason: "block is after the trusted checkpoint" });
+  });
+
+  test('rejects if there is nothing to anchor the block to', async () => {
+    await expect(verifyLogInclusion(batchLogs[0], provider))
+      .rejects.toMatchObject({ reason: "no witness provider or trusted checkpoint" });
+  });
+
+
+  describe('EthersProvider strict mode', () => {
+
+    async function createNetwork(params) {
+      return new EthersProvider({
+        chainId: Number((await provider.getNetwork()).chainId),
+        contract: await registry.getAddress(),
+        provider,
+        blockTime: 50,
+        strict: true,
+        ...params
+      });
+    }
+
+    test('requires a witness provider or trusted checkpoint', () => {
+      expect(() => new EthersProvider({ chainId: 1, contract: ethers.ZeroAddress, provider, strict: true }))
+        .toThrow("strict mode requires a witnessProvider or trustedCheckpoint");
+    });
+
+    test('signs and verifies a document', async () => {
+      const network = await createNetwork({ witnessProvider: provider });
+      const doc = new Document(network, ethers.randomBytes(32));
+      await doc.verify();
+      const result = await doc.sign({ type: 'string', content: 'approved' });
+      await result.confirmationInformer;
+      const checkpointed = new Document(await createNetwork({ trustedCheckpoint: await latestCheckpoint() }), doc.documentHash);
+      const signatures = await checkpointed.verify();
+      expect(signatures.length).toBe(1);
+      expect(signatures[0]).toMatchObject({ signatory: await signer.getAddress(), data: { content: 'approved' } });
+    });
+
+    test('remembers only the most recent verified headers', async () => {
+      await provider.send('evm_mine', []);
+      await provider.send('evm_mine', []);
+      const checkpoint = await latestCheckpoint();
+      const network = await createNetwork({ trustedCheckpoint: checkpoint, maxVerifiedHeaders: 2 });
+      const ids = batchLogs.map(log => log.topics[2]);
+      expect((await network.querySignatures(ids)).length).toBe(4);
+      expect(checkpoint.blockNumber - Number(batchBlock.number)).toBeGreaterThan(2);
+      expect(Array.from(network.verifiedHeaders.keys()).sort((a, b) => a - b))
+        .toEqual([checkpoint.blockNumber - 1, checkpoint.blockNumber]);
+      expect((await network.querySignatures(ids)).length).toBe(4);
+      expect(network.verifiedHeaders.size).toBe(2);
+    });
+
+    test('rejects logs from a dishonest node', async () => {
+      const dishonest = createTamperingProvider(provider, (method, result) => {
+        return method === 'eth_getLogs' ? result.map(log => ({ ...log, blockHash: batchBlock.parentHash })) : result;
+      });
+      const network = await createNetwork({ logProvider: dishonest, witnessProvider: provider });
+      const ids = batchLogs.map(log => log.topics[2]);
+      await expect(network.querySignatures(ids)).rejects.toThrow(LogVerificationError);
+    });
+
+  });
+
+});
@@ -0,0 +1,88 @@
+import { afterAll, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import { Readable } from 'node:stream';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { hash, hashFile } from '../src/crypto.js';
+import { getInputName } from '../src/inputs.js';
+import { File as OpensigFile } from '../src/opensig.js';
+import { buf2hex } from '../src/utils.js';
+
+describe('Document inputs', () => {
+
+  const data = new Uint8Array(200000).map((_, i) => (i * 7) & 0xff);
+  let expectedHash;
+  let tmpDir;
+  let tmpFile;
+
+  beforeAll(async () => {
+    expectedHash = buf2hex(await hash(data));
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'opensig-'));
+    tmpFile = path.join(tmpDir, 'document.bin');
+    fs.writeFileSync(tmpFile, data);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('hashes a Node.js Buffer', async () => {
+    expect(buf2hex(await hashFile(Buffer.from(data)))).toBe(expectedHash);
+  });
+
+  test('hashes an ArrayBuffer', async () => {
+    expect(buf2hex(await hashFile(data.slice().buffer))).toBe(expectedHash);
+  });
+
+  test('hashes a TypedArray view onto a larger buffer', async () => {
+    const padded = new Uint8Array(data.length + 20);
+    padded.set(data, 10);
+    expect(buf2hex(await hashFile(padded.subarray(10, 10 + data.length)))).toBe(expectedHash);
+  });
+
+  test('hashes a Blob', async () => {
+    expect(buf2hex(await hashFile(new Blob([data])))).toBe(expectedHash);
+  });
+
+  test('hashes a web ReadableStream', async () => {
+    expect(buf2hex(await hashFile(new Blob([data]).stream()))).toBe(expectedHash);
+  });
+
+  test('hashes a Node.js Readable stream', async () => {
+    const stream = Readable.from([data.subarray(0, 1000), data.subarray(1000)]);
+    expect(buf2hex(await hashFile(stream))).toBe(expectedHash);
+  });
+
+  test('hashes a file path with progress', async () => {
+    const onProgress = jest.fn();
+    expect(buf2hex(await hashFile(tmpFile, { onProgress }))).toBe(expectedHash);
+    expect(onProgress).toHaveBeenLastCalledWith(data.length, data.length);
+  });
+
+  test('rejects a stream of strings', async () => {
+    await expect(hashFile(Readable.from(['hello']))).rejects.toThrow("stream must produce binary chunks");
+  });
+
+  test('rejects an unsupported input', async () => {
+    await expect(hashFile({})).rejects.toThrow("unsupported document input");
+  });
+
+  test('names inputs where possible', () => {
+    expect(getInputName(tmpFile)).toBe(tmpFile);
+    expect(getInputName(new File([data], 'myfile.txt'))).toBe('myfile.txt');
+    const stream = fs.createReadStream(tmpFile);
+    expect(getInputName(stream)).toBe(tmpFile);
+    stream.destroy();
+    expect(getInputName(Buffer.from(data))).toBeUndefined();
+  });
+
+  test('File verifies a file path', async () => {
+    const network = { chainId: 1, querySignatures: jest.fn(() => Promise.resolve([])) };
+    const file = new OpensigFile(network, tmpFile);
+    expect(file.name).toBe(tmpFile);
+    await file.verify();
+    expect(buf2hex(file.documentHash)).toBe(expectedHash);
+    expect(network.querySignatures).toHaveBeenCalled();
+  });
+
+});
@@ -0,0 +1,68 @@
+import { jest } from '@jest/globals';
+import { ethers } from 'ethers';
+
+// ------ Mocks shared by the unit tests ------
+
+export const MOCK_REGISTRY = '0x1234567890abcdef1234567890abcdef12345678';
+
+export const eventInterface = new ethers.Interface([
+  "event Signature(uint256 time, address indexed signer, bytes32 indexed signature, bytes data)"
+]);
+
+/**
+ * Constructs a Signature event log as returned by eth_getLogs.  The log is given its own
+ * transaction in the given block.
+ */
+export function constructSimulatedEvent(time, signer, signature, data = '0x', blockNumber = 1, contract = MOCK_REGISTRY) {
+  const log = eventInterface.encodeEventLog("Signature", [time, signer, signature, data]);
+  return {
+    ...log,
+    address: contract,
+    blockNumber: ethers.toQuantity(blockNumber),
+    blockHash: ethers.id('block' + blockNumber),
+    transactionHash: ethers.id('tx' + blockNumber),
+    transactionIndex: '0x0',
+    logIndex: '0x0',
+    removed: false
+  };
+}
+
+/**
+ * Mock network that records published signatures and returns them as events on the next query.
+ * Each signature is signed by the current `signatory` at the current `time`, which advances by
+ * `timeStep` after each publication.  Each event is mined in its own block after `blockNumber`.
+ * Queries honour the block range and signature filters like eth_getLogs.
+ *
+ * @param {Object} options (optional) containing any of chainId, signatory, time, timeStep,
+ *   blockNumber and txHash, plus any other properties to give the network (e.g. cache)
+ */
+export function createMockNetwork(options = {}) {
+  const network = {
+    chainId: 1,
+    contract: MOCK_REGISTRY,
+    signatory: ethers.ZeroAddress,
+    time: 1,
+    timeStep: 0,
+    blockNumber: 0,
+    txHash: '0x123',
+    ...options,
+    events: [],
+    getBlockNumber: jest.fn(() => Promise.resolve(network.blockNumber)),
+    publishSignature: jest.fn((signature, data) => {
+      network.events.push(constructSimulatedEvent(network.time, network.signatory, signature, data, ++network.blockNumber, network.contract));
+      network.time += network.timeStep;
+      return Promise.resolve({ txHash: network.txHash, signatory: network.signatory, signature, data });
+    }),
+    publishSignatures: jest.fn((signatures, data) => {
+      signatures.forEach((s, i) => network.publishSignature(s, data[i]));
+      return Promise.resolve({ txHash: network.txHash, signatory: network.signatory, signatures, data });
+    }),
+    querySignatures: jest.fn((ids, options = {}) => Promise.resolve(network.events.filter(e => {
+      const block = Number(e.blockNumber);
+      return ids.includes(e.topics[2])
+        && (options.fromBlock === undefined || block >= options.fromBlock)
+        && (options.toBlock === undefined || block <= options.toBlock);
+    })))
+  };
+  return network;
+}
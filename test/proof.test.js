@@ -0,0 +1,125 @@
+import { beforeAll, describe, expect, test } from '@jest/globals';
+import { ethers } from 'ethers';
+import { Document, HashIterator, verifyProof } from '../src/opensig.js';
+import { hash } from '../src/crypto.js';
+import { buf2hex } from '../src/utils.js';
+import { MOCK_REGISTRY as REGISTRY, constructSimulatedEvent, createMockNetwork } from './mocks.js';
+
+describe('Signature proofs', () => {
+
+  const fileContent = new TextEncoder().encode("my important contract");
+  const signer1 = ethers.Wallet.createRandom().address;
+  const signer2 = ethers.Wallet.createRandom().address;
+  let documentHash;
+  let hashChain;
+  let bundle;
+
+  beforeAll(async () => {
+    documentHash = new Uint8Array(await hash(fileContent));
+    hashChain = (await new HashIterator(documentHash, 137).next(3)).map(h => buf2hex(h));
+    const doc = new Document(createMockNetwork({ chainId: 137 }), documentHash);
+    const encrypted = '0x0080' + await doc.encryptionKey.encrypt('00680069'); // "hi"
+    doc.network.events.push(
+      constructSimulatedEvent(1000, signer1, hashChain[0], '0x0000' + '006f006b', 10), // "ok"
+      constructSimulatedEvent(2000, signer2, hashChain[1], encrypted, 20)
+    );
+    await doc.verify();
+    bundle = JSON.parse(JSON.stringify(doc.exportProof()));
+  });
+
+  function tamper(fn) {
+    const copy = JSON.parse(JSON.stringify(bundle));
+    fn(copy);
+    return copy;
+  }
+
+  test('exportProof requires verification', () => {
+    const doc = new Document({ chainId: 1, contract: REGISTRY }, documentHash);
+    expect(() => doc.exportProof()).toThrow("Must verify before exporting proof");
+  });
+
+  test('exported bundle contains the document, chain and signature records', () => {
+    expect(bundle).toMatchObject({ version: 1, documentHash: buf2hex(documentHash), chainId: 137, registry: REGISTRY });
+    expect(bundle.signatures.length).toBe(2);
+    expect(bundle.signatures[1]).toMatchObject({
+      index: 1,
+      signature: hashChain[1],
+      signatory: signer2,
+      time: 2000,
+      txHash: ethers.id('tx20'),
+      blockNumber: 20
+    });
+    expect(bundle.signatures[1].log.removed).toBeUndefined();
+  });
+
+  test('verifies against the file', async () => {
+    const result = await verifyProof(bundle, fileContent);
+    expect(result.errors).toEqual([]);
+    expect(result.valid).toBe(true);
+    expect(result.signatures.map(s => s.index)).toEqual([0, 1]);
+    expect(result.signatures[0].data).toMatchObject({ type: 'string', content: 'ok' });
+    expect(result.signatures[1].data).toMatchObject({ type: 'string', content: 'hi', encrypted: true });
+  });
+
+  test('verifies against the document hash', async () => {
+    const result = await verifyProof(bundle, buf2hex(documentHash));
+    expect(result.valid).toBe(true);
+  });
+
+  test('reports a different file', async () => {
+    const result = await verifyProof(bundle, new TextEncoder().encode("a different contract"));
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(["document hash does not match the proof"]);
+  });
+
+  test('reports a signature that is not in the chain', async () => {
+    const result = await verifyProof(tamper(b => { b.signatures[1].index = 2 }), fileContent);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain("signature 2: signature is not in the document's signature chain at this index");
+  });
+
+  test('reports an invalid signature index without generating the chain to it', async () => {
+    for (const index of [1e9, -1, 1.5, '1']) {
+      const result = await verifyProof(tamper(b => { b.signatures[1].index = index }), fileContent);
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(["signature " + index + ": invalid signature index"]);
+      expect(result.signatures.map(s => s.index)).toEqual([0]);
+    }
+  });
+
+  test('reports a mismatch between the record and its log', async () => {
+    const result = await verifyProof(tamper(b => {
+      b.signatures[0].time = 999;
+      b.signatures[0].signatory = signer2;
+      b.signatures[0].blockNumber = 11;
+      b.signatures[0].txHash = ethers.id('other');
+    }), fileContent);
+    expect(result.errors).toEqual([
+      "signature 0: log signatory does not match",
+      "signature 0: log time does not match",
+      "signature 0: log transaction hash does not match",
+      "signature 0: log block number does not match"
+    ]);
+  });
+
+  test('reports a log from another contract', async () => {
+    const result = await verifyProof(tamper(b => { b.signatures[0].log.address = ethers.ZeroAddress }), fileContent);
+    expect(result.errors).toEqual(["signature 0: log was not emitted by the registry contract"]);
+  });
+
+  test('reports a log that is not a Signature event', async () => {
+    const result = await verifyProof(tamper(b => { b.signatures[0].log.topics[0] = ethers.ZeroHash }), fileContent);
+    expect(result.errors).toEqual(["signature 0: log is not a valid Signature event"]);
+  });
+
+  test('reports a log for a different signature', async () => {
+    const result = await verifyProof(tamper(b => { b.signatures[0].log = b.signatures[1].log }), fileContent);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain("signature 0: log signature does not match");
+  });
+
+  test('rejects an unsupported bundle version', async () => {
+    await expect(verifyProof(tamper(b => { b.version = 99 }), fileContent)).rejects.toThrow("unsupported proof version");
+  });
+
+});
@@ -0,0 +1,121 @@
+import { beforeEach, describe, expect, test } from '@jest/globals';
+import { ethers } from 'ethers';
+import { Document, File } from '../src/opensig.js';
+import { MultiChainDocument } from '../src/multichain.js';
+import { countRecipients, decryptForRecipient, encryptForRecipients } from '../src/crypto.js';
+import { createMockNetwork, eventInterface } from './mocks.js';
+
+const alice = ethers.Wallet.createRandom();
+const bob = ethers.Wallet.createRandom();
+const eve = ethers.Wallet.createRandom();
+const recipients = [alice.signingKey.publicKey, bob.signingKey.compressedPublicKey];
+const content = { role: 'approver', comment: 'for your eyes only' };
+
+
+describe('Recipient encryption', () => {
+
+  test('round trips data for each recipient', async () => {
+    const encrypted = await encryptForRecipients('01020304', recipients);
+    expect(countRecipients(encrypted)).toBe(2);
+    expect(await decryptForRecipient(encrypted, alice)).toBe('01020304');
+    expect(await decryptForRecipient(encrypted, bob.privateKey)).toBe('01020304');
+    expect(await decryptForRecipient(encrypted, eve.signingKey)).toBeUndefined();
+  });
+
+  test('uses a fresh key each time', async () => {
+    expect(await encryptForRecipients('0102', recipients)).not.toBe(await encryptForRecipients('0102', recipients));
+  });
+
+  test('detects tampering', async () => {
+    const encrypted = await encryptForRecipients('01020304', recipients);
+    const tampered = encrypted.slice(0, -2) + (encrypted.slice(-2) === '00' ? '01' : '00');
+    await expect(decryptForRecipient(tampered, alice)).rejects.toThrow();
+  });
+
+  test('rejects invalid recipients, keys and data', async () => {
+    await expect(encryptForRecipients('01', [])).rejects.toThrow("invalid recipients");
+    await expect(encryptForRecipients('01', alice.signingKey.publicKey)).rejects.toThrow("invalid recipients");
+    await expect(encryptForRecipients('01', ['0x1234'])).rejects.toThrow("invalid recipient public key");
+    await expect(decryptForRecipient('00', 'not a key')).rejects.toThrow("invalid decryption key");
+    expect(() => countRecipients('02')).toThrow("invalid recipient data");
+  });
+
+});
+
+
+describe('Recipient encrypted annotations', () => {
+
+  let network;
+  let doc;
+
+  beforeEach(async () => {
+    network = createMockNetwork();
+    doc = new Document(network, new Uint8Array(32).fill(5));
+    await doc.verify();
+  });
+
+  test('can only be read by the recipients', async () => {
+    await doc.sign({ type: 'json', content, recipients });
+    const published = network.publishSignature.mock.calls[0][1];
+    expect(published.slice(0, 6)).toBe('0x0142');
+    expect(published).not.toContain(ethers.hexlify(ethers.toUtf8Bytes('approver')).slice(2));
+
+    const expected = { version: '01', encrypted: true, recipients: 2, type: 'json', content };
+    expect((await new Document(network, doc.documentHash).verify({ decryptionKey: alice }))[0].data).toEqual(expected);
+    expect((await new Document(network, doc.documentHash).verify({ decryptionKey: bob.privateKey }))[0].data).toEqual(expected);
+  });
+
+  test('are reported as encrypted for others to a non-recipient', async () => {
+    await doc.sign({ type: 'string', content: 'secret', recipients });
+    const [withKey] = await new Document(network, doc.documentHash).verify({ decryptionKey: eve });
+    const [withoutKey] = await new Document(network, doc.documentHash).verify();
+    [withKey, withoutKey].forEach(signature => {
+      expect(signature.data).toMatchObject({ version: '01', encrypted: true, recipients: 2, type: 'encrypted for others' });
+      expect(signature.data.content).toBeUndefined();
+    });
+  });
+
+  test('are decrypted when a key is given after the signature was first verified', async () => {
+    await doc.sign({ type: 'string', content: 'secret', recipients: [alice.signingKey.publicKey] });
+    const reader = new Document(network, doc.documentHash);
+    expect((await reader.verify())[0].data.type).toBe('encrypted for others');
+    expect((await reader.verify({ decryptionKey: alice }))[0].data).toMatchObject({ type: 'string', content: 'secret' });
+  });
+
+  test('reports invalid recipient data', async () => {
+    await doc.sign({ type: 'string', content: 'secret', recipients });
+    const published = network.publishSignature.mock.calls[0][1];
+    network.events[0] = eventInterface.encodeEventLog("Signature", [1, ethers.ZeroAddress, network.events[0].topics[2], published.slice(0, -2) + 'ff']);
+    const [tampered] = await new Document(network, doc.documentHash).verify({ decryptionKey: alice });
+    expect(tampered.data).toMatchObject({ type: 'invalid', content: "failed to decrypt" });
+    network.events[0] = eventInterface.encodeEventLog("Signature", [1, ethers.ZeroAddress, network.events[0].topics[2], '0x014202']);
+    const [truncated] = await new Document(network, doc.documentHash).verify();
+    expect(truncated.data).toMatchObject({ type: 'invalid', content: "invalid recipient data" });
+  });
+
+  test('require data version 01', async () => {
+    await expect(doc.sign({ type: 'string', content: 'secret', recipients, version: '00' })).rejects.toThrow("recipient encryption requires data version 01");
+    await expect(doc.sign({ type: 'string', content: 'secret', recipients: ['0x1234'] })).rejects.toThrow("invalid recipient public key");
+    expect(network.publishSignature).not.toHaveBeenCalled();
+  });
+
+  test('rejects an invalid decryption key before querying', async () => {
+    await expect(doc.verify({ decryptionKey: '0x1234' })).rejects.toThrow("invalid decryption key");
+  });
+
+  test('can be decrypted from a File', async () => {
+    await doc.sign({ type: 'string', content: 'secret', recipients });
+    const file = new File(network, {});
+    file.documentHash = doc.documentHash;
+    expect((await file.verify({ decryptionKey: bob }))[0].data).toMatchObject({ type: 'string', content: 'secret' });
+  });
+
+  test('can be decrypted from a MultiChainDocument', async () => {
+    await doc.sign({ type: 'string', content: 'secret', recipients });
+    const multi = new MultiChainDocument([network, createMockNetwork({ chainId: 2 })], doc.documentHash);
+    const signatures = await multi.verify({ decryptionKey: alice });
+    expect(signatures.length).toBe(1);
+    expect(signatures[0]).toMatchObject({ chainId: 1, data: { type: 'string', content: 'secret' } });
+  });
+
+});
@@ -0,0 +1,110 @@
+import { beforeEach, describe, expect, test } from '@jest/globals';
+import { ethers } from 'ethers';
+import { Document } from '../src/opensig.js';
+import { buf2hex, utf8StrToHex } from '../src/utils.js';
+import { createMockNetwork, eventInterface } from './mocks.js';
+
+const alice = ethers.Wallet.createRandom().address;
+const bob = ethers.Wallet.createRandom().address;
+
+
+describe('Signature revocation', () => {
+
+  let network;
+  let doc;
+
+  beforeEach(async () => {
+    // signatures are signed at an increasing time
+    network = createMockNetwork({ signatory: alice, time: 1000, timeStep: 1 });
+    doc = new Document(network, new Uint8Array(32).fill(6));
+    await doc.verify();
+    await doc.sign({ type: 'string', content: 'approved' });
+    await doc.verify();
+  });
+
+  test('publishes the next signature with a revocation annotation', async () => {
+    const result = await doc.revoke(0, "signed by mistake");
+    const [original] = doc.signatures;
+    expect(result.signature).not.toBe(original.signature);
+    expect(network.publishSignature).toHaveBeenLastCalledWith(result.signature, '0x0104' + original.signature.slice(2) + utf8StrToHex("signed by mistake"));
+  });
+
+  test('marks the signature as revoked with the revocation time and reason', async () => {
+    await doc.revoke(0, "signed by mistake");
+    const signatures = await new Document(network, doc.documentHash).verify();
+    expect(signatures.length).toBe(2);
+    expect(signatures[0]).toMatchObject({
+      revoked: true,
+      revocation: { signature: signatures[1].signature, time: 1001, reason: "signed by mistake" }
+    });
+    expect(signatures[1].data).toEqual({
+      version: '01', encrypted: false, type: 'revocation', content: { signature: signatures[0].signature, reason: "signed by mistake" }
+    });
+    expect(signatures[1].revoked).toBeUndefined();
+  });
+
+  test('identifies the signature by index, hash or object', async () => {
+    const [original] = doc.signatures;
+    for (const target of [0, original.signature, original.signature.toUpperCase().replace('0X', '0x'), original]) {
+      await doc.revoke(target);
+      const revocation = network.publishSignature.mock.calls[network.publishSignature.mock.calls.length - 1][1];
+      expect(revocation).toBe('0x0104' + original.signature.slice(2));
+      network.events.pop(); // unpublish
+      await doc.verify();
+    }
+  });
+
+  test('reason is optional', async () => {
+    await doc.revoke(0);
+    const [signature] = await new Document(network, doc.documentHash).verify();
+    expect(signature.revoked).toBe(true);
+    expect(signature.revocation.reason).toBeUndefined();
+  });
+
+  test('ignores revocations by a different signatory', async () => {
+    network.signatory = bob;
+    await doc.revoke(0, "not mine to revoke");
+    const signatures = await new Document(network, doc.documentHash).verify();
+    expect(signatures.length).toBe(2);
+    expect(signatures[0].revoked).toBeUndefined();
+    expect(signatures[1].data.type).toBe('revocation');
+  });
+
+  test('the earliest revocation by the signatory wins', async () => {
+    network.signatory = bob;
+    await doc.revoke(0, "by bob");
+    await doc.verify();
+    network.signatory = alice;
+    await doc.revoke(0, "first");
+    await doc.verify();
+    await doc.sign({ type: 'revocation', content: { signature: doc.signatures[0].signature, reason: "second" } });
+    const [signature] = await new Document(network, doc.documentHash).verify();
+    expect(signature.revocation).toMatchObject({ time: 1002, reason: "first" });
+  });
+
+  test('rejects invalid revocations without publishing', async () => {
+    await expect(new Document(network, doc.documentHash).revoke(0)).rejects.toThrow("Must verify before revoking");
+    await expect(doc.revoke(1)).rejects.toThrow("signature not found");
+    await expect(doc.revoke('0x1234')).rejects.toThrow("signature not found");
+    await expect(doc.revoke({})).rejects.toThrow("signature not found");
+    await expect(doc.revoke(0, 42)).rejects.toThrow("invalid revocation reason");
+    await expect(doc.sign({ type: 'revocation', content: { signature: doc.signatures[0].signature }, encrypted: true })).rejects.toThrow("revocations cannot be encrypted");
+    await expect(doc.sign({ type: 'revocation', content: { signature: '0x1234' } })).rejects.toThrow("invalid data content");
+    expect(network.publishSignature).toHaveBeenCalledTimes(1);
+  });
+
+  test('cannot revoke a revoked signature or a revocation', async () => {
+    await doc.revoke(0);
+    await doc.verify();
+    await expect(doc.revoke(0)).rejects.toThrow("signature already revoked");
+    await expect(doc.revoke(1)).rejects.toThrow("cannot revoke a revocation");
+  });
+
+  test('reports malformed revocations', async () => {
+    network.events.push(eventInterface.encodeEventLog("Signature", [2000, alice, buf2hex((await doc.hashes.next(1))[0]), '0x01041234']));
+    const signatures = await new Document(network, doc.documentHash).verify();
+    expect(signatures[1].data).toMatchObject({ type: 'invalid', content: "invalid revocation content" });
+    expect(signatures[0].revoked).toBeUndefined();
+  });
+
+});
@@ -0,0 +1,134 @@
+import { beforeEach, describe, expect, test } from '@jest/globals';
+import { ethers } from 'ethers';
+import { Document, signMany } from '../src/opensig.js';
+import { MemoryProvider } from '../src/providers.js';
+import { TransactionFailedError } from '../src/errors.js';
+import { buf2hex, utf8StrToHex } from '../src/utils.js';
+import { createMockNetwork } from './mocks.js';
+
+// ------ Test Helpers ------
+
+function createHash(i) {
+  return new Uint8Array(32).fill(i);
+}
+
+
+describe('signMany', () => {
+
+  let network;
+  let documents;
+
+  beforeEach(async () => {
+    network = createMockNetwork();
+    documents = [1, 2, 3].map(i => new Document(network, createHash(i)));
+    await Promise.all(documents.map(doc => doc.verify()));
+  });
+
+  test('publishes the next signature of every document in one transaction', async () => {
+    const result = await signMany(documents, { type: 'string', content: 'approved' });
+    expect(result.txHash).toBe('0x123');
+    expect(network.publishSignatures).toHaveBeenCalledTimes(1);
+    const [signatures, data] = network.publishSignatures.mock.calls[0];
+    expect(signatures).toEqual(documents.map(doc => buf2hex(doc.hashes.indexAt(0))));
+    expect(data.length).toBe(3);
+    data.forEach(d => expect(d.slice(0, 6)).toBe('0x0100'));
+    documents.forEach(doc => expect(doc.hashes.currentIndex()).toBe(0));
+  });
+
+  test('subsequent batches use the next signature in each chain', async () => {
+    await signMany(documents);
+    await signMany(documents);
+    const [signatures, data] = network.publishSignatures.mock.calls[1];
+    expect(signatures).toEqual(documents.map(doc => buf2hex(doc.hashes.indexAt(1))));
+    expect(data).toEqual(['0x', '0x', '0x']);
+  });
+
+  test('accepts per-document data', async () => {
+    await signMany(documents, [{}, { type: 'hex', content: '0x01' }, { type: 'hex', content: '0x02', encrypted: true }]);
+    const data = network.publishSignatures.mock.calls[0][1];
+    expect(data[0]).toBe('0x');
+    expect(data[1]).toBe('0x000101');
+    expect(data[2].slice(0, 6)).toBe('0x0081');
+  });
+
+  test('encrypts with each document\'s own key', async () => {
+    await signMany(documents, { type: 'string', content: 'secret', encrypted: true });
+    const data = network.publishSignatures.mock.calls[0][1];
+    for (let i = 0; i < documents.length; i++) {
+      const decrypted = await documents[i].encryptionKey.decrypt(data[i].slice(6));
+      expect(decrypted).toBe(utf8StrToHex('secret'));
+    }
+  });
+
+  test('rolls back every document if publishing fails', async () => {
+    network.publishSignatures.mockRejectedValueOnce(new Error("user rejected"));
+    await expect(signMany(documents)).rejects.toThrow("user rejected");
+    documents.forEach(doc => expect(doc.hashes.currentIndex()).toBe(-1));
+    documents.forEach(doc => expect(doc.signingInProgress).toBe(false));
+    await signMany(documents);
+    const signatures = network.publishSignatures.mock.calls[1][0];
+    expect(signatures).toEqual(documents.map(doc => buf2hex(doc.hashes.indexAt(0))));
+  });
+
+  test('rolls back reserved documents if encoding fails', async () => {
+    await expect(signMany(documents, [{}, {}, { type: 'invalid', content: 'x' }])).rejects.toThrow("invalid data type 'invalid'");
+    documents.forEach(doc => expect(doc.hashes.currentIndex()).toBe(-1));
+    expect(network.publishSignatures).not.toHaveBeenCalled();
+  });
+
+  test('requires all documents to be verified', async () => {
+    const unverified = new Document(network, createHash(4));
+    await expect(signMany([...documents, unverified])).rejects.toThrow("Must verify before signing");
+  });
+
+  test('requires all documents to share the same network', async () => {
+    const other = new Document(createMockNetwork(), createHash(4));
+    await other.verify();
+    await expect(signMany([...documents, other])).rejects.toThrow("documents must share the same network");
+  });
+
+  test('rejects duplicate documents', async () => {
+    await expect(signMany([documents[0], documents[0]])).rejects.toThrow("duplicate document");
+  });
+
+  test('rejects mismatched data length', async () => {
+    await expect(signMany(documents, [{}])).rejects.toThrow("data length mismatch");
+  });
+
+});
+
+
+describe('signMany on the registry', () => {
+
+  let network;
+  let documents;
+
+  beforeEach(async () => {
+    network = new MemoryProvider({ blockTime: 10 });
+    documents = [new Document(network, ethers.randomBytes(32)), new Document(network, ethers.randomBytes(32))];
+    await Promise.all(documents.map(doc => doc.verify()));
+  });
+
+  test('rolls back every document if the transaction reverts', async () => {
+    network.failNext('reverted');
+    const result = await signMany(documents);
+    documents.forEach(doc => expect(doc.hashes.currentIndex()).toBe(0));
+    await expect(result.confirmationInformer).rejects.toThrow(TransactionFailedError);
+    documents.forEach(doc => expect(doc.hashes.currentIndex()).toBe(-1));
+    const retry = await signMany(documents);
+    expect(retry.signatures).toEqual(documents.map(doc => buf2hex(doc.hashes.indexAt(0))));
+    await retry.confirmationInformer;
+  });
+
+  test('does not roll back documents signed again before the revert', async () => {
+    network.miningDelay = 50;
+    network.failNext('reverted');
+    const result = await signMany(documents);
+    network.miningDelay = 0;
+    await documents[0].sign();
+    await expect(result.confirmationInformer).rejects.toThrow(TransactionFailedError);
+    expect(documents[0].hashes.currentIndex()).toBe(1);
+    expect(documents[1].hashes.currentIndex()).toBe(-1);
+  });
+
+});
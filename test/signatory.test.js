@@ -0,0 +1,144 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { readFileSync } from 'node:fs';
+import { ethers } from 'ethers';
+import ganache from 'ganache';
+import { EthersProvider, MemoryProvider } from '../src/providers.js';
+import { Document, File, TextDocument, matchSignatures } from '../src/opensig.js';
+import { buf2hex } from '../src/utils.js';
+
+const registryArtifact = JSON.parse(readFileSync(new URL('../contracts/artifacts/OpensigRegistry.json', import.meta.url)));
+
+// the in-process dev chain is slow to start under jest
+jest.setTimeout(60000);
+
+const alice = ethers.Wallet.createRandom();
+const bob = '0x2000000000000000000000000000000000000002';
+
+
+describe('Querying signatures by signer', () => {
+
+  let network;
+
+  beforeEach(() => {
+    network = new MemoryProvider({ blockTime: 10 });
+  });
+
+  // signs a new document as the given signatory
+  async function signAs(signatory, doc, data) {
+    network.signatory = signatory;
+    await doc.verify();
+    return doc.sign(data);
+  }
+
+  test('returns the decoded events of a signatory', async () => {
+    const docs = [new Document(network, ethers.randomBytes(32)), new Document(network, ethers.randomBytes(32))];
+    const first = await signAs(alice.address, docs[0], { type: 'string', content: 'first' });
+    await signAs(bob, docs[1]);
+    const second = await signAs(alice.address, docs[1], { type: 'string', content: 'second' });
+
+    const events = await network.querySignaturesBySigner(alice.address.toLowerCase());
+    expect(events).toMatchObject([
+      { signatory: alice.address, signature: first.signature, event: { transactionHash: first.txHash } },
+      { signatory: alice.address, signature: second.signature, event: { transactionHash: second.txHash } }
+    ]);
+    expect(events[0].rawData).toMatch(/^0x0100/);
+    expect(events[0].data).toBeUndefined();
+    expect(events[0].time).toBeCloseTo(Date.now() / 1000, -1);
+    expect(await network.querySignaturesBySigner(alice.address, { fromBlock: 2 })).toMatchObject([{ signature: second.signature }]);
+    expect(await network.querySignaturesBySigner(ethers.Wallet.createRandom().address)).toEqual([]);
+    await expect(network.querySignaturesBySigner('0x1234')).rejects.toThrow("invalid address");
+  });
+
+  test('matches signatures against a library of documents', async () => {
+    const contract = new TextDocument(network, 'terms and conditions');
+    const invoice = new File(network, Buffer.from('invoice 42'));
+    const hash = ethers.randomBytes(32);
+    await signAs(bob, contract);
+    await signAs(alice.address, contract, { type: 'string', content: 'agreed', encrypted: true });
+    await signAs(alice.address, invoice, { type: 'json', content: { approved: true } });
+    await signAs(alice.address, new Document(network, hash));
+    await signAs(alice.address, new Document(network, ethers.randomBytes(32)), { type: 'string', content: 'private', encrypted: true });
+
+    const library = [{ name: 'invoice.txt', documentHash: buf2hex(invoice.documentHash) }, contract, buf2hex(hash)];
+    const events = await network.querySignaturesBySigner(alice.address);
+    const signatures = await matchSignatures(network, events, library);
+    expect(signatures).toMatchObject([
+      { document: contract, documentHash: buf2hex(contract.documentHash), hashSuite: 'sha256', index: 1, data: { type: 'string', encrypted: true, content: 'agreed' } },
+      { document: library[0], name: 'invoice.txt', index: 0, data: { type: 'json', content: { approved: true } } },
+      { document: library[2], documentHash: buf2hex(hash), index: 0, data: { type: 'none' } },
+      { data: { encrypted: true, content: '' } }
+    ]);
+    expect(signatures[3].document).toBeUndefined();
+    expect(signatures.map(s => s.signature)).toEqual(events.map(e => e.signature));
+    expect(signatures[1].rawData).toBeUndefined();
+  });
+
+  test('only searches the first signatures of each chain', async () => {
+    const doc = new Document(network, ethers.randomBytes(32));
+    for (let i = 0; i < 3; i++) await signAs(bob, doc);
+    await signAs(alice.address, doc);
+    const events = await network.querySignaturesBySigner(alice.address);
+    expect((await matchSignatures(network, events, [doc], { depth: 3 }))[0].document).toBeUndefined();
+    expect((await matchSignatures(network, events, [doc]))[0]).toMatchObject({ document: doc, index: 3 });
+  });
+
+  test('decrypts data encrypted for the reader', async () => {
+    const doc = new Document(network, ethers.randomBytes(32));
+    await signAs(bob, doc, { type: 'string', content: 'for alice', recipients: [alice.signingKey.publicKey] });
+    const events = await network.querySignaturesBySigner(bob);
+    expect((await matchSignatures(network, events, [doc]))[0].data).toMatchObject({ encrypted: true, recipients: 1 });
+    expect((await matchSignatures(network, events, [doc], { decryptionKey: alice }))[0].data).toMatchObject({ type: 'string', content: 'for alice' });
+    expect((await matchSignatures(network, events, [], { decryptionKey: alice }))[0].data).toMatchObject({ type: 'string', content: 'for alice' });
+  });
+
+  test('rejects invalid library entries', async () => {
+    await signAs(bob, new Document(network, ethers.randomBytes(32)));
+    const events = await network.querySignaturesBySigner(bob);
+    await expect(matchSignatures(network, events, ['0x1234'])).rejects.toThrow("invalid document hash");
+    await expect(matchSignatures(network, events, [new File(network, Buffer.from('unhashed'))])).rejects.toThrow("library document has not been hashed");
+    await expect(matchSignatures(network, events, [42])).rejects.toThrow("invalid library entry");
+    await expect(matchSignatures(network, events, [{ documentHash: ethers.randomBytes(32), hashSuite: 'md5' }])).rejects.toThrow();
+  });
+
+});
+
+
+describe('EthersProvider.querySignaturesBySigner', () => {
+
+  let ganacheProvider;
+  let network;
+
+  beforeAll(async () => {
+    ganacheProvider = ganache.provider({
+      logging: { quiet: true },
+      chain: { hardfork: 'shanghai' },
+      wallet: { accounts: [{ secretKey: alice.privateKey, balance: ethers.toBeHex(ethers.parseEther('10')) }] }
+    });
+    const provider = new ethers.BrowserProvider(ganacheProvider);
+    const factory = new ethers.ContractFactory(registryArtifact.abi, registryArtifact.data.bytecode.object, alice.connect(provider));
+    const registry = await factory.deploy();
+    await registry.waitForDeployment();
+    const chainId = Number((await provider.getNetwork()).chainId);
+    network = new EthersProvider({ chainId, contract: await registry.getAddress(), provider, signer: alice.connect(provider), blockTime: 50 });
+  });
+
+  afterAll(async () => {
+    await ganacheProvider.disconnect();
+  });
+
+  test('queries by the indexed signer topic', async () => {
+    const doc = new Document(network, ethers.randomBytes(32));
+    await doc.verify();
+    const result = await doc.sign({ type: 'string', content: 'mine' });
+    await result.confirmationInformer;
+    const getLogs = jest.spyOn(network.logProvider, 'send');
+    const events = await network.querySignaturesBySigner(alice.address);
+    expect(getLogs).toHaveBeenCalledWith('eth_getLogs', [expect.objectContaining({ topics: [ethers.id("Signature(uint256,address,bytes32,bytes)"), ethers.zeroPadValue(alice.address, 32)] })]);
+    getLogs.mockRestore();
+    expect(events).toMatchObject([{ signatory: alice.address, signature: result.signature, event: { transactionHash: result.txHash } }]);
+    expect(events[0].event).toEqual((await network.querySignatures([result.signature]))[0]);
+    expect(await network.querySignaturesBySigner(bob)).toEqual([]);
+    expect((await matchSignatures(network, events, [doc]))[0]).toMatchObject({ document: doc, index: 0, data: { content: 'mine' } });
+  });
+
+});
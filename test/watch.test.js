@@ -0,0 +1,194 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { readFileSync } from 'node:fs';
+import { ethers } from 'ethers';
+import ganache from 'ganache';
+import { EthersProvider, MemoryProvider } from '../src/providers.js';
+import { Document } from '../src/opensig.js';
+import { buf2hex } from '../src/utils.js';
+
+const registryArtifact = JSON.parse(readFileSync(new URL('../contracts/artifacts/OpensigRegistry.json', import.meta.url)));
+
+// the in-process dev chain is slow to start under jest
+jest.setTimeout(60000);
+
+const bob = '0x2000000000000000000000000000000000000002';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+
+describe('Document.watch', () => {
+
+  let network;
+  let doc;
+  let received;
+
+  beforeEach(async () => {
+    network = new MemoryProvider({ blockTime: 10 });
+    doc = new Document(network, ethers.randomBytes(32));
+    await doc.verify();
+    received = [];
+  });
+
+  afterEach(() => {
+    doc.unwatch();
+  });
+
+  // signs the document from another instance, as another signer would
+  async function signElsewhere(data) {
+    const other = new Document(network, doc.documentHash);
+    await other.verify();
+    return other.sign(data);
+  }
+
+  // resolves when the watched document has received the given number of signatures
+  function receivedCount(n) {
+    return new Promise(resolve => {
+      const check = () => received.length >= n ? resolve() : setTimeout(check, 5);
+      check();
+    });
+  }
+
+  test('reports new signatures as they are published', async () => {
+    await doc.watch(sig => received.push(sig));
+    const result = await signElsewhere({ type: 'string', content: 'approved', encrypted: true });
+    await receivedCount(1);
+    expect(received).toMatchObject([{ signature: result.signature, signatory: network.signatory, data: { type: 'string', content: 'approved', encrypted: true } }]);
+    expect(doc.signatures).toEqual(received);
+  });
+
+  test('advances through the signature chain', async () => {
+    await doc.watch(sig => received.push(sig));
+    for (let i = 0; i < 12; i++) await signElsewhere({ type: 'string', content: 'signature ' + i });
+    await receivedCount(12);
+    expect(received.map(s => s.data.content)).toEqual(Array.from({ length: 12 }, (_, i) => 'signature ' + i));
+    expect(received.map(s => s.signature)).toEqual(doc.signatures.map(s => s.signature));
+    // the next signature is after those found while watching
+    network.isRegistered = jest.fn(network.isRegistered);
+    const result = await doc.sign();
+    expect(result.signature).toBe(buf2hex(doc.hashes.indexAt(12)));
+    expect(network.isRegistered).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports signatures published since the last verification', async () => {
+    await signElsewhere({ type: 'string', content: 'missed' });
+    await doc.watch(sig => received.push(sig));
+    expect(received.map(s => s.data.content)).toEqual(['missed']);
+  });
+
+  test('keeps watching after a burst of signatures', async () => {
+    for (let i = 0; i < 10; i++) await signElsewhere({ type: 'string', content: 'burst ' + i });
+    await doc.watch(sig => received.push(sig));
+    expect(received.length).toBe(10);
+    const result = await signElsewhere({ type: 'string', content: 'after' });
+    await receivedCount(11);
+    expect(received[10]).toMatchObject({ signature: result.signature, data: { content: 'after' } });
+  });
+
+  test('reports signatures from the document itself', async () => {
+    await doc.sign({ type: 'string', content: 'first' });
+    await doc.watch(sig => received.push(sig));
+    const result = await doc.sign({ type: 'string', content: 'second' });
+    await receivedCount(1);
+    expect(received).toMatchObject([{ signature: result.signature, data: { content: 'second' } }]);
+  });
+
+  test('applies revocations', async () => {
+    network.signatory = bob;
+    await doc.sign({ type: 'string', content: 'approved' });
+    await doc.verify();
+    await doc.watch(sig => received.push(sig));
+    await doc.revoke(0, 'mistake');
+    await receivedCount(1);
+    expect(received[0].data).toMatchObject({ type: 'revocation', content: { reason: 'mistake' } });
+    expect(doc.signatures[0]).toMatchObject({ revoked: true, revocation: { reason: 'mistake' } });
+  });
+
+  test('stops when unwatched', async () => {
+    await doc.watch(sig => received.push(sig));
+    doc.unwatch();
+    await signElsewhere();
+    await sleep(50);
+    expect(received).toEqual([]);
+    expect(doc.watcher).toBeUndefined();
+  });
+
+  test('replaces any previous watch', async () => {
+    const first = [];
+    await doc.watch(sig => first.push(sig));
+    await doc.watch(sig => received.push(sig));
+    await signElsewhere();
+    await receivedCount(1);
+    await sleep(30);
+    expect(first).toEqual([]);
+  });
+
+  test('reports errors and keeps watching', async () => {
+    const errors = [];
+    const querySignatures = network.querySignatures.bind(network);
+    network.querySignatures = jest.fn().mockRejectedValueOnce(new Error("network down")).mockImplementation(querySignatures);
+    await doc.watch(sig => { received.push(sig); throw new Error("callback failed") }, { onError: e => errors.push(e.message) });
+    await signElsewhere();
+    await receivedCount(1);
+    expect(errors).toEqual(["network down", "callback failed"]);
+  });
+
+  test('requires a verified document and a callback', async () => {
+    await expect(new Document(network, ethers.randomBytes(32)).watch(() => {})).rejects.toThrow("Must verify before watching");
+    await expect(doc.watch()).rejects.toThrow("callback must be a function");
+  });
+
+});
+
+
+describe('EthersProvider.subscribeSignatures', () => {
+
+  let server;
+  let wsProvider;
+  let contract;
+  let chainId;
+  let publisher;
+
+  beforeAll(async () => {
+    server = ganache.server({ logging: { quiet: true }, chain: { hardfork: 'shanghai' } });
+    await server.listen(0);
+    const url = '127.0.0.1:' + server.address().port;
+    const provider = new ethers.JsonRpcProvider('http://' + url);
+    const factory = new ethers.ContractFactory(registryArtifact.abi, registryArtifact.data.bytecode.object, await provider.getSigner());
+    const registry = await factory.deploy();
+    await registry.waitForDeployment();
+    contract = await registry.getAddress();
+    chainId = Number((await provider.getNetwork()).chainId);
+    publisher = new EthersProvider({ chainId, contract, provider, blockTime: 50 });
+    wsProvider = new ethers.WebSocketProvider('ws://' + url);
+  });
+
+  afterAll(async () => {
+    await wsProvider.destroy();
+    publisher.logProvider.destroy();
+    await server.close();
+  });
+
+  test('subscribes with eth_subscribe over a WebSocket', async () => {
+    const network = new EthersProvider({ chainId, contract, provider: wsProvider, blockTime: 50 });
+    const subscribe = jest.spyOn(wsProvider, 'on');
+    const doc = new Document(network, ethers.randomBytes(32));
+    await doc.verify();
+    const received = [];
+    await doc.watch(sig => received.push(sig));
+    expect(subscribe).toHaveBeenCalledWith(expect.objectContaining({ address: contract }), expect.any(Function));
+
+    const signer = new Document(publisher, doc.documentHash);
+    await signer.verify();
+    const result = await signer.sign({ type: 'string', content: 'live' });
+    await result.confirmationInformer;
+    await new Promise(resolve => {
+      const check = () => received.length > 0 ? resolve() : setTimeout(check, 10);
+      check();
+    });
+    doc.unwatch();
+    expect(received).toMatchObject([{ signature: result.signature, data: { content: 'live' } }]);
+    // events are reported in the same form as those found by verify
+    expect(received[0].event).toEqual((await publisher.querySignatures([result.signature]))[0]);
+  });
+
+});